@@ -8,14 +8,38 @@ const pool = new Pool({
   }
 });
 
+// Modify SQL queries to automatically add public schema to table names
+// This regex looks for table names that aren't already prefixed with a schema
+const withSchema = text => text.replace(
+  /(?<!(public|schema)\.)\b(tbl_users|products|product_variants|cart_items|orders|order_items|historical_sales)(?=\s|\)|;|,|$)/gi,
+  'public.$2'
+);
+
 module.exports = {
-  query: (text, params) => {
-    // Modify SQL queries to automatically add public schema to table names
-    // This regex looks for table names that aren't already prefixed with a schema
-    const modifiedText = text.replace(
-      /(?<!(public|schema)\.)\b(tbl_users|products|product_variants|cart_items|orders|order_items|historical_sales)(?=\s|\)|;|,|$)/gi, 
-      'public.$2'
-    );
-    return pool.query(modifiedText, params);
-  },
-};
\ No newline at end of file
+  query: (text, params) => pool.query(withSchema(text), params),
+
+  /**
+   * Run `work` in a transaction on one client of the pool. Each db.query() may use a different
+   * client, so BEGIN and row locks (FOR UPDATE) only hold for queries made through the `client`
+   * passed to `work`. Commits when `work` resolves and rolls back when it throws.
+   * @param {Function} work - async client => result, where client has query(text, params)
+   * @returns {Promise<*>} - What `work` returned
+   */
+  transaction: async work => {
+    const connection = await pool.connect();
+    const client = { query: (text, params) => connection.query(withSchema(text), params) };
+    // A client that cannot roll back is discarded instead of going back to the pool
+    let broken;
+    try {
+      await connection.query('BEGIN');
+      const result = await work(client);
+      await connection.query('COMMIT');
+      return result;
+    } catch (error) {
+      await connection.query('ROLLBACK').catch(rollbackError => { broken = rollbackError; });
+      throw error;
+    } finally {
+      connection.release(broken);
+    }
+  }
+};
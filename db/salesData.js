@@ -1,37 +1,154 @@
 const db = require('./db');
+const { GRANULARITIES, addPeriods, describePeriod } = require('../utils/periods');
+const { imputeSeries } = require('../utils/imputation');
+const { fitNormalization, normalizeValue } = require('../utils/normalization');
+
+// Fetch the monthly sales series (see getSalesData)
+async function getMonthlySalesData(options = {}) {
+  return getSalesData('month', options);
+}
+
+/**
+ * Fetch historical sales bucketed by day, week (starting Monday) or month as a continuous
+ * series from the first to the last period with records. Every period carries a `status`:
+ * 'recorded', 'zero' (recorded with no sales) or 'missing' (no rows in historical_sales).
+ * Missing periods are filled by `imputation` and flagged with `imputed: true`.
+ * @param {string} granularity - day, week or month
+ * @param {Object} options - { imputation } (defaults to the granularity's method)
+ */
+async function getSalesData(granularity = 'month', options = {}) {
+  const { seasonLength, defaultImputation } = GRANULARITIES[granularity];
+  const imputation = options.imputation || defaultImputation;
 
-// Fetch historical monthly sales data from the database
-async function getMonthlySalesData() {
   const { rows } = await db.query(`
     SELECT 
-      EXTRACT(YEAR FROM date) as year,
-      EXTRACT(MONTH FROM date) as month,
+      to_char(date_trunc($1::text, date::timestamp), 'YYYY-MM-DD') as period_start,
       SUM(actualsales) as total_sales
     FROM historical_sales
-    GROUP BY year, month
-    ORDER BY year, month
+    GROUP BY period_start
+    ORDER BY period_start
+  `, [granularity]);
+  if (rows.length === 0) return [];
+
+  const totals = new Map(rows.map(row => [row.period_start, parseFloat(row.total_sales)]));
+  const lastPeriod = rows[rows.length - 1].period_start;
+  const periods = [];
+  for (let period = rows[0].period_start; period <= lastPeriod; period = addPeriods(period, granularity)) {
+    periods.push(period);
+  }
+
+  const recorded = periods.map(period => (totals.has(period) ? totals.get(period) : null));
+  const filled = imputeSeries(recorded, imputation, seasonLength);
+  return periods.map((period, i) => {
+    const status = recorded[i] === null ? 'missing' : (recorded[i] === 0 ? 'zero' : 'recorded');
+    return {
+      ...describePeriod(period, granularity),
+      total_sales: filled[i],
+      status,
+      imputed: status === 'missing'
+    };
+  });
+}
+
+// Fetch historical_sales per date with the number of rows recorded for it
+async function getDailySalesRecords() {
+  const { rows } = await db.query(`
+    SELECT 
+      to_char(date, 'YYYY-MM-DD') as date,
+      COUNT(*) as record_count,
+      SUM(actualsales) as total_sales
+    FROM historical_sales
+    GROUP BY date
+    ORDER BY date
   `);
+  return rows.map(row => ({
+    date: row.date,
+    record_count: parseInt(row.record_count),
+    total_sales: parseFloat(row.total_sales)
+  }));
+}
+
+// Order statuses that count as realized sales for demand forecasting
+const PAID_STATUSES = ['Paid', 'Paid (Discounted)', 'Claimed', 'Completed'];
+
+// Fetch monthly unit sales per variant (with its product and category) from order_items
+async function getMonthlyUnitSalesData() {
+  const { rows } = await db.query(`
+    SELECT 
+      EXTRACT(YEAR FROM o.created_at) as year,
+      EXTRACT(MONTH FROM o.created_at) as month,
+      pv.id as variant_id,
+      pv.sku,
+      pv.variant_name,
+      p.id as product_id,
+      p.product_name,
+      p.category,
+      SUM(oi.quantity) as units
+    FROM order_items oi
+    JOIN orders o ON oi.order_id = o.id
+    JOIN product_variants pv ON oi.product_id = pv.id
+    JOIN products p ON pv.product_ref = p.id
+    WHERE o.payment_status = ANY($1::text[])
+    GROUP BY year, month, pv.id, pv.sku, pv.variant_name, p.id, p.product_name, p.category
+    ORDER BY year, month
+  `, [PAID_STATUSES]);
   return rows.map(row => ({
     year: parseInt(row.year),
     month: parseInt(row.month),
-    month_name: new Date(parseInt(row.year), parseInt(row.month) - 1, 1).toLocaleString('default', { month: 'long' }),
-    total_sales: parseFloat(row.total_sales)
+    variant_id: row.variant_id,
+    sku: row.sku,
+    variant_name: row.variant_name,
+    product_id: row.product_id,
+    product_name: row.product_name,
+    category: row.category,
+    units: parseInt(row.units)
+  }));
+}
+
+// Share of paid order revenue per product category over the last `months` months
+async function getCategorySalesShares(months = 12) {
+  const { rows } = await db.query(`
+    SELECT 
+      p.category,
+      SUM(oi.quantity * oi.price_at_time) as revenue
+    FROM order_items oi
+    JOIN orders o ON oi.order_id = o.id
+    JOIN product_variants pv ON oi.product_id = pv.id
+    JOIN products p ON pv.product_ref = p.id
+    WHERE o.payment_status = ANY($1::text[])
+      AND o.created_at >= CURRENT_DATE - make_interval(months => $2::int)
+    GROUP BY p.category
+  `, [PAID_STATUSES, months]);
+  const total = rows.reduce((sum, row) => sum + parseFloat(row.revenue), 0);
+  return rows.map(row => ({
+    category: row.category,
+    revenue: parseFloat(row.revenue),
+    share: total > 0 ? parseFloat(row.revenue) / total : 0
   }));
 }
 
-// Normalize sales data
-function normalizeSalesData(salesData) {
-  const maxSales = Math.max(...salesData.map(item => item.total_sales));
-  const minSales = Math.min(...salesData.map(item => item.total_sales));
+// Normalize sales data (min-max by default, see utils/normalization.js for the options).
+// minSales, maxSales and range always describe the raw data; `normalization` holds the
+// fitted transform used to map predictions back to sales.
+function normalizeSalesData(salesData, spec = 'minmax') {
+  const values = salesData.map(item => item.total_sales);
+  const maxSales = Math.max(...values);
+  const minSales = Math.min(...values);
   const range = maxSales - minSales || 1;
-  const normalizedSales = salesData.map(item => ({
+  const normalization = fitNormalization(values, spec);
+  const normalizedSales = salesData.map((item, index) => ({
     ...item,
-    normalized_sales: (item.total_sales - minSales) / range
+    normalized_sales: normalizeValue(item.total_sales, normalization, index)
   }));
-  return { normalizedSales, minSales, maxSales, range };
+  return { normalizedSales, minSales, maxSales, range, normalization };
 }
 
 module.exports = {
+  PAID_STATUSES,
   getMonthlySalesData,
+  getSalesData,
+  getDailySalesRecords,
+  getMonthlyUnitSalesData,
+  getCategorySalesShares,
   normalizeSalesData
 };
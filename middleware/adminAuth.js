@@ -78,4 +78,24 @@ const discountAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { adminAuth, editorAuth, viewerAuth, discountAuth };
\ No newline at end of file
+// Roles that manage orders: accountants handle payments and the warehouse handles fulfilment
+const ORDER_STAFF_ROLES = [User.ROLES.SUPER_ADMIN, User.ROLES.ADMIN, User.ROLES.ACCOUNTANT, User.ROLES.WAREHOUSE];
+
+// Middleware to check if user may change order statuses (SUPER_ADMIN, admin, accountant, warehouse)
+const orderStatusAuth = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    if (!ORDER_STAFF_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: 'You do not have permission to update order statuses' });
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({ message: 'Server error in order status permission authentication' });
+  }
+};
+
+module.exports = { adminAuth, editorAuth, viewerAuth, discountAuth, orderStatusAuth, ORDER_STAFF_ROLES };
\ No newline at end of file
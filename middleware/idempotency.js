@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/idempotencyKey');
+
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+// JSON with object keys sorted, so the same payload always hashes the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Hash of the payload and the signed-in user, so a key cannot be reused by someone else
+function requestHash(req) {
+  const payload = { user: req.user ? req.user.id : null, body: req.body || {} };
+  return crypto.createHash('sha256').update(canonicalJson(payload)).digest('hex');
+}
+
+// Honour an optional Idempotency-Key header on a POST route. The first request with a key
+// runs and its response (success or 4xx) is stored; retries with the same key and payload get
+// the stored response back with `Idempotent-Replayed: true`. Server errors free the key so
+// the request can be retried. The claim is set on `req.idempotency`; routes pass it to the
+// transaction that does their work so it commits the key along with it (IdempotencyKey.commit).
+// Place after auth middleware so the user is part of the hash.
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({ error: 'Idempotency-Key must be 1 to 255 visible ASCII characters' });
+  }
+
+  const scope = `${req.method} ${`${req.baseUrl}${req.route.path}`.replace(/(.)\/$/, '$1')}`;
+  const hash = requestHash(req);
+
+  let claim;
+  try {
+    claim = await IdempotencyKey.claim(scope, key, hash);
+  } catch (error) {
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+
+  if (!claim.claimed) {
+    const { existing } = claim;
+    if (existing.request_hash !== hash) {
+      return res.status(422).json({ error: 'Idempotency-Key has already been used with a different request' });
+    }
+    if (existing.status !== IdempotencyKey.STATUSES.COMPLETED) {
+      return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.response_status).json(existing.response_body);
+  }
+
+  req.idempotency = claim.claim;
+
+  // Store the response before sending it, so a retry never runs the request twice. When it
+  // cannot be stored the key stays processing: committed work is then never run again, and
+  // retries get 409 until the key expires.
+  let settled = false;
+  const sendJson = res.json.bind(res);
+  res.json = body => {
+    settled = true;
+    const stored = res.statusCode >= 500
+      ? IdempotencyKey.release(claim.claim)
+      : IdempotencyKey.complete(claim.claim, res.statusCode, body);
+    stored
+      .then(owned => {
+        if (!owned && res.statusCode < 500) {
+          console.error(`Idempotency-Key ${key} on ${scope} was taken over by a retry; response not stored`);
+        }
+      }, error => {
+        console.error(`Idempotency-Key ${key} on ${scope} left processing:`, error.message);
+      })
+      .then(() => sendJson(body));
+    return res;
+  };
+  // A response sent some other way than res.json is not stored; free the key
+  res.on('finish', () => {
+    if (!settled) {
+      IdempotencyKey.release(claim.claim).catch(() => {});
+    }
+  });
+
+  next();
+};
+
+module.exports = idempotency;
@@ -0,0 +1,145 @@
+const { normalizeSalesData } = require('../db/salesData');
+const { denormalizeValue } = require('../utils/normalization');
+const { trainForecastModel, forecastSales, getEngine } = require('./predictionModel');
+
+const round = (value, digits = 2) => (value === null || !isFinite(value) ? null : Number(value.toFixed(digits)));
+
+const average = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+/**
+ * Compute forecast accuracy metrics in the original (denormalized) units
+ * @param {number[]} actual - Observed values
+ * @param {number[]} predicted - Forecasted values, aligned with actual
+ * @param {number[]} trainingActuals - Values the forecast was trained on, used to scale MASE
+ * @param {number} seasonLength - Season length for the MASE naive benchmark
+ * @returns {Object} - MAE, RMSE, MAPE (%), sMAPE (%) and MASE
+ */
+function computeForecastMetrics(actual, predicted, trainingActuals = [], seasonLength = 12) {
+  const absErrors = [];
+  const squaredErrors = [];
+  const percentErrors = [];
+  const symmetricErrors = [];
+
+  actual.forEach((value, i) => {
+    const error = predicted[i] - value;
+    absErrors.push(Math.abs(error));
+    squaredErrors.push(error * error);
+    // Months with zero sales have no defined percentage error
+    if (value !== 0) percentErrors.push(Math.abs(error / value));
+    const denominator = Math.abs(value) + Math.abs(predicted[i]);
+    if (denominator !== 0) symmetricErrors.push((2 * Math.abs(error)) / denominator);
+  });
+
+  // MASE is scaled by the in-sample MAE of a (seasonal) naive forecast
+  const lag = trainingActuals.length > seasonLength ? seasonLength : 1;
+  const naiveErrors = [];
+  for (let t = lag; t < trainingActuals.length; t++) {
+    naiveErrors.push(Math.abs(trainingActuals[t] - trainingActuals[t - lag]));
+  }
+  const scale = average(naiveErrors);
+  const mae = average(absErrors);
+  const mape = average(percentErrors);
+  const smape = average(symmetricErrors);
+
+  return {
+    mae,
+    rmse: squaredErrors.length > 0 ? Math.sqrt(average(squaredErrors)) : null,
+    mape: mape !== null ? mape * 100 : null,
+    smape: smape !== null ? smape * 100 : null,
+    mase: scale ? mae / scale : null
+  };
+}
+
+// Mean of each metric across folds, ignoring folds where a metric is undefined
+function aggregateMetrics(foldMetrics) {
+  const aggregate = {};
+  ['mae', 'rmse', 'mape', 'smape', 'mase'].forEach(key => {
+    aggregate[key] = average(foldMetrics.map(metrics => metrics[key]).filter(value => value !== null));
+  });
+  return aggregate;
+}
+
+function roundMetrics(metrics) {
+  return {
+    mae: round(metrics.mae),
+    rmse: round(metrics.rmse),
+    mape: round(metrics.mape),
+    smape: round(metrics.smape),
+    mase: round(metrics.mase, 4)
+  };
+}
+
+/**
+ * Rolling-origin (walk-forward) backtest of one engine configuration.
+ * Each fold is normalized and trained only on the data before its origin,
+ * so no fold ever sees the months it is scored on.
+ * @param {Object[]} salesData - Sales rows from getSalesData() (any granularity)
+ * @param {Object} candidate - { engine, engineOptions, trainingOptions, normalization (scheme or spec) }
+ * @param {Object} options - { initialWindow, horizon, step, seasonLength, trainingWindow }
+ *   trainingWindow limits each fold to its most recent periods (0 = expanding window)
+ * @returns {Object} - Per-fold details and aggregate metrics
+ */
+function runBacktest(salesData, candidate, options = {}) {
+  const { initialWindow = 12, horizon = 3, step = 1, seasonLength = 12, trainingWindow = 0 } = options;
+  const { engine, engineOptions = {}, trainingOptions = {}, normalization: normalizationSpec = 'minmax' } = candidate;
+
+  if (salesData.length < initialWindow + horizon) {
+    throw new Error(`At least ${initialWindow + horizon} periods of data are required, found ${salesData.length}`);
+  }
+
+  const folds = [];
+  for (let origin = initialWindow; origin + horizon <= salesData.length; origin += step) {
+    const trainingData = salesData.slice(trainingWindow > 0 ? Math.max(0, origin - trainingWindow) : 0, origin);
+    const testData = salesData.slice(origin, origin + horizon);
+
+    const { normalizedSales, normalization } = normalizeSalesData(trainingData, normalizationSpec);
+    const series = normalizedSales.map(item => item.normalized_sales);
+
+    // Calendar features count periods from the first one the engine is trained on
+    const foldEngineOptions = engineOptions.calendar && trainingWindow > 0
+      ? { ...engineOptions, calendar: { ...engineOptions.calendar, start: { year: trainingData[0].year, month: trainingData[0].month } } }
+      : engineOptions;
+    const net = trainForecastModel(series, { ...trainingOptions, engine, engineOptions: foldEngineOptions });
+    const forecast = forecastSales(net, series, horizon);
+
+    const actual = testData.map(item => item.total_sales);
+    const predicted = forecast.map((value, i) => denormalizeValue(value, normalization, trainingData.length + i));
+    const metrics = computeForecastMetrics(actual, predicted, trainingData.map(item => item.total_sales), seasonLength);
+
+    folds.push({
+      fold: folds.length + 1,
+      training_points: trainingData.length,
+      training_end: {
+        year: trainingData[trainingData.length - 1].year,
+        month: trainingData[trainingData.length - 1].month,
+        period_start: trainingData[trainingData.length - 1].period_start
+      },
+      points: testData.map((item, i) => ({
+        year: item.year,
+        month: item.month,
+        month_name: item.month_name,
+        period_start: item.period_start,
+        label: item.label,
+        horizon: i + 1,
+        actual_sales: item.total_sales,
+        predicted_sales: Math.round(predicted[i])
+      })),
+      metrics
+    });
+  }
+
+  return {
+    engine,
+    label: getEngine(engine).label,
+    engine_options: engineOptions,
+    folds: folds.map(fold => ({ ...fold, metrics: roundMetrics(fold.metrics) })),
+    aggregate: roundMetrics(aggregateMetrics(folds.map(fold => fold.metrics)))
+  };
+}
+
+module.exports = {
+  computeForecastMetrics,
+  aggregateMetrics,
+  roundMetrics,
+  runBacktest
+};
@@ -1,31 +1,102 @@
 const db = require('../db/db');
+const { PAID_STATUSES } = require('../db/salesData');
 
 class CustomerAcquisition {
-  static async getMonthlyAcquisitionChurn() {
+  /**
+   * Purchase retention per signup cohort. A cohort is the customers who signed up in a month;
+   * its retention in month k is the share of them with a paid order k months after signing up.
+   * `recently_active` counts cohort customers with a paid order in the last 3 months.
+   * @param {Object} options - { months: number of most recent cohorts }
+   * @returns {Promise<Object>} - { cohorts: [{ cohort, customers, recently_active, retention }], average }
+   */
+  static async getCohortRetention({ months = 12 } = {}) {
     try {
-      const query = `
-        WITH monthly_stats AS (
-          SELECT 
-            DATE_TRUNC('month', created_at) AS month,
-            COUNT(*) as new_users,
-            COUNT(CASE WHEN last_login < NOW() - INTERVAL '3 months' THEN 1 END) as churned_users
-          FROM tbl_users
-          WHERE role = 'customer'
-          GROUP BY DATE_TRUNC('month', created_at)
-          ORDER BY month DESC
-          LIMIT 6
-        )
-        SELECT 
-          TO_CHAR(month, 'Mon YYYY') as month,
-          new_users - churned_users as count
-        FROM monthly_stats
-        ORDER BY month ASC;
+      const cohortQuery = `
+        SELECT id, DATE_TRUNC('month', created_at) AS cohort_month
+        FROM tbl_users
+        WHERE role = 'customer'
+          AND created_at >= DATE_TRUNC('month', CURRENT_DATE) - make_interval(months => $2 - 1)
       `;
 
-      const { rows } = await db.query(query);
-      return rows;
+      const sizes = await db.query(`
+        WITH cohort AS (${cohortQuery})
+        SELECT
+          to_char(c.cohort_month, 'YYYY-MM') AS cohort,
+          COUNT(*) AS customers,
+          COUNT(*) FILTER (WHERE EXISTS (
+            SELECT 1 FROM orders o
+            WHERE o.user_id = c.id
+              AND o.payment_status = ANY($1::text[])
+              AND o.created_at >= CURRENT_DATE - INTERVAL '3 months'
+          )) AS recently_active
+        FROM cohort c
+        GROUP BY c.cohort_month
+        ORDER BY c.cohort_month
+      `, [PAID_STATUSES, months]);
+
+      const activity = await db.query(`
+        WITH cohort AS (${cohortQuery}),
+        activity AS (
+          SELECT DISTINCT user_id, DATE_TRUNC('month', created_at) AS order_month
+          FROM orders
+          WHERE payment_status = ANY($1::text[])
+        )
+        SELECT
+          to_char(c.cohort_month, 'YYYY-MM') AS cohort,
+          (EXTRACT(YEAR FROM a.order_month) - EXTRACT(YEAR FROM c.cohort_month)) * 12
+            + EXTRACT(MONTH FROM a.order_month) - EXTRACT(MONTH FROM c.cohort_month) AS month_offset,
+          COUNT(DISTINCT c.id) AS active_customers
+        FROM cohort c
+        JOIN activity a ON a.user_id = c.id AND a.order_month >= c.cohort_month
+        GROUP BY c.cohort_month, a.order_month
+      `, [PAID_STATUSES, months]);
+
+      const active = new Map();
+      activity.rows.forEach(row => {
+        active.set(`${row.cohort}:${parseInt(row.month_offset)}`, parseInt(row.active_customers));
+      });
+
+      const now = new Date();
+      const currentMonth = now.getFullYear() * 12 + now.getMonth();
+      const cohorts = sizes.rows.map(row => {
+        const customers = parseInt(row.customers);
+        const [year, month] = row.cohort.split('-').map(Number);
+        const elapsed = currentMonth - (year * 12 + month - 1);
+        const retention = [];
+        for (let offset = 0; offset <= elapsed; offset++) {
+          const activeCustomers = active.get(`${row.cohort}:${offset}`) || 0;
+          retention.push({
+            month_offset: offset,
+            active_customers: activeCustomers,
+            retention_rate: customers > 0 ? Number(((activeCustomers / customers) * 100).toFixed(2)) : 0
+          });
+        }
+        return {
+          cohort: row.cohort,
+          label: new Date(year, month - 1, 1).toLocaleString('default', { month: 'short' }) + ` ${year}`,
+          customers,
+          recently_active: parseInt(row.recently_active),
+          retention
+        };
+      });
+
+      // Retention curve across cohorts, weighted by cohort size, over the cohorts old enough
+      const longest = cohorts.reduce((max, cohort) => Math.max(max, cohort.retention.length), 0);
+      const average = [];
+      for (let offset = 0; offset < longest; offset++) {
+        const reached = cohorts.filter(cohort => cohort.retention.length > offset);
+        const customers = reached.reduce((sum, cohort) => sum + cohort.customers, 0);
+        const activeCustomers = reached.reduce((sum, cohort) => sum + cohort.retention[offset].active_customers, 0);
+        average.push({
+          month_offset: offset,
+          cohorts: reached.length,
+          retention_rate: customers > 0 ? Number(((activeCustomers / customers) * 100).toFixed(2)) : 0
+        });
+      }
+
+      return { cohorts, average };
     } catch (error) {
-      console.error('Error getting customer acquisition data:', error);
+      console.error('Error getting cohort retention:', error);
       throw error;
     }
   }
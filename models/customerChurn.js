@@ -0,0 +1,240 @@
+const db = require('../db/db');
+const { PAID_STATUSES } = require('../db/salesData');
+
+const DEFAULTS = {
+  minProbability: 0.5,
+  limit: 50
+};
+
+// Churn probability at or above which a customer is high or medium risk
+const RISK_THRESHOLDS = {
+  high: 0.7,
+  medium: 0.4
+};
+
+const RISK_LEVELS = ['high', 'medium', 'low'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+const toDateString = date => date.toISOString().split('T')[0];
+
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+
+// Quintile score (1 to 5) of each value among all values; higher values score higher
+function quintileScores(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return values.map(value => {
+    const below = sorted.filter(other => other < value).length;
+    return Math.min(5, 1 + Math.floor((below / sorted.length) * 5));
+  });
+}
+
+// Purchase-based churn risk of registered customers, from the recency, frequency, monetary
+// value and order gaps of their paid orders.
+//
+// Each customer buys at their own rate while active and may stop after any purchase:
+//   purchase rate  - repeat orders over the days since their first order, shrunk towards the
+//                    rate of all customers so one or two orders do not give an extreme rate
+//   dropout        - chance of stopping after a purchase: customers / paid orders overall
+// The churn probability is the chance the customer has stopped, given no order since
+// their last one: 1 - (1 - p)e^(-rate * days) / ((1 - p)e^(-rate * days) + p).
+class CustomerChurn {
+  static get DEFAULTS() {
+    return DEFAULTS;
+  }
+
+  static get RISK_LEVELS() {
+    return RISK_LEVELS;
+  }
+
+  // Paid orders of every registered customer, oldest first
+  static async getCustomerOrders() {
+    try {
+      const result = await db.query(`
+        SELECT
+          u.id AS user_id,
+          u.first_name,
+          u.last_name,
+          u.email,
+          to_char(u.created_at, 'YYYY-MM-DD') AS signed_up,
+          to_char(o.created_at, 'YYYY-MM-DD') AS order_date,
+          o.total_amount
+        FROM tbl_users u
+        JOIN orders o ON o.user_id = u.id
+        WHERE u.role = 'customer' AND o.payment_status = ANY($1::text[])
+        ORDER BY u.id, o.created_at
+      `, [PAID_STATUSES]);
+
+      const customers = new Map();
+      result.rows.forEach(row => {
+        if (!customers.has(row.user_id)) {
+          customers.set(row.user_id, {
+            user_id: row.user_id,
+            name: [row.first_name, row.last_name].filter(Boolean).join(' '),
+            email: row.email,
+            signed_up: row.signed_up,
+            orders: []
+          });
+        }
+        customers.get(row.user_id).orders.push({ date: row.order_date, amount: parseFloat(row.total_amount) || 0 });
+      });
+      return [...customers.values()];
+    } catch (error) {
+      console.error('Error getting customer orders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fit the population purchase rate and dropout probability
+   * @param {Object[]} customers - From getCustomerOrders()
+   * @returns {Object} - { rate (orders per day), dropout, customers, orders }
+   */
+  static fitPopulation(customers, today) {
+    const orders = customers.reduce((sum, customer) => sum + customer.orders.length, 0);
+    const repeatOrders = orders - customers.length;
+    const exposureDays = customers.reduce((sum, customer) => sum + Math.max(1, daysBetween(customer.orders[0].date, today)), 0);
+    return {
+      // Without any repeat orders yet, assume one order a year
+      rate: repeatOrders > 0 ? repeatOrders / exposureDays : 1 / 365,
+      dropout: orders > 0 ? Math.min(0.99, Math.max(0.01, customers.length / orders)) : 0.5,
+      customers: customers.length,
+      orders
+    };
+  }
+
+  // Churn probability, purchase rate and RFM inputs of one customer. Fields other than
+  // `orders` identify the customer and are passed through.
+  static score(customer, population, today) {
+    const { orders, ...identity } = customer;
+    const first = orders[0].date;
+    const last = orders[orders.length - 1].date;
+    const tenureDays = Math.max(1, daysBetween(first, today));
+    const recencyDays = daysBetween(last, today);
+    const gaps = orders.slice(1).map((order, i) => daysBetween(orders[i].date, order.date));
+    const totalSpent = orders.reduce((sum, order) => sum + order.amount, 0);
+
+    // Repeat orders per day under a gamma prior with shape 1 and the population rate as its mean
+    const rate = (orders.length - 1 + 1) / (tenureDays + 1 / population.rate);
+    const stillActive = (1 - population.dropout) * Math.exp(-rate * recencyDays);
+    const churnProbability = 1 - stillActive / (stillActive + population.dropout);
+
+    const expectedGapDays = 1 / rate;
+    const nextOrder = new Date(`${last}T00:00:00Z`);
+    nextOrder.setUTCDate(nextOrder.getUTCDate() + Math.round(expectedGapDays));
+
+    return {
+      ...identity,
+      first_order: first,
+      last_order: last,
+      tenure_days: tenureDays,
+      recency_days: recencyDays,
+      frequency: orders.length,
+      monetary: round(totalSpent),
+      average_order_value: round(totalSpent / orders.length),
+      average_gap_days: gaps.length > 0 ? round(gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length, 1) : null,
+      last_gap_days: gaps.length > 0 ? gaps[gaps.length - 1] : null,
+      purchase_rate: rate,
+      expected_gap_days: round(expectedGapDays, 1),
+      expected_next_order: toDateString(nextOrder),
+      churn_probability: round(churnProbability, 3),
+      risk: churnProbability >= RISK_THRESHOLDS.high ? 'high' : churnProbability >= RISK_THRESHOLDS.medium ? 'medium' : 'low',
+      gaps,
+      orders
+    };
+  }
+
+  // Plain-language reasons behind a customer's churn risk
+  static reasons(scored) {
+    const reasons = [];
+    const { recency_days: recency, expected_gap_days: expectedGap, gaps, orders } = scored;
+
+    if (scored.frequency === 1) {
+      reasons.push(`Single purchase ${recency} days ago and no repeat order since`);
+    }
+    if (recency > expectedGap) {
+      reasons.push(`No order in ${recency} days; expected one about every ${Math.round(expectedGap)} days`);
+    }
+    if (gaps.length >= 2) {
+      const earlier = gaps.slice(0, -1);
+      const earlierAverage = earlier.reduce((sum, gap) => sum + gap, 0) / earlier.length;
+      const lastGap = gaps[gaps.length - 1];
+      if (lastGap > 1.5 * earlierAverage) {
+        reasons.push(`Orders are slowing: last gap ${lastGap} days vs ${Math.round(earlierAverage)} days before`);
+      }
+    }
+    if (orders.length >= 3) {
+      const lastAmount = orders[orders.length - 1].amount;
+      const earlier = orders.slice(0, -1);
+      const earlierAverage = earlier.reduce((sum, order) => sum + order.amount, 0) / earlier.length;
+      if (lastAmount < 0.5 * earlierAverage) {
+        reasons.push(`Spending down: last order ${Math.round(lastAmount)} vs ${Math.round(earlierAverage)} on average before`);
+      }
+    }
+    if (scored.rfm.recency <= 2 && scored.rfm.monetary >= 4) {
+      reasons.push('High-value customer who has not ordered recently');
+    }
+    return reasons;
+  }
+
+  /**
+   * Churn probability of every customer with a paid order
+   * @returns {Promise<Object>} - { generated_at, model, customers }
+   */
+  static async scoreCustomers(today = new Date()) {
+    const todayString = toDateString(today);
+    const customers = await this.getCustomerOrders();
+    if (customers.length === 0) {
+      return { generated_at: today.toISOString(), model: null, customers: [] };
+    }
+
+    const population = this.fitPopulation(customers, todayString);
+    const scored = customers.map(customer => this.score(customer, population, todayString));
+
+    // RFM quintiles: recent, frequent and big spenders score 5
+    const recency = quintileScores(scored.map(item => -item.recency_days));
+    const frequency = quintileScores(scored.map(item => item.frequency));
+    const monetary = quintileScores(scored.map(item => item.monetary));
+
+    return {
+      generated_at: today.toISOString(),
+      model: {
+        method: 'purchase-rate and dropout (BG/NBD-style)',
+        customers: population.customers,
+        paid_orders: population.orders,
+        dropout_probability: round(population.dropout, 3),
+        average_purchase_interval_days: round(1 / population.rate, 1),
+        risk_thresholds: RISK_THRESHOLDS
+      },
+      customers: scored.map((item, i) => {
+        const rfm = { recency: recency[i], frequency: frequency[i], monetary: monetary[i] };
+        const { gaps, orders, purchase_rate: purchaseRate, ...customer } = item;
+        return { ...customer, rfm, reasons: this.reasons({ ...item, rfm }) };
+      })
+    };
+  }
+
+  /**
+   * Customers most likely to have stopped buying, highest probability (then value) first
+   * @param {Object} options - { minProbability, risk, limit }
+   */
+  static async getAtRisk({ minProbability = DEFAULTS.minProbability, risk, limit = DEFAULTS.limit } = {}) {
+    const result = await this.scoreCustomers();
+    let customers = result.customers.filter(customer => customer.churn_probability >= minProbability);
+    if (risk) {
+      customers = customers.filter(customer => customer.risk === risk);
+    }
+    customers.sort((a, b) => b.churn_probability - a.churn_probability || b.monetary - a.monetary);
+
+    return {
+      generated_at: result.generated_at,
+      model: result.model,
+      total_at_risk: customers.length,
+      customers: customers.slice(0, limit)
+    };
+  }
+}
+
+module.exports = CustomerChurn;
@@ -0,0 +1,201 @@
+const db = require('../db/db');
+const { PAID_STATUSES } = require('../db/salesData');
+const CustomerChurn = require('./customerChurn');
+
+const DEFAULTS = {
+  horizonMonths: 12,
+  limit: 20,
+  buckets: 10
+};
+
+// Registered customers, or corporate accounts built from guest orders with a company name
+const SEGMENTS = ['customers', 'companies'];
+
+const DAYS_PER_MONTH = 365 / 12;
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+const toDateString = date => date.toISOString().split('T')[0];
+
+// Customer lifetime value: what each customer (or company) has spent so far and is expected
+// to spend over the next `horizonMonths` months.
+//
+//   expected purchases   - from the churn model's purchase rate and dropout (BG/NBD-style):
+//                          P(active) * (1 - e^(-rate * dropout * days)) / dropout
+//   expected order value - the customer's average order, shrunk towards the segment's
+//                          average as if they had one more average order (Gamma-Gamma-style)
+//
+// Customers and companies are fitted separately, since companies buy on a different rhythm.
+class CustomerValue {
+  static get DEFAULTS() {
+    return DEFAULTS;
+  }
+
+  static get SEGMENTS() {
+    return SEGMENTS;
+  }
+
+  // Paid guest orders grouped by company name (case and surrounding spaces ignored), oldest first
+  static async getCompanyOrders() {
+    try {
+      const result = await db.query(`
+        SELECT
+          LOWER(TRIM(company_name)) AS company_key,
+          TRIM(company_name) AS company_name,
+          guest_info->>'email' AS contact_email,
+          to_char(created_at, 'YYYY-MM-DD') AS order_date,
+          total_amount
+        FROM orders
+        WHERE user_id IS NULL
+          AND company_name IS NOT NULL AND TRIM(company_name) <> ''
+          AND payment_status = ANY($1::text[])
+        ORDER BY created_at
+      `, [PAID_STATUSES]);
+
+      const companies = new Map();
+      result.rows.forEach(row => {
+        if (!companies.has(row.company_key)) {
+          companies.set(row.company_key, { company_name: row.company_name, contacts: new Set(), orders: [] });
+        }
+        const company = companies.get(row.company_key);
+        if (row.contact_email) company.contacts.add(row.contact_email.toLowerCase());
+        company.orders.push({ date: row.order_date, amount: parseFloat(row.total_amount) || 0 });
+      });
+      return [...companies.values()].map(({ contacts, ...company }) => ({ ...company, contacts: contacts.size }));
+    } catch (error) {
+      console.error('Error getting company orders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lifetime value of every customer or company in a segment
+   * @param {string} segment - 'customers' or 'companies'
+   * @param {Object} options - { horizonMonths }
+   * @returns {Promise<Object>} - { segment, horizon_months, generated_at, model, accounts }
+   */
+  static async estimate(segment, { horizonMonths = DEFAULTS.horizonMonths } = {}, today = new Date()) {
+    const todayString = toDateString(today);
+    const entities = segment === 'companies'
+      ? await this.getCompanyOrders()
+      : await CustomerChurn.getCustomerOrders();
+
+    const result = {
+      segment,
+      horizon_months: horizonMonths,
+      generated_at: today.toISOString(),
+      model: null,
+      accounts: []
+    };
+    if (entities.length === 0) {
+      return result;
+    }
+
+    const population = CustomerChurn.fitPopulation(entities, todayString);
+    const averageOrderValue = entities.reduce((sum, entity) =>
+      sum + entity.orders.reduce((total, order) => total + order.amount, 0), 0) / population.orders;
+    const horizonDays = horizonMonths * DAYS_PER_MONTH;
+
+    result.model = {
+      method: 'BG/NBD-style purchases with Gamma-Gamma-style order value',
+      accounts: population.customers,
+      paid_orders: population.orders,
+      dropout_probability: round(population.dropout, 3),
+      average_purchase_interval_days: round(1 / population.rate, 1),
+      average_order_value: round(averageOrderValue)
+    };
+
+    result.accounts = entities.map(entity => {
+      const scored = CustomerChurn.score(entity, population, todayString);
+      const { gaps, orders, purchase_rate: rate, ...account } = scored;
+      const activeProbability = 1 - scored.churn_probability;
+      const expectedPurchases = activeProbability
+        * (1 - Math.exp(-rate * population.dropout * horizonDays)) / population.dropout;
+      const expectedOrderValue = (scored.monetary + averageOrderValue) / (scored.frequency + 1);
+
+      return {
+        ...account,
+        active_probability: round(activeProbability, 3),
+        expected_purchases: round(expectedPurchases),
+        expected_order_value: round(expectedOrderValue),
+        historical_value: scored.monetary,
+        projected_value: round(expectedPurchases * expectedOrderValue),
+        lifetime_value: round(scored.monetary + expectedPurchases * expectedOrderValue)
+      };
+    });
+    return result;
+  }
+
+  /**
+   * Accounts with the highest projected value
+   * @param {string} segment - 'customers' or 'companies'
+   * @param {Object} options - { horizonMonths, limit }
+   */
+  static async getTop(segment, { horizonMonths = DEFAULTS.horizonMonths, limit = DEFAULTS.limit } = {}) {
+    const result = await this.estimate(segment, { horizonMonths });
+    const accounts = result.accounts
+      .sort((a, b) => b.projected_value - a.projected_value || b.historical_value - a.historical_value)
+      .slice(0, limit)
+      .map((account, index) => ({ rank: index + 1, ...account }));
+    return { ...result, total_accounts: result.accounts.length, accounts };
+  }
+
+  /**
+   * Distribution of projected value: summary statistics, equal-width buckets and the share
+   * of projected value held by the top 10% and 20% of accounts
+   * @param {string} segment - 'customers' or 'companies'
+   * @param {Object} options - { horizonMonths, buckets }
+   */
+  static async getDistribution(segment, { horizonMonths = DEFAULTS.horizonMonths, buckets = DEFAULTS.buckets } = {}) {
+    const { accounts, ...result } = await this.estimate(segment, { horizonMonths });
+    const values = accounts.map(account => account.projected_value).sort((a, b) => a - b);
+    if (values.length === 0) {
+      return { ...result, summary: null, buckets: [], concentration: null };
+    }
+
+    const total = values.reduce((sum, value) => sum + value, 0);
+    const percentile = p => values[Math.min(values.length - 1, Math.floor(p * values.length))];
+    const min = values[0];
+    const max = values[values.length - 1];
+    const width = (max - min) / buckets || 1;
+
+    const histogram = Array.from({ length: buckets }, (_, i) => ({
+      from: round(min + i * width),
+      to: round(min + (i + 1) * width),
+      accounts: 0,
+      projected_value: 0
+    }));
+    values.forEach(value => {
+      const bucket = histogram[Math.min(buckets - 1, Math.floor((value - min) / width))];
+      bucket.accounts++;
+      bucket.projected_value += value;
+    });
+
+    // Share of all projected value held by the most valuable accounts
+    const topShare = fraction => {
+      const count = Math.max(1, Math.round(values.length * fraction));
+      const top = values.slice(-count).reduce((sum, value) => sum + value, 0);
+      return total > 0 ? round((top / total) * 100) : 0;
+    };
+
+    return {
+      ...result,
+      summary: {
+        accounts: values.length,
+        total_projected_value: round(total),
+        mean: round(total / values.length),
+        median: round(percentile(0.5)),
+        p90: round(percentile(0.9)),
+        min,
+        max
+      },
+      buckets: histogram.map(bucket => ({ ...bucket, projected_value: round(bucket.projected_value) })),
+      concentration: {
+        top_10_percent_share: topShare(0.1),
+        top_20_percent_share: topShare(0.2)
+      }
+    };
+  }
+}
+
+module.exports = CustomerValue;
@@ -0,0 +1,179 @@
+const { addPeriods, describePeriod, periodStartOf } = require('../utils/periods');
+
+const DEFAULT_OUTLIER_THRESHOLD = 3.5;
+
+const median = sorted => (sorted.length % 2 === 1
+  ? sorted[(sorted.length - 1) / 2]
+  : (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2);
+
+// Runs of consecutive missing periods, with the values imputation filled in
+function findGaps(series) {
+  const gaps = [];
+  let current = null;
+  series.forEach(row => {
+    if (row.status !== 'missing') {
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = { start: row.period_start, end: row.period_start, length: 0, periods: [] };
+      gaps.push(current);
+    }
+    current.end = row.period_start;
+    current.length++;
+    current.periods.push({ period_start: row.period_start, label: row.label, imputed_sales: Math.round(row.total_sales) });
+  });
+  return gaps;
+}
+
+// Recorded periods whose modified z-score (based on the median absolute deviation) passes the threshold
+function findOutliers(series, threshold = DEFAULT_OUTLIER_THRESHOLD) {
+  const recorded = series.filter(row => row.status !== 'missing');
+  if (recorded.length < 3) return [];
+
+  const values = recorded.map(row => row.total_sales).sort((a, b) => a - b);
+  const center = median(values);
+  let spread = median(values.map(value => Math.abs(value - center)).sort((a, b) => a - b));
+  if (spread === 0) {
+    // More than half the periods share one value; fall back to the mean absolute deviation
+    spread = values.reduce((sum, value) => sum + Math.abs(value - center), 0) / values.length / 0.7979;
+  }
+  if (spread === 0) return [];
+
+  return recorded
+    .map(row => ({ row, score: 0.6745 * (row.total_sales - center) / spread }))
+    .filter(({ score }) => Math.abs(score) > threshold)
+    .map(({ row, score }) => ({
+      period_start: row.period_start,
+      label: row.label,
+      total_sales: row.total_sales,
+      median_sales: center,
+      score: Number(score.toFixed(2)),
+      direction: score > 0 ? 'high' : 'low'
+    }));
+}
+
+// Dates with more than one historical_sales row
+function findDuplicates(dailyRecords) {
+  return dailyRecords
+    .filter(record => record.record_count > 1)
+    .map(record => ({ date: record.date, records: record.record_count, total_sales: record.total_sales }));
+}
+
+// Months whose daily records only cover part of the month: the month still in progress,
+// and a first or last month whose records start late or stop early
+function findPartialMonths(dailyRecords, today) {
+  if (dailyRecords.length === 0) return [];
+
+  const months = new Map();
+  dailyRecords.forEach(record => {
+    const key = record.date.slice(0, 7);
+    const day = parseInt(record.date.slice(8, 10));
+    const month = months.get(key) || { first_day: day, last_day: day, days_with_records: 0 };
+    month.first_day = Math.min(month.first_day, day);
+    month.last_day = Math.max(month.last_day, day);
+    month.days_with_records++;
+    months.set(key, month);
+  });
+
+  const keys = [...months.keys()];
+  const currentMonth = periodStartOf(today, 'month').slice(0, 7);
+  const partial = [];
+  keys.forEach((key, i) => {
+    const month = months.get(key);
+    const [year, monthNumber] = key.split('-').map(Number);
+    const daysInMonth = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+    let reason = null;
+    if (key === currentMonth) {
+      reason = 'in-progress';
+    } else if (i === 0 && month.first_day > 1) {
+      reason = 'starts-mid-month';
+    } else if (i === keys.length - 1 && month.last_day < daysInMonth) {
+      reason = 'ends-mid-month';
+    }
+    if (reason) {
+      const { label } = describePeriod(`${key}-01`, 'month');
+      partial.push({ year, month: monthNumber, label, reason, ...month, days_in_month: daysInMonth });
+    }
+  });
+  return partial;
+}
+
+/**
+ * Data-quality report for a sales series
+ * @param {Object} input - { series (getSalesData rows), dailyRecords (getDailySalesRecords rows),
+ *   granularity, imputation, outlierThreshold, today }
+ * @returns {Object} - Summary, gaps, staleness, duplicates, outliers, partial months and issues
+ */
+function buildDataQualityReport({ series, dailyRecords, granularity, imputation, outlierThreshold, today = new Date() }) {
+  const gaps = findGaps(series);
+  const outliers = findOutliers(series, outlierThreshold);
+  const duplicates = findDuplicates(dailyRecords);
+  const partialMonths = findPartialMonths(dailyRecords, today);
+
+  // Complete periods between the last recorded one and the period in progress
+  let stale = null;
+  if (series.length > 0) {
+    const lastPeriod = series[series.length - 1].period_start;
+    const currentPeriod = periodStartOf(today, granularity);
+    let periodsBehind = 0;
+    for (let period = addPeriods(lastPeriod, granularity); period < currentPeriod; period = addPeriods(period, granularity)) {
+      periodsBehind++;
+    }
+    stale = { last_period: lastPeriod, current_period: currentPeriod, periods_behind: periodsBehind };
+  }
+
+  const count = status => series.filter(row => row.status === status).length;
+  const missingPeriods = count('missing');
+  const issues = [];
+  if (series.length === 0) {
+    issues.push('historical_sales has no data');
+  }
+  if (gaps.length > 0) {
+    issues.push(`${missingPeriods} missing ${granularity}(s) in ${gaps.length} gap(s), filled by ${imputation} imputation`);
+  }
+  if (stale && stale.periods_behind > 0) {
+    issues.push(`${stale.periods_behind} complete ${granularity}(s) since ${stale.last_period} have no data yet`);
+  }
+  if (duplicates.length > 0) {
+    issues.push(`${duplicates.length} date(s) have more than one historical_sales row`);
+  }
+  if (outliers.length > 0) {
+    issues.push(`${outliers.length} ${granularity}(s) look like outliers`);
+  }
+  if (partialMonths.length > 0) {
+    issues.push(`${partialMonths.length} month(s) are only partially covered`);
+  }
+
+  return {
+    granularity,
+    imputation,
+    outlier_threshold: outlierThreshold,
+    summary: {
+      first_period: series.length > 0 ? series[0].period_start : null,
+      last_period: series.length > 0 ? series[series.length - 1].period_start : null,
+      periods: series.length,
+      recorded: count('recorded'),
+      zero: count('zero'),
+      missing: missingPeriods,
+      duplicate_dates: duplicates.length,
+      outliers: outliers.length,
+      partial_months: partialMonths.length
+    },
+    issues,
+    gaps,
+    stale,
+    duplicates,
+    outliers,
+    partial_months: partialMonths
+  };
+}
+
+module.exports = {
+  DEFAULT_OUTLIER_THRESHOLD,
+  findGaps,
+  findOutliers,
+  findDuplicates,
+  findPartialMonths,
+  buildDataQualityReport
+};
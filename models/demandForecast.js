@@ -0,0 +1,130 @@
+const { trainForecastModel, forecastSales, getEngine } = require('./predictionModel');
+const { buildCalendar } = require('./forecastEngines/calendarFeatures');
+
+// Syntetos-Boylan cut-off: series whose average demand interval reaches this are intermittent
+const INTERMITTENT_ADI = 1.32;
+
+const monthIndex = ({ year, month }) => year * 12 + (month - 1);
+
+const fromMonthIndex = index => ({ year: Math.floor(index / 12), month: (index % 12) + 1 });
+
+const monthName = (year, month) => new Date(year, month - 1, 1).toLocaleString('default', { month: 'long' });
+
+const round = value => Number(value.toFixed(2));
+
+/**
+ * Group monthly unit sales rows into continuous series per category or per SKU.
+ * Months without sales are filled with zero, from each series' first sale up to
+ * the last month present in the data, so sparse series keep their gaps.
+ * @param {Object[]} rows - Rows from getMonthlyUnitSalesData()
+ * @param {string} level - 'category' or 'sku'
+ * @returns {Object[]} - One entry per category/variant with a `history` of { year, month, units }
+ */
+function buildDemandSeries(rows, level) {
+  if (rows.length === 0) return [];
+
+  const lastIndex = Math.max(...rows.map(monthIndex));
+  const groups = new Map();
+
+  rows.forEach(row => {
+    const key = level === 'category' ? row.category : row.variant_id;
+    if (!groups.has(key)) {
+      const info = level === 'category'
+        ? { category: row.category }
+        : {
+          variant_id: row.variant_id,
+          sku: row.sku,
+          variant_name: row.variant_name,
+          product_id: row.product_id,
+          product_name: row.product_name,
+          category: row.category
+        };
+      groups.set(key, { info, units: new Map() });
+    }
+    const group = groups.get(key);
+    const index = monthIndex(row);
+    group.units.set(index, (group.units.get(index) || 0) + row.units);
+  });
+
+  return [...groups.values()].map(({ info, units }) => {
+    const firstIndex = Math.min(...units.keys());
+    const history = [];
+    for (let index = firstIndex; index <= lastIndex; index++) {
+      history.push({ ...fromMonthIndex(index), units: units.get(index) || 0 });
+    }
+    return { ...info, history };
+  });
+}
+
+// Average number of months per month with demand (Infinity when there was none)
+function averageDemandInterval(values) {
+  const nonZero = values.filter(value => value > 0).length;
+  return nonZero > 0 ? values.length / nonZero : Infinity;
+}
+
+// Pick an engine for a demand series: Croston for intermittent demand, Holt-Winters
+// once two seasons are available, otherwise a moving average
+function selectDemandEngine(values, requestedEngine = 'auto') {
+  if (requestedEngine !== 'auto') return requestedEngine;
+  if (averageDemandInterval(values) >= INTERMITTENT_ADI) return 'croston';
+  if (values.length >= 24) return 'holt-winters';
+  return 'moving-average';
+}
+
+/**
+ * Forecast unit demand for each category or SKU series
+ * @param {Object[]} seriesList - Output of buildDemandSeries()
+ * @param {Object} options - { monthsAhead, engine ('auto' or an engine name), engineOptions, includeHistory }
+ * @returns {Object[]} - Forecasts sorted by total forecasted units, highest first
+ */
+function forecastDemand(seriesList, options = {}) {
+  const { monthsAhead = 3, engine = 'auto', engineOptions = {}, includeHistory = false } = options;
+
+  return seriesList.map(({ history, ...info }) => {
+    const values = history.map(point => point.units);
+    const method = selectDemandEngine(values, engine);
+    // Engines with regressors need to know which calendar month the series starts in
+    const options = getEngine(method).regressors
+      ? { ...engineOptions, calendar: buildCalendar(history[0]) }
+      : engineOptions;
+    const net = trainForecastModel(values, { engine: method, engineOptions: options });
+    const forecast = forecastSales(net, values, monthsAhead);
+
+    const lastIndex = monthIndex(history[history.length - 1]);
+    const predictions = forecast.map((value, i) => {
+      const { year, month } = fromMonthIndex(lastIndex + i + 1);
+      return {
+        year,
+        month,
+        month_name: monthName(year, month),
+        // Demand cannot be negative
+        forecast_units: round(Math.max(0, value))
+      };
+    });
+
+    const adi = averageDemandInterval(values);
+    const result = {
+      ...info,
+      method,
+      history_months: values.length,
+      months_with_sales: values.filter(value => value > 0).length,
+      average_demand_interval: isFinite(adi) ? round(adi) : null,
+      intermittent: adi >= INTERMITTENT_ADI,
+      total_forecast_units: round(predictions.reduce((sum, point) => sum + point.forecast_units, 0)),
+      predictions
+    };
+
+    if (includeHistory) {
+      result.history = history;
+    }
+    return result;
+  }).sort((a, b) => b.total_forecast_units - a.total_forecast_units);
+}
+
+module.exports = {
+  INTERMITTENT_ADI,
+  buildDemandSeries,
+  averageDemandInterval,
+  selectDemandEngine,
+  forecastDemand
+};
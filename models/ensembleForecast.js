@@ -0,0 +1,160 @@
+const { normalizeSalesData } = require('../db/salesData');
+const { denormalizeValue } = require('../utils/normalization');
+const { trainForecastModel, forecastSales } = require('./predictionModel');
+const { computeForecastMetrics, roundMetrics } = require('./backtest');
+
+const COMBINE_METHODS = ['mean', 'median', 'weighted'];
+
+const round = (value, digits = 2) => (value === null || !isFinite(value) ? null : Number(value.toFixed(digits)));
+
+/**
+ * Forecast with one ensemble member, in sales units.
+ * Saved members forecast with their trained net; engine members are trained here, once on the
+ * data before the validation window (so their validation is out-of-sample) and once on everything.
+ * @param {Object} member - { engine, engineOptions, net (saved members), normalization (spec to fit) }
+ * @param {Object[]} salesData - Sales rows from getSalesData()
+ * @param {Object} options - { horizon, validationPeriods, context }
+ * @returns {Object} - { validation: { actual, predicted }, forecast }
+ */
+function forecastMember(member, salesData, { horizon, validationPeriods, context }) {
+  const { engine, engineOptions = {}, net, normalization: spec = 'minmax' } = member;
+  const forecastWith = (data, count) => {
+    const { normalizedSales, normalization } = normalizeSalesData(data, spec);
+    const series = normalizedSales.map(item => item.normalized_sales);
+    const model = net || trainForecastModel(series, { engine, engineOptions });
+    return forecastSales(model, series, count, context).map((value, h) => denormalizeValue(value, normalization, data.length + h));
+  };
+
+  const cut = salesData.length - validationPeriods;
+  return {
+    validation: validationPeriods > 0 ? {
+      actual: salesData.slice(cut).map(item => item.total_sales),
+      predicted: forecastWith(salesData.slice(0, cut), validationPeriods)
+    } : null,
+    forecast: forecastWith(salesData, horizon)
+  };
+}
+
+// Period fields of a sales row (everything but the sales figure)
+const periodOf = ({ total_sales, ...period }) => period;
+
+// Weight of each member at one step. The median is expressed as weights too: the middle
+// member (or the two middle members) carries the whole forecast.
+function stepWeights(values, method, errorWeights) {
+  if (method === 'weighted') {
+    return errorWeights;
+  }
+  if (method === 'median') {
+    const order = values.map((value, i) => i).sort((a, b) => values[a] - values[b]);
+    const weights = new Array(values.length).fill(0);
+    const middle = Math.floor(values.length / 2);
+    if (values.length % 2 === 1) {
+      weights[order[middle]] = 1;
+    } else {
+      weights[order[middle - 1]] = 0.5;
+      weights[order[middle]] = 0.5;
+    }
+    return weights;
+  }
+  return values.map(() => 1 / values.length);
+}
+
+// Inverse-error weights from each member's validation RMSE. Members with a perfect
+// validation share the whole weight; members without a usable score get none.
+function inverseErrorWeights(errors) {
+  const perfect = errors.filter(error => error === 0).length;
+  if (perfect > 0) {
+    return errors.map(error => (error === 0 ? 1 / perfect : 0));
+  }
+  const inverses = errors.map(error => (error === null || !isFinite(error) ? 0 : 1 / error));
+  const total = inverses.reduce((sum, value) => sum + value, 0);
+  if (total === 0) {
+    return errors.map(() => 1 / errors.length);
+  }
+  return inverses.map(value => value / total);
+}
+
+// Combine member values step by step; returns the combined values and the weights used per step
+function combine(memberValues, method, errorWeights) {
+  const steps = memberValues[0].length;
+  const combined = [];
+  for (let h = 0; h < steps; h++) {
+    const values = memberValues.map(forecast => forecast[h]);
+    const weights = stepWeights(values, method, errorWeights);
+    combined.push({
+      value: values.reduce((sum, value, i) => sum + value * weights[i], 0),
+      values,
+      weights
+    });
+  }
+  return combined;
+}
+
+/**
+ * Forecast with several models or engines and combine them into one forecast
+ * @param {Object[]} members - { key, label, engine, engineOptions, net, normalization, source, model }
+ * @param {Object[]} salesData - Sales rows from getSalesData()
+ * @param {Object} options - { horizon, validationPeriods, method, seasonLength, context }
+ * @returns {Object} - { members, validation, forecast: [{ value, contributions }] }
+ */
+function forecastEnsemble(members, salesData, options = {}) {
+  const { horizon, validationPeriods, method = 'mean', seasonLength = 12, context } = options;
+  const cut = salesData.length - validationPeriods;
+  const trainingActuals = salesData.slice(0, cut).map(item => item.total_sales);
+
+  const results = members.map(member => forecastMember(member, salesData, { horizon, validationPeriods, context }));
+  const memberMetrics = results.map(result => (result.validation
+    ? computeForecastMetrics(result.validation.actual, result.validation.predicted, trainingActuals, seasonLength)
+    : null));
+  const errorWeights = inverseErrorWeights(memberMetrics.map(metrics => (metrics ? metrics.rmse : null)));
+
+  const contributions = step => step.values.map((value, i) => ({
+    member: members[i].key,
+    forecast: Math.round(value),
+    weight: round(step.weights[i], 4),
+    contribution: Math.round(value * step.weights[i])
+  }));
+
+  let validation = null;
+  if (validationPeriods > 0) {
+    const actual = results[0].validation.actual;
+    const steps = combine(results.map(result => result.validation.predicted), method, errorWeights);
+    const metrics = computeForecastMetrics(actual, steps.map(step => step.value), trainingActuals, seasonLength);
+    validation = {
+      metrics: roundMetrics(metrics),
+      points: steps.map((step, i) => ({
+        ...periodOf(salesData[cut + i]),
+        actual_sales: actual[i],
+        predicted_sales: Math.round(step.value),
+        contributions: contributions(step)
+      }))
+    };
+  }
+
+  return {
+    members: members.map((member, i) => ({
+      key: member.key,
+      label: member.label,
+      engine: member.engine,
+      source: member.source,
+      model: member.model || null,
+      validation: memberMetrics[i] ? roundMetrics(memberMetrics[i]) : null,
+      // Saved models already saw the validation window while training
+      out_of_sample: !member.net,
+      // The fixed weight of a weighted ensemble; mean and median weights are per step
+      weight: method === 'weighted' ? round(errorWeights[i], 4) : null
+    })),
+    validation,
+    forecast: combine(results.map(result => result.forecast), method, errorWeights).map(step => ({
+      value: step.value,
+      contributions: contributions(step)
+    }))
+  };
+}
+
+module.exports = {
+  COMBINE_METHODS,
+  inverseErrorWeights,
+  forecastMember,
+  forecastEnsemble
+};
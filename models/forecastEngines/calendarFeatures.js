@@ -0,0 +1,103 @@
+// Calendar features for engines that take regressors: month-of-year seasonality as
+// Fourier terms plus, per event type, the share of the month covered by forecast events.
+
+const EVENT_TYPES = ['holiday', 'promo', 'closure'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Period `offset` months after `start` ({ year, month })
+function addMonths(start, offset) {
+  const index = start.year * 12 + (start.month - 1) + offset;
+  return { year: Math.floor(index / 12), month: (index % 12) + 1 };
+}
+
+const parseDate = value => {
+  const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+};
+
+// Days in [start, end] that fall inside [monthStart, monthEnd] (UTC timestamps)
+function overlapDays(start, end, monthStart, monthEnd) {
+  const overlapStart = Math.max(start, monthStart);
+  const overlapEnd = Math.min(end, monthEnd);
+  return overlapEnd < overlapStart ? 0 : Math.round((overlapEnd - overlapStart) / DAY_MS) + 1;
+}
+
+// Days of the month `{ year, month }` covered by an event (recurring events repeat every year)
+function coveredDays(event, { year, month }) {
+  const monthStart = Date.UTC(year, month - 1, 1);
+  const monthEnd = Date.UTC(year, month, 0);
+  const start = parseDate(event.start_date);
+  const end = parseDate(event.end_date || event.start_date);
+
+  if (!event.recurring) {
+    return overlapDays(start, end, monthStart, monthEnd);
+  }
+
+  // Check this year's and last year's occurrence, so events spanning New Year count in January
+  const duration = end - start;
+  const startDate = new Date(start);
+  return [year - 1, year].reduce((sum, occurrenceYear) => {
+    const occurrenceStart = Date.UTC(occurrenceYear, startDate.getUTCMonth(), startDate.getUTCDate());
+    return sum + overlapDays(occurrenceStart, occurrenceStart + duration, monthStart, monthEnd);
+  }, 0);
+}
+
+// Share of the month covered by events of each type (0..1 per type)
+function eventCoverage(period, events = []) {
+  const daysInMonth = new Date(Date.UTC(period.year, period.month, 0)).getUTCDate();
+  return EVENT_TYPES.map(type => {
+    const days = events
+      .filter(event => event.event_type === type)
+      .reduce((sum, event) => sum + coveredDays(event, period), 0);
+    return Math.min(1, days / daysInMonth);
+  });
+}
+
+// Fourier terms for month-of-year seasonality
+function seasonalTerms(month, harmonics) {
+  const terms = [];
+  for (let k = 1; k <= harmonics; k++) {
+    const angle = (2 * Math.PI * k * month) / 12;
+    terms.push(Math.sin(angle), Math.cos(angle));
+  }
+  return terms;
+}
+
+/**
+ * Feature row for the month `offset` periods after the calendar start
+ * @param {number} offset - Position in the series (0 = first month)
+ * @param {Object} calendar - { start: { year, month }, events }
+ * @param {number} harmonics - Number of Fourier harmonics for month-of-year seasonality
+ * @returns {number[]} - [intercept, trend (years), ...seasonal terms, ...event coverage]
+ */
+function featureRow(offset, calendar, harmonics) {
+  const period = addMonths(calendar.start, offset);
+  return [
+    1,
+    offset / 12,
+    ...seasonalTerms(period.month, harmonics),
+    ...eventCoverage(period, calendar.events)
+  ];
+}
+
+// Calendar options for a series starting at `firstPeriod`, in the shape the engines expect
+function buildCalendar(firstPeriod, events = []) {
+  return {
+    start: { year: firstPeriod.year, month: firstPeriod.month },
+    events: events.map(event => ({
+      event_type: event.event_type,
+      start_date: event.start_date,
+      end_date: event.end_date,
+      recurring: !!event.recurring
+    }))
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  addMonths,
+  eventCoverage,
+  featureRow,
+  buildCalendar
+};
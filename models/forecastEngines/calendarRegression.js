@@ -0,0 +1,89 @@
+const StatisticalEngine = require('./statisticalEngine');
+const { featureRow } = require('./calendarFeatures');
+
+// Solve (XᵀX + λD)β = Xᵀy, where D penalizes every coefficient except the intercept
+function ridgeSolve(rows, targets, ridge) {
+  const size = rows[0].length;
+  const matrix = Array.from({ length: size }, () => new Array(size + 1).fill(0));
+
+  rows.forEach((row, r) => {
+    for (let i = 0; i < size; i++) {
+      for (let j = 0; j < size; j++) {
+        matrix[i][j] += row[i] * row[j];
+      }
+      matrix[i][size] += row[i] * targets[r];
+    }
+  });
+  for (let i = 1; i < size; i++) {
+    matrix[i][i] += ridge;
+  }
+
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < size; r++) {
+      if (Math.abs(matrix[r][col]) > Math.abs(matrix[pivot][col])) pivot = r;
+    }
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+    if (Math.abs(matrix[col][col]) < 1e-12) continue;
+
+    for (let r = 0; r < size; r++) {
+      if (r === col) continue;
+      const factor = matrix[r][col] / matrix[col][col];
+      for (let c = col; c <= size; c++) {
+        matrix[r][c] -= factor * matrix[col][c];
+      }
+    }
+  }
+
+  return matrix.map((row, i) => (Math.abs(row[i]) < 1e-12 ? 0 : row[size] / row[i]));
+}
+
+// Ridge regression on a trend, month-of-year Fourier terms and forecast event coverage.
+// Options: calendar ({ start: { year, month }, events }), harmonics (default 2), ridge (default 0.1).
+// Like LinearTrend, the coefficients are refit on whatever series it forecasts from.
+class CalendarRegression extends StatisticalEngine {
+  constructor(options = {}) {
+    super({ harmonics: 2, ridge: 0.1, ...options });
+  }
+
+  fit() {
+    const harmonics = parseInt(this.options.harmonics, 10);
+    const ridge = parseFloat(this.options.ridge);
+    this.params = {
+      harmonics: harmonics >= 0 && harmonics <= 6 ? harmonics : 2,
+      ridge: ridge >= 0 ? ridge : 0.1
+    };
+    return 1;
+  }
+
+  minHistory() {
+    return 12;
+  }
+
+  /**
+   * @param {number[]} series - Series starting at the calendar start month
+   * @param {number} count - Number of months to forecast
+   * @param {Object} context - Optional { start, events } overriding the trained calendar,
+   *   e.g. to include events added since training or planned scenario promos
+   */
+  predict(series, count, context = {}) {
+    const trained = this.options.calendar || {};
+    const calendar = {
+      start: context.start || trained.start || { year: 2000, month: 1 },
+      events: context.events || trained.events || []
+    };
+
+    const rows = series.map((value, t) => featureRow(t, calendar, this.params.harmonics));
+    const coefficients = ridgeSolve(rows, series, this.params.ridge);
+
+    const forecast = [];
+    for (let h = 0; h < count; h++) {
+      const row = featureRow(series.length + h, calendar, this.params.harmonics);
+      forecast.push(row.reduce((sum, value, i) => sum + value * coefficients[i], 0));
+    }
+    return forecast;
+  }
+}
+
+module.exports = CalendarRegression;
@@ -0,0 +1,50 @@
+const StatisticalEngine = require('./statisticalEngine');
+
+// Croston's method for intermittent demand: demand sizes and the intervals between
+// non-zero demands are smoothed separately and the forecast is their ratio.
+// The default 'sba' variant applies the Syntetos-Boylan bias correction.
+class Croston extends StatisticalEngine {
+  constructor(options = {}) {
+    super({ alpha: 0.1, variant: 'sba', ...options });
+  }
+
+  fit() {
+    const alpha = parseFloat(this.options.alpha);
+    this.params = {
+      alpha: alpha > 0 && alpha <= 1 ? alpha : 0.1,
+      variant: this.options.variant === 'classic' ? 'classic' : 'sba'
+    };
+    return 1;
+  }
+
+  predict(series, count) {
+    const { alpha, variant } = this.params;
+
+    let size = null;
+    let interval = null;
+    let sinceLast = 1;
+    series.forEach(value => {
+      if (value > 0) {
+        if (size === null) {
+          // Initialize with the first observed demand and its position
+          size = value;
+          interval = sinceLast;
+        } else {
+          size += alpha * (value - size);
+          interval += alpha * (sinceLast - interval);
+        }
+        sinceLast = 1;
+      } else {
+        sinceLast++;
+      }
+    });
+
+    let rate = size === null ? 0 : size / interval;
+    if (variant === 'sba') {
+      rate *= 1 - alpha / 2;
+    }
+    return new Array(count).fill(rate);
+  }
+}
+
+module.exports = Croston;
@@ -0,0 +1,95 @@
+const StatisticalEngine = require('./statisticalEngine');
+
+const SMOOTHING_GRID = [0.05, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Run additive Holt-Winters smoothing over a series and return the final state.
+// With fewer than two full seasons there is nothing to estimate seasonality
+// from, so it degrades to Holt's linear (double exponential) smoothing.
+function smooth(series, seasonLength, alpha, beta, gamma) {
+  const n = series.length;
+  const seasonal = seasonLength > 0 && n >= seasonLength * 2;
+  const m = seasonal ? seasonLength : 0;
+
+  let level;
+  let trend;
+  let seasonals = [];
+  let start;
+
+  if (seasonal) {
+    level = mean(series.slice(0, m));
+    trend = (mean(series.slice(m, m * 2)) - level) / m;
+    seasonals = series.slice(0, m).map(value => value - level);
+    start = m;
+  } else {
+    level = series[0];
+    trend = n > 1 ? series[1] - series[0] : 0;
+    start = 1;
+  }
+
+  let sse = 0;
+  for (let t = start; t < n; t++) {
+    const season = seasonal ? seasonals[t % m] : 0;
+    const predicted = level + trend + season;
+    sse += (series[t] - predicted) ** 2;
+
+    const previousLevel = level;
+    level = alpha * (series[t] - season) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    if (seasonal) {
+      seasonals[t % m] = gamma * (series[t] - level) + (1 - gamma) * season;
+    }
+  }
+
+  return { level, trend, seasonals, m, n, sse };
+}
+
+// Holt-Winters triple exponential smoothing (additive seasonality)
+class HoltWinters extends StatisticalEngine {
+  constructor(options = {}) {
+    super({ seasonLength: 12, ...options });
+  }
+
+  // Grid-search any smoothing constant that was not fixed through the options
+  fit(series) {
+    const { seasonLength, alpha, beta, gamma } = this.options;
+    const alphas = alpha !== undefined ? [alpha] : SMOOTHING_GRID;
+    const betas = beta !== undefined ? [beta] : SMOOTHING_GRID;
+    const gammas = gamma !== undefined ? [gamma] : SMOOTHING_GRID;
+
+    let best = null;
+    let evaluated = 0;
+    for (const a of alphas) {
+      for (const b of betas) {
+        for (const g of gammas) {
+          const { sse } = smooth(series, seasonLength, a, b, g);
+          evaluated++;
+          if (!best || sse < best.sse) {
+            best = { alpha: a, beta: b, gamma: g, sse };
+          }
+        }
+      }
+    }
+
+    this.params = { alpha: best.alpha, beta: best.beta, gamma: best.gamma, seasonLength };
+    return evaluated;
+  }
+
+  minHistory() {
+    return 2;
+  }
+
+  predict(series, count) {
+    const { alpha, beta, gamma, seasonLength } = this.params;
+    const state = smooth(series, seasonLength, alpha, beta, gamma);
+    const forecast = [];
+    for (let h = 1; h <= count; h++) {
+      const season = state.m > 0 ? state.seasonals[(state.n - 1 + h) % state.m] : 0;
+      forecast.push(state.level + h * state.trend + season);
+    }
+    return forecast;
+  }
+}
+
+module.exports = HoltWinters;
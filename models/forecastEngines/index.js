@@ -0,0 +1,92 @@
+const brain = require('brain.js');
+const HoltWinters = require('./holtWinters');
+const SeasonalNaive = require('./seasonalNaive');
+const MovingAverage = require('./movingAverage');
+const LinearTrend = require('./linearTrend');
+const Croston = require('./croston');
+const CalendarRegression = require('./calendarRegression');
+
+// Registry of forecasting engines selectable per request.
+// Every engine instance exposes train([series], options), forecast(series, count),
+// toJSON(), fromJSON(json) and trainOpts, like the brain.js GRUTimeStep net.
+// Engines flagged with `regressors` also use calendar features and forecast events;
+// `seasonal` engines take a seasonLength option that defaults to the series granularity.
+const ENGINES = {
+  gru: {
+    label: 'GRUTimeStep Neural Network',
+    modelType: 'GRUTimeStep',
+    create: (options = {}) => new brain.recurrent.GRUTimeStep({ gpu: false, ...options })
+  },
+  'holt-winters': {
+    label: 'Holt-Winters Triple Exponential Smoothing',
+    modelType: 'HoltWinters',
+    seasonal: true,
+    create: options => new HoltWinters(options)
+  },
+  'seasonal-naive': {
+    label: 'Seasonal Naive',
+    modelType: 'SeasonalNaive',
+    seasonal: true,
+    create: options => new SeasonalNaive(options)
+  },
+  'moving-average': {
+    label: 'Moving Average',
+    modelType: 'MovingAverage',
+    create: options => new MovingAverage(options)
+  },
+  'linear-trend': {
+    label: 'Linear Trend',
+    modelType: 'LinearTrend',
+    create: options => new LinearTrend(options)
+  },
+  croston: {
+    label: "Croston's Method (Intermittent Demand)",
+    modelType: 'Croston',
+    create: options => new Croston(options)
+  },
+  'calendar-regression': {
+    label: 'Calendar Regression (Seasonality and Events)',
+    modelType: 'CalendarRegression',
+    regressors: true,
+    create: options => new CalendarRegression(options)
+  }
+};
+
+const DEFAULT_ENGINE = 'gru';
+
+function getEngine(name) {
+  return Object.prototype.hasOwnProperty.call(ENGINES, name) ? ENGINES[name] : null;
+}
+
+// Instantiate an untrained model for the given engine
+function createEngine(name = DEFAULT_ENGINE, options = {}) {
+  const engine = getEngine(name);
+  if (!engine) {
+    throw new Error(`Unknown forecasting engine: ${name}`);
+  }
+  return engine.create(options);
+}
+
+// Resolve the engine name from saved model metadata (older files only carry modelType)
+function engineForModelType(modelType) {
+  const entry = Object.entries(ENGINES).find(([, engine]) => engine.modelType === modelType);
+  return entry ? entry[0] : DEFAULT_ENGINE;
+}
+
+function listEngines() {
+  return Object.entries(ENGINES).map(([name, engine]) => ({
+    name,
+    label: engine.label,
+    modelType: engine.modelType,
+    regressors: !!engine.regressors,
+    default: name === DEFAULT_ENGINE
+  }));
+}
+
+module.exports = {
+  DEFAULT_ENGINE,
+  getEngine,
+  createEngine,
+  engineForModelType,
+  listEngines
+};
@@ -0,0 +1,46 @@
+const StatisticalEngine = require('./statisticalEngine');
+
+// Ordinary least squares line through the series, extended into the future.
+// `window` limits the fit to the most recent months (0 = use the whole series).
+class LinearTrend extends StatisticalEngine {
+  constructor(options = {}) {
+    super({ window: 0, ...options });
+  }
+
+  fit() {
+    this.params = { window: Math.max(0, parseInt(this.options.window, 10) || 0) };
+    return 1;
+  }
+
+  minHistory() {
+    return 2;
+  }
+
+  predict(series, count) {
+    const points = this.params.window > 0 ? series.slice(-this.params.window) : series;
+    const n = points.length;
+
+    let slope = 0;
+    let intercept = points[n - 1];
+    if (n > 1) {
+      const meanX = (n - 1) / 2;
+      const meanY = points.reduce((sum, value) => sum + value, 0) / n;
+      let covariance = 0;
+      let variance = 0;
+      points.forEach((value, x) => {
+        covariance += (x - meanX) * (value - meanY);
+        variance += (x - meanX) ** 2;
+      });
+      slope = covariance / variance;
+      intercept = meanY - slope * meanX;
+    }
+
+    const forecast = [];
+    for (let h = 1; h <= count; h++) {
+      forecast.push(intercept + slope * (n - 1 + h));
+    }
+    return forecast;
+  }
+}
+
+module.exports = LinearTrend;
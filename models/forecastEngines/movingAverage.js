@@ -0,0 +1,21 @@
+const StatisticalEngine = require('./statisticalEngine');
+
+// Simple moving average: every future month is the mean of the last `window` months
+class MovingAverage extends StatisticalEngine {
+  constructor(options = {}) {
+    super({ window: 3, ...options });
+  }
+
+  fit() {
+    this.params = { window: Math.max(1, parseInt(this.options.window, 10) || 3) };
+    return 1;
+  }
+
+  predict(series, count) {
+    const recent = series.slice(-this.params.window);
+    const average = recent.reduce((sum, value) => sum + value, 0) / recent.length;
+    return new Array(count).fill(average);
+  }
+}
+
+module.exports = MovingAverage;
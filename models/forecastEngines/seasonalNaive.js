@@ -0,0 +1,30 @@
+const StatisticalEngine = require('./statisticalEngine');
+
+// Seasonal naive: each future month repeats the same month one season earlier.
+// Falls back to repeating the last value until a full season is available.
+class SeasonalNaive extends StatisticalEngine {
+  constructor(options = {}) {
+    super({ seasonLength: 12, ...options });
+  }
+
+  fit() {
+    this.params = { seasonLength: this.options.seasonLength };
+    return 1;
+  }
+
+  minHistory() {
+    return this.params.seasonLength || this.options.seasonLength;
+  }
+
+  predict(series, count) {
+    const m = this.params.seasonLength;
+    const n = series.length;
+    const forecast = [];
+    for (let h = 1; h <= count; h++) {
+      forecast.push(n >= m ? series[n - m + ((h - 1) % m)] : series[n - 1]);
+    }
+    return forecast;
+  }
+}
+
+module.exports = SeasonalNaive;
@@ -0,0 +1,106 @@
+// Base class for the plain-JS forecasting engines.
+//
+// It mirrors the parts of the brain.js recurrent net API that the prediction
+// flow relies on (train, forecast, toJSON, fromJSON and trainOpts), so a
+// statistical engine can be trained, saved, loaded and used for forecasting
+// exactly like the GRUTimeStep model.
+class StatisticalEngine {
+  constructor(options = {}) {
+    this.options = { ...options };
+    this.params = {};
+    this.history = [];
+    this.trainOpts = {};
+  }
+
+  /**
+   * Fit the engine to a training series
+   * @param {number[][]} data - Array of sequences (same shape brain.js expects); the first sequence is used
+   * @param {Object} options - Training options (callback, errorThresh, ...)
+   * @returns {Object} - Final training stats ({ error, iterations })
+   */
+  train(data, options = {}) {
+    const series = Array.isArray(data[0]) ? data[0] : data;
+    if (!series || series.length === 0) {
+      throw new Error(`${this.constructor.name} requires a non-empty training series`);
+    }
+
+    this.history = series.slice();
+    const iterations = this.fit(this.history) || 1;
+    const error = this.inSampleError(this.history);
+
+    this.trainOpts = {
+      ...this.trainOpts,
+      error,
+      iterations,
+      errorThresh: options.errorThresh !== undefined ? options.errorThresh : null
+    };
+
+    if (typeof options.callback === 'function') {
+      options.callback({ iterations: 1, error });
+    }
+
+    return { error, iterations };
+  }
+
+  /**
+   * Forecast future values
+   * @param {number[]} series - Recent history to condition on; falls back to the training series when empty
+   * @param {number} count - Number of steps to forecast
+   * @param {Object} context - Extra inputs for engines that take regressors (ignored by the others)
+   * @returns {number[]} - Forecasted values
+   */
+  forecast(series, count = 1, context = {}) {
+    const input = series && series.length > 0 ? series : this.history;
+    if (!input || input.length === 0) {
+      throw new Error(`${this.constructor.name} has no history to forecast from`);
+    }
+    return this.predict(input, count, context);
+  }
+
+  // Mean squared error of one-step-ahead predictions over the series
+  inSampleError(series) {
+    const start = Math.max(1, this.minHistory());
+    let sse = 0;
+    let count = 0;
+    for (let t = start; t < series.length; t++) {
+      const predicted = this.predict(series.slice(0, t), 1)[0];
+      sse += (series[t] - predicted) ** 2;
+      count++;
+    }
+    return count > 0 ? sse / count : 0;
+  }
+
+  toJSON() {
+    return {
+      type: this.constructor.name,
+      options: this.options,
+      params: this.params,
+      history: this.history,
+      trainOpts: this.trainOpts
+    };
+  }
+
+  fromJSON(json) {
+    this.options = { ...(json.options || {}) };
+    this.params = { ...(json.params || {}) };
+    this.history = Array.isArray(json.history) ? json.history.slice() : [];
+    this.trainOpts = { ...(json.trainOpts || {}) };
+    return this;
+  }
+
+  // Subclasses select hyperparameters here and return the number of candidates evaluated
+  fit() {
+    return 1;
+  }
+
+  // Smallest history length the engine needs before its predictions mean anything
+  minHistory() {
+    return 1;
+  }
+
+  predict() {
+    throw new Error(`${this.constructor.name} must implement predict()`);
+  }
+}
+
+module.exports = StatisticalEngine;
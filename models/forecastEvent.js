@@ -0,0 +1,149 @@
+const db = require('../db/db');
+const { EVENT_TYPES } = require('./forecastEngines/calendarFeatures');
+
+// Dates are returned as plain YYYY-MM-DD strings so they do not shift with the server timezone
+const COLUMNS = `
+  id, name, event_type,
+  to_char(start_date, 'YYYY-MM-DD') AS start_date,
+  to_char(end_date, 'YYYY-MM-DD') AS end_date,
+  recurring, is_scenario, notes, created_at, updated_at
+`;
+
+let tableReady = null;
+
+// Holidays, promotions and store closures used as forecast inputs.
+// Scenario events are planned promos that only count when a forecast asks for them.
+class ForecastEvent {
+  static get TYPES() {
+    return EVENT_TYPES;
+  }
+
+  // Create the events table on first use
+  static ensureTable() {
+    if (!tableReady) {
+      tableReady = db.query(`
+        CREATE TABLE IF NOT EXISTS forecast_events (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          event_type VARCHAR(20) NOT NULL
+            CHECK (event_type IN ('holiday', 'promo', 'closure')),
+          start_date DATE NOT NULL,
+          end_date DATE NOT NULL,
+          recurring BOOLEAN NOT NULL DEFAULT false,
+          is_scenario BOOLEAN NOT NULL DEFAULT false,
+          notes TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          CHECK (end_date >= start_date)
+        )
+      `).catch(error => {
+        tableReady = null;
+        throw error;
+      });
+    }
+    return tableReady;
+  }
+
+  static async create({ name, event_type, start_date, end_date, recurring = false, is_scenario = false, notes = null }) {
+    try {
+      await this.ensureTable();
+      const result = await db.query(
+        `INSERT INTO forecast_events
+          (name, event_type, start_date, end_date, recurring, is_scenario, notes)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING ${COLUMNS}`,
+        [name, event_type, start_date, end_date || start_date, recurring, is_scenario, notes]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating forecast event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List events, oldest first
+   * @param {Object} filters - { type, includeScenarios (default true), from, to (YYYY-MM-DD overlap window) }
+   */
+  static async findAll({ type, includeScenarios = true, from, to } = {}) {
+    try {
+      await this.ensureTable();
+      const conditions = [];
+      const params = [];
+      if (type) {
+        params.push(type);
+        conditions.push(`event_type = $${params.length}`);
+      }
+      if (!includeScenarios) {
+        conditions.push('is_scenario = false');
+      }
+      if (from) {
+        params.push(from);
+        conditions.push(`(recurring OR end_date >= $${params.length})`);
+      }
+      if (to) {
+        params.push(to);
+        conditions.push(`(recurring OR start_date <= $${params.length})`);
+      }
+
+      const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const result = await db.query(
+        `SELECT ${COLUMNS} FROM forecast_events ${whereClause} ORDER BY start_date, id`,
+        params
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error finding forecast events:', error);
+      throw error;
+    }
+  }
+
+  static async findById(eventId) {
+    try {
+      await this.ensureTable();
+      const result = await db.query(`SELECT ${COLUMNS} FROM forecast_events WHERE id = $1`, [eventId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding forecast event:', error);
+      throw error;
+    }
+  }
+
+  // Update the given fields; returns null when the event does not exist
+  static async update(eventId, fields) {
+    const allowed = ['name', 'event_type', 'start_date', 'end_date', 'recurring', 'is_scenario', 'notes'];
+    const updates = Object.keys(fields).filter(key => allowed.includes(key) && fields[key] !== undefined);
+    if (updates.length === 0) {
+      return this.findById(eventId);
+    }
+
+    try {
+      await this.ensureTable();
+      const setClause = updates.map((key, i) => `${key} = $${i + 2}`).join(', ');
+      const result = await db.query(
+        `UPDATE forecast_events
+        SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING ${COLUMNS}`,
+        [eventId, ...updates.map(key => fields[key])]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error updating forecast event:', error);
+      throw error;
+    }
+  }
+
+  static async delete(eventId) {
+    try {
+      await this.ensureTable();
+      const result = await db.query('DELETE FROM forecast_events WHERE id = $1 RETURNING id', [eventId]);
+      return result.rows.length > 0;
+    } catch (error) {
+      console.error('Error deleting forecast event:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ForecastEvent;
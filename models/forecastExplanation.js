@@ -0,0 +1,226 @@
+// Explanation of a forecast in terms of its history: an STL-style decomposition of the sales
+// series into trend, seasonal and residual components, and the trend and seasonal parts of
+// each forecast point. The decomposition alternates two smoothers, as STL's inner loop does:
+//
+//   seasonal  - mean of the detrended values at each position in the season, centred on zero
+//   trend     - centred moving average (one season wide) of the deseasonalized values
+//
+// A seasonal component needs at least two full seasons of history; shorter series are
+// explained by trend alone.
+
+const INNER_ITERATIONS = 2;
+
+const round = (value, digits = 2) => (value === null || !isFinite(value) ? null : Number(value.toFixed(digits)));
+
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const variance = values => {
+  const center = mean(values);
+  return mean(values.map(value => (value - center) ** 2));
+};
+
+// Least-squares line through `values`: { intercept, slope } with t = 0 at the first value
+function fitLine(values) {
+  const tMean = (values.length - 1) / 2;
+  const yMean = mean(values);
+  let numerator = 0;
+  let denominator = 0;
+  values.forEach((value, t) => {
+    numerator += (t - tMean) * (value - yMean);
+    denominator += (t - tMean) ** 2;
+  });
+  const slope = denominator > 0 ? numerator / denominator : 0;
+  return { intercept: yMean - slope * tMean, slope };
+}
+
+// Centred moving average. An even width uses the usual 2 x width average (half weight on
+// both ends). Where the window does not fit, the average is extended along the line through
+// the nearest `width` averaged values, so the ends do not lag behind a growing series.
+function movingAverage(values, width) {
+  const half = Math.floor(width / 2);
+  if (values.length < 2 * half + 2) {
+    const { intercept, slope } = fitLine(values);
+    return values.map((value, t) => intercept + slope * t);
+  }
+
+  const averaged = values.map((value, t) => {
+    if (t < half || t >= values.length - half) return null;
+    let total = 0;
+    let weights = 0;
+    for (let k = -half; k <= half; k++) {
+      const weight = width % 2 === 0 && Math.abs(k) === half ? 0.5 : 1;
+      total += values[t + k] * weight;
+      weights += weight;
+    }
+    return total / weights;
+  });
+
+  const first = half;
+  const last = values.length - half - 1;
+  const head = fitLine(averaged.slice(first, Math.min(last, first + width - 1) + 1));
+  const tail = fitLine(averaged.slice(Math.max(first, last - width + 1), last + 1));
+  const tailStart = Math.max(first, last - width + 1);
+  return averaged.map((value, t) => {
+    if (t < first) return head.intercept + head.slope * (t - first);
+    if (t > last) return tail.intercept + tail.slope * (t - tailStart);
+    return value;
+  });
+}
+
+/**
+ * Decompose a series into trend, seasonal and residual components
+ * @param {number[]} values - Sales values, oldest first
+ * @param {number} seasonLength - Periods per season
+ * @returns {Object} - { trend, seasonal, residual, pattern (seasonal value per position), seasonLength }
+ */
+function decomposeSeries(values, seasonLength) {
+  const hasSeason = seasonLength >= 2 && values.length >= 2 * seasonLength;
+  const width = hasSeason ? seasonLength : Math.max(3, Math.min(seasonLength, Math.floor(values.length / 2)));
+
+  let trend = movingAverage(values, width);
+  let pattern = new Array(hasSeason ? seasonLength : 0).fill(0);
+  if (hasSeason) {
+    for (let iteration = 0; iteration < INNER_ITERATIONS; iteration++) {
+      const positions = pattern.map((_, position) =>
+        mean(values.filter((value, t) => t % seasonLength === position).map((value, i) => value - trend[position + i * seasonLength])));
+      const level = mean(positions);
+      pattern = positions.map(value => value - level);
+      trend = movingAverage(values.map((value, t) => value - pattern[t % seasonLength]), width);
+    }
+  }
+
+  const seasonal = values.map((value, t) => (hasSeason ? pattern[t % seasonLength] : 0));
+  return {
+    trend,
+    seasonal,
+    residual: values.map((value, t) => value - trend[t] - seasonal[t]),
+    pattern,
+    seasonLength: hasSeason ? seasonLength : null
+  };
+}
+
+// Least-squares slope of the last `count` values
+const recentSlope = (values, count) => fitLine(values.slice(-count)).slope;
+
+// Name of a period's position in the season: its month, weekday or week number
+function seasonName(period, granularity) {
+  if (granularity === 'day') return period.day_name;
+  if (granularity === 'week') return `Week ${period.week}`;
+  return period.month_name;
+}
+
+const formatAmount = value => Math.round(value).toLocaleString('en-US');
+
+const signed = value => `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+
+const signedAmount = value => `${value >= 0 ? '+' : '-'}${formatAmount(Math.abs(value))}`;
+
+/**
+ * Explain a forecast by the trend and seasonality of its history
+ * @param {Object[]} salesData - History rows from getSalesData()
+ * @param {Object[]} predictions - Forecast rows (describePeriod fields plus predicted_sales)
+ * @param {Object} options - { granularity, seasonLength }
+ * @returns {Object} - Decomposition, trend, seasonality, per-point contributions and a summary
+ */
+function explainForecast(salesData, predictions, { granularity, seasonLength }) {
+  const values = salesData.map(row => row.total_sales);
+  const { trend, seasonal, residual, pattern, seasonLength: season } = decomposeSeries(values, seasonLength);
+  const n = values.length;
+
+  // Trend growth over the last season (or the whole series when it is shorter)
+  const slopeWindow = Math.min(seasonLength, n);
+  const slope = recentSlope(trend, slopeWindow);
+  const lastTrend = trend[n - 1];
+  // Compound growth rate of the trend over that window
+  const windowStart = trend[n - slopeWindow];
+  const percentPerPeriod = slopeWindow > 1 && windowStart > 0 && lastTrend > 0
+    ? (Math.pow(lastTrend / windowStart, 1 / (slopeWindow - 1)) - 1) * 100
+    : null;
+
+  // Strength of each component (0 to 1): how much of the variation it explains beyond the residual
+  const residualVariance = variance(residual);
+  const strength = component => {
+    const combined = variance(component.map((value, t) => value + residual[t]));
+    return combined > 0 ? Math.max(0, 1 - residualVariance / combined) : 0;
+  };
+
+  // Seasonal index per position: (trend + seasonal) / trend, averaged over the seasons
+  let indices = [];
+  if (season) {
+    indices = pattern.map((effect, position) => {
+      const ratios = [];
+      for (let t = position; t < n; t += season) {
+        if (trend[t] > 0) ratios.push((trend[t] + seasonal[t]) / trend[t]);
+      }
+      return {
+        position,
+        name: seasonName(salesData[position], granularity),
+        effect: Math.round(effect),
+        index: ratios.length > 0 ? round(mean(ratios)) : null
+      };
+    });
+  }
+
+  const contributions = predictions.map((prediction, h) => {
+    const trendValue = lastTrend + slope * (h + 1);
+    const position = season ? (n + h) % season : null;
+    const seasonalValue = season ? pattern[position] : 0;
+    return {
+      period_start: prediction.period_start,
+      label: prediction.label,
+      predicted_sales: prediction.predicted_sales,
+      trend: Math.round(trendValue),
+      seasonal: Math.round(seasonalValue),
+      seasonal_index: season ? indices[position].index : null,
+      // What the model forecasts beyond the extrapolated trend and the seasonal pattern
+      other: Math.round(prediction.predicted_sales - trendValue - seasonalValue)
+    };
+  });
+
+  const sentences = [];
+  if (percentPerPeriod !== null) {
+    sentences.push(`Trend ${signed(percentPerPeriod)}%/${granularity} over the last ${slopeWindow} ${granularity}s.`);
+  }
+  const ranked = indices.filter(item => item.index !== null).sort((a, b) => b.index - a.index);
+  if (ranked.length > 0) {
+    const peak = ranked[0];
+    const trough = ranked[ranked.length - 1];
+    sentences.push(`${peak.name} seasonal index ${peak.index.toFixed(2)} (highest), ${trough.name} ${trough.index.toFixed(2)} (lowest).`);
+  } else {
+    sentences.push(`Less than two seasons of history (${2 * seasonLength} ${granularity}s needed), so no seasonal pattern is estimated.`);
+  }
+  if (contributions.length > 0) {
+    const top = contributions.reduce((best, item) => (item.predicted_sales > best.predicted_sales ? item : best));
+    const parts = [`trend ${formatAmount(top.trend)}`];
+    if (season) parts.push(`seasonal ${signedAmount(top.seasonal)}`);
+    parts.push(`other ${signedAmount(top.other)}`);
+    sentences.push(`Highest forecast: ${top.label} at ${formatAmount(top.predicted_sales)} (${parts.join(', ')}).`);
+  }
+
+  return {
+    method: 'stl-style moving-average decomposition',
+    season_length: season,
+    decomposition: salesData.map((row, t) => ({
+      period_start: row.period_start,
+      label: row.label,
+      actual_sales: row.total_sales,
+      trend: Math.round(trend[t]),
+      seasonal: Math.round(seasonal[t]),
+      residual: Math.round(residual[t])
+    })),
+    trend: {
+      slope_per_period: Math.round(slope),
+      percent_per_period: round(percentPerPeriod),
+      window: slopeWindow,
+      strength: round(strength(trend))
+    },
+    seasonality: season ? { strength: round(strength(seasonal)), indices } : null,
+    contributions,
+    summary: sentences.join(' ')
+  };
+}
+
+module.exports = {
+  decomposeSeries,
+  explainForecast
+};
@@ -0,0 +1,272 @@
+const db = require('../db/db');
+
+const STATUSES = {
+  CANDIDATE: 'candidate',
+  ACTIVE: 'active',
+  ARCHIVED: 'archived'
+};
+
+// Columns returned when listing models (model_json can be large, so it is left out)
+const SUMMARY_COLUMNS = `
+  id, name, engine, granularity, model_type, normalization, training_window, metrics, metadata,
+  status, created_at, updated_at, promoted_at
+`;
+
+let tableReady = null;
+
+class ForecastModel {
+  // Create the registry table on first use
+  static ensureTable() {
+    if (!tableReady) {
+      tableReady = db.query(`
+        CREATE TABLE IF NOT EXISTS forecast_models (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) NOT NULL UNIQUE,
+          engine VARCHAR(50) NOT NULL,
+          model_type VARCHAR(50) NOT NULL,
+          model_json JSONB NOT NULL,
+          normalization JSONB,
+          training_window JSONB,
+          metrics JSONB,
+          metadata JSONB,
+          status VARCHAR(20) NOT NULL DEFAULT 'candidate'
+            CHECK (status IN ('candidate', 'active', 'archived')),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          promoted_at TIMESTAMP
+        );
+        -- Models trained on daily or weekly series are kept apart from monthly ones
+        ALTER TABLE forecast_models
+          ADD COLUMN IF NOT EXISTS granularity VARCHAR(10) NOT NULL DEFAULT 'month';
+        CREATE INDEX IF NOT EXISTS forecast_models_engine_status_idx
+          ON forecast_models (engine, status);
+        -- One active model per engine and granularity; older duplicates are archived first
+        UPDATE forecast_models f
+        SET status = 'archived', updated_at = CURRENT_TIMESTAMP
+        WHERE f.status = 'active' AND EXISTS (
+          SELECT 1 FROM forecast_models n
+          WHERE n.engine = f.engine AND n.granularity = f.granularity AND n.status = 'active'
+            AND (COALESCE(n.promoted_at, '-infinity'), n.id) > (COALESCE(f.promoted_at, '-infinity'), f.id)
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS forecast_models_one_active_idx
+          ON forecast_models (engine, granularity) WHERE status = 'active';
+      `).catch(error => {
+        tableReady = null;
+        throw error;
+      });
+    }
+    return tableReady;
+  }
+
+  static async create(modelData) {
+    const {
+      name,
+      engine,
+      granularity = 'month',
+      model_type,
+      model_json,
+      normalization = null,
+      training_window = null,
+      metrics = null,
+      metadata = null,
+      status = STATUSES.CANDIDATE
+    } = modelData;
+
+    try {
+      await this.ensureTable();
+      const result = await db.query(
+        `INSERT INTO forecast_models
+          (name, engine, model_type, model_json, normalization, training_window, metrics, metadata, status, granularity)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING ${SUMMARY_COLUMNS}`,
+        [
+          name,
+          engine,
+          model_type,
+          JSON.stringify(model_json),
+          normalization && JSON.stringify(normalization),
+          training_window && JSON.stringify(training_window),
+          metrics && JSON.stringify(metrics),
+          metadata && JSON.stringify(metadata),
+          status,
+          granularity
+        ]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating forecast model:', error);
+      throw error;
+    }
+  }
+
+  static async findAll(filters = {}) {
+    try {
+      await this.ensureTable();
+      let query = `SELECT ${SUMMARY_COLUMNS} FROM forecast_models WHERE 1=1`;
+      const params = [];
+
+      if (filters.status) {
+        query += ` AND status = $${params.length + 1}`;
+        params.push(filters.status);
+      }
+
+      if (filters.engine) {
+        query += ` AND engine = $${params.length + 1}`;
+        params.push(filters.engine);
+      }
+
+      if (filters.granularity) {
+        query += ` AND granularity = $${params.length + 1}`;
+        params.push(filters.granularity);
+      }
+
+      query += ' ORDER BY created_at DESC';
+
+      const result = await db.query(query, params);
+      return result.rows;
+    } catch (error) {
+      console.error('Error finding forecast models:', error);
+      throw error;
+    }
+  }
+
+  // Look a model up by numeric id or by name
+  static async findById(modelRef, includeModel = true) {
+    try {
+      await this.ensureTable();
+      const isNumeric = /^\d+$/.test(String(modelRef));
+      const column = isNumeric ? 'id' : 'name';
+      const columns = includeModel ? `${SUMMARY_COLUMNS}, model_json` : SUMMARY_COLUMNS;
+
+      const result = await db.query(
+        `SELECT ${columns} FROM forecast_models WHERE ${column} = $1`,
+        [isNumeric ? parseInt(modelRef, 10) : modelRef]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding forecast model:', error);
+      throw error;
+    }
+  }
+
+  static async findActive(engine, granularity = 'month') {
+    try {
+      await this.ensureTable();
+      const result = await db.query(
+        `SELECT ${SUMMARY_COLUMNS}, model_json
+         FROM forecast_models
+         WHERE engine = $1 AND granularity = $2 AND status = 'active'
+         ORDER BY promoted_at DESC NULLS LAST
+         LIMIT 1`,
+        [engine, granularity]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding active forecast model:', error);
+      throw error;
+    }
+  }
+
+  // Make a model the active one for its engine and granularity; the previously active model is archived.
+  // Promotions of the same engine and granularity take turns, and a unique index allows only one active model.
+  // With `ifNoActive` the model is only promoted when there is no active model yet.
+  static async promote(modelRef, { ifNoActive = false } = {}) {
+    try {
+      const model = await this.findById(modelRef, false);
+      if (!model) {
+        return { success: false, message: 'Model not found', status: 404 };
+      }
+
+      return await db.transaction(async client => {
+        await client.query(
+          `SELECT pg_advisory_xact_lock(hashtext('forecast_models'), hashtext($1 || ':' || $2))`,
+          [model.engine, model.granularity]
+        );
+
+        if (ifNoActive) {
+          const active = await client.query(
+            `SELECT id FROM forecast_models WHERE engine = $1 AND granularity = $2 AND status = 'active'`,
+            [model.engine, model.granularity]
+          );
+          if (active.rows.length > 0) {
+            return { success: false, message: 'Another model is already active', status: 409 };
+          }
+        }
+
+        const result = await client.query(
+          `WITH archived AS (
+             UPDATE forecast_models
+             SET status = 'archived', updated_at = CURRENT_TIMESTAMP
+             WHERE engine = $2 AND granularity = $3 AND status = 'active' AND id <> $1
+             RETURNING id
+           )
+           UPDATE forecast_models
+           SET status = 'active', promoted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1
+           RETURNING ${SUMMARY_COLUMNS}, (SELECT array_agg(id) FROM archived) AS archived_ids`,
+          [model.id, model.engine, model.granularity]
+        );
+
+        return { success: true, model: result.rows[0], status: 200 };
+      });
+    } catch (error) {
+      console.error('Error promoting forecast model:', error);
+      return { success: false, message: 'Internal server error', status: 500 };
+    }
+  }
+
+  static async archive(modelRef) {
+    try {
+      const model = await this.findById(modelRef, false);
+      if (!model) {
+        return { success: false, message: 'Model not found', status: 404 };
+      }
+      if (model.status === STATUSES.ARCHIVED) {
+        return { success: false, message: 'Model is already archived', status: 400 };
+      }
+
+      const result = await db.query(
+        `UPDATE forecast_models
+         SET status = 'archived', updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING ${SUMMARY_COLUMNS}`,
+        [model.id]
+      );
+
+      return { success: true, model: result.rows[0], status: 200 };
+    } catch (error) {
+      console.error('Error archiving forecast model:', error);
+      return { success: false, message: 'Internal server error', status: 500 };
+    }
+  }
+
+  static async delete(modelRef) {
+    try {
+      const model = await this.findById(modelRef, false);
+      if (!model) {
+        return { success: false, message: 'Model not found', status: 404 };
+      }
+      // The active model is in use by /sales; it has to be replaced or archived first
+      if (model.status === STATUSES.ACTIVE) {
+        return { success: false, message: 'Cannot delete the active model. Promote another model or archive it first.', status: 409 };
+      }
+
+      const result = await db.query(
+        `DELETE FROM forecast_models WHERE id = $1 RETURNING ${SUMMARY_COLUMNS}`,
+        [model.id]
+      );
+
+      return { success: true, model: result.rows[0], status: 200 };
+    } catch (error) {
+      console.error('Error deleting forecast model:', error);
+      return { success: false, message: 'Internal server error', status: 500 };
+    }
+  }
+
+  // Make STATUSES accessible from the class
+  static get STATUSES() {
+    return STATUSES;
+  }
+}
+
+module.exports = ForecastModel;
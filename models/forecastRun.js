@@ -0,0 +1,288 @@
+const db = require('../db/db');
+const ForecastModel = require('./forecastModel');
+
+let tablesReady = null;
+
+const round = value => Number(value.toFixed(2));
+
+const monthName = (year, month) => new Date(year, month - 1, 1).toLocaleString('default', { month: 'long' });
+
+// Mean absolute percentage error of rows with a non-zero actual, or null
+function computeMape(rows) {
+  const scored = rows.filter(row => row.actual_sales !== 0);
+  if (scored.length === 0) return null;
+  const total = scored.reduce((sum, row) => sum + Math.abs(row.predicted_sales - row.actual_sales) / Math.abs(row.actual_sales), 0);
+  return round((total / scored.length) * 100);
+}
+
+// Snapshots of forecasts served by /api/predictions/sales, scored once the months close
+class ForecastRun {
+  // Create the snapshot tables on first use (runs reference the model registry)
+  static ensureTables() {
+    if (!tablesReady) {
+      tablesReady = ForecastModel.ensureTable().then(() => db.query(`
+        CREATE TABLE IF NOT EXISTS forecast_runs (
+          id SERIAL PRIMARY KEY,
+          model_id INTEGER REFERENCES forecast_models(id) ON DELETE SET NULL,
+          model_name VARCHAR(255),
+          engine VARCHAR(50) NOT NULL,
+          source VARCHAR(50),
+          horizon INTEGER NOT NULL,
+          last_actual_year INTEGER NOT NULL,
+          last_actual_month INTEGER NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS forecast_run_values (
+          id SERIAL PRIMARY KEY,
+          run_id INTEGER NOT NULL REFERENCES forecast_runs(id) ON DELETE CASCADE,
+          year INTEGER NOT NULL,
+          month INTEGER NOT NULL,
+          horizon_step INTEGER NOT NULL,
+          predicted_sales NUMERIC(14, 2) NOT NULL,
+          intervals JSONB,
+          actual_sales NUMERIC(14, 2),
+          actual_recorded_at TIMESTAMP,
+          UNIQUE (run_id, year, month)
+        );
+        CREATE INDEX IF NOT EXISTS forecast_run_values_period_idx
+          ON forecast_run_values (year, month);
+      `)).catch(error => {
+        tablesReady = null;
+        throw error;
+      });
+    }
+    return tablesReady;
+  }
+
+  /**
+   * Persist a forecast run and its per-month predictions. /sales serves the same model many
+   * times a month, so a model only gets one run per as-of month and horizon; later calls
+   * return that run instead of weighting accuracy by how often the forecast was viewed.
+   * @param {Object} runData - { modelId, modelName, engine, source, lastActual: { year, month }, predictions }
+   * @returns {Promise<Object>} - The created run, or the earlier run of the same model, month and horizon
+   */
+  static async create({ modelId = null, modelName = null, engine, source = null, lastActual, predictions }) {
+    try {
+      await this.ensureTables();
+      return await db.transaction(async client => {
+        if (modelId !== null) {
+          // One snapshot at a time per model, so concurrent requests cannot both miss the stored run
+          await client.query(`SELECT pg_advisory_xact_lock(hashtext('forecast_runs'), $1)`, [modelId]);
+          const existing = await client.query(
+            `SELECT * FROM forecast_runs
+            WHERE model_id = $1 AND last_actual_year = $2 AND last_actual_month = $3 AND horizon = $4
+            ORDER BY id
+            LIMIT 1`,
+            [modelId, lastActual.year, lastActual.month, predictions.length]
+          );
+          if (existing.rows.length > 0) {
+            return existing.rows[0];
+          }
+        }
+
+        const runResult = await client.query(
+          `INSERT INTO forecast_runs
+            (model_id, model_name, engine, source, horizon, last_actual_year, last_actual_month)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          RETURNING *`,
+          [modelId, modelName, engine, source, predictions.length, lastActual.year, lastActual.month]
+        );
+        const run = runResult.rows[0];
+
+        for (const [index, prediction] of predictions.entries()) {
+          await client.query(
+            `INSERT INTO forecast_run_values
+              (run_id, year, month, horizon_step, predicted_sales, intervals)
+            VALUES ($1, $2, $3, $4, $5, $6)`,
+            [
+              run.id,
+              prediction.year,
+              prediction.month,
+              index + 1,
+              prediction.predicted_sales,
+              prediction.intervals ? JSON.stringify(prediction.intervals) : null
+            ]
+          );
+        }
+
+        return run;
+      });
+    } catch (error) {
+      console.error('Error saving forecast run:', error);
+      throw error;
+    }
+  }
+
+  static async findAll({ engine, limit = 50 } = {}) {
+    try {
+      await this.ensureTables();
+      const params = [];
+      let whereClause = '';
+      if (engine) {
+        params.push(engine);
+        whereClause = `WHERE r.engine = $${params.length}`;
+      }
+      params.push(limit);
+
+      const result = await db.query(
+        `SELECT r.*,
+          COUNT(v.actual_sales) AS months_with_actuals
+        FROM forecast_runs r
+        LEFT JOIN forecast_run_values v ON v.run_id = r.id
+        ${whereClause}
+        GROUP BY r.id
+        ORDER BY r.created_at DESC
+        LIMIT $${params.length}`,
+        params
+      );
+      return result.rows.map(row => ({ ...row, months_with_actuals: parseInt(row.months_with_actuals) }));
+    } catch (error) {
+      console.error('Error finding forecast runs:', error);
+      throw error;
+    }
+  }
+
+  // A run with its per-month values (and actuals where the month has closed)
+  static async findById(runId) {
+    try {
+      await this.ensureTables();
+      const runResult = await db.query('SELECT * FROM forecast_runs WHERE id = $1', [runId]);
+      if (runResult.rows.length === 0) {
+        return null;
+      }
+
+      const valuesResult = await db.query(
+        `SELECT year, month, horizon_step, predicted_sales, intervals, actual_sales, actual_recorded_at
+        FROM forecast_run_values
+        WHERE run_id = $1
+        ORDER BY horizon_step`,
+        [runId]
+      );
+
+      return {
+        ...runResult.rows[0],
+        values: valuesResult.rows.map(row => ({
+          ...row,
+          month_name: monthName(row.year, row.month),
+          predicted_sales: parseFloat(row.predicted_sales),
+          actual_sales: row.actual_sales !== null ? parseFloat(row.actual_sales) : null
+        }))
+      };
+    } catch (error) {
+      console.error('Error finding forecast run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a closed month's actual sales against every forecast made for it.
+   * Re-running for the same month overwrites the actual with the latest total.
+   * @returns {Promise<number>} - Number of forecast values updated
+   */
+  static async recordActuals(year, month, actualSales) {
+    try {
+      await this.ensureTables();
+      const result = await db.query(
+        `UPDATE forecast_run_values
+        SET actual_sales = $3, actual_recorded_at = CURRENT_TIMESTAMP
+        WHERE year = $1 AND month = $2`,
+        [year, month, actualSales]
+      );
+      return result.rowCount;
+    } catch (error) {
+      console.error('Error recording forecast actuals:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forecast-vs-actual accuracy over time.
+   * MAPE is computed per target month (over every forecast made for it) and per horizon step.
+   * Runs saved before snapshots were de-duplicated count once per model, as-of month and horizon.
+   * The alert fires when the MAPE over the most recent `window` scored months exceeds `mapeThreshold`.
+   * @param {Object} options - { engine, mapeThreshold (percent), window (months) }
+   */
+  static async getAccuracy({ engine, mapeThreshold = 20, window = 3 } = {}) {
+    try {
+      await this.ensureTables();
+      const params = [];
+      let engineClause = '';
+      if (engine) {
+        params.push(engine);
+        engineClause = `AND r.engine = $${params.length}`;
+      }
+
+      const result = await db.query(
+        `SELECT v.year, v.month, v.horizon_step, v.predicted_sales, v.actual_sales
+        FROM forecast_run_values v
+        JOIN (
+          SELECT DISTINCT ON (COALESCE(model_name, id::text), last_actual_year, last_actual_month, horizon) id, engine
+          FROM forecast_runs
+          ORDER BY COALESCE(model_name, id::text), last_actual_year, last_actual_month, horizon, id
+        ) r ON r.id = v.run_id
+        WHERE v.actual_sales IS NOT NULL ${engineClause}
+        ORDER BY v.year, v.month, v.horizon_step`,
+        params
+      );
+      const rows = result.rows.map(row => ({
+        ...row,
+        predicted_sales: parseFloat(row.predicted_sales),
+        actual_sales: parseFloat(row.actual_sales)
+      }));
+
+      // Drift over time: accuracy per target month
+      const monthGroups = new Map();
+      rows.forEach(row => {
+        const key = `${row.year}-${row.month}`;
+        if (!monthGroups.has(key)) monthGroups.set(key, []);
+        monthGroups.get(key).push(row);
+      });
+      const byMonth = [...monthGroups.values()].map((group, index, groups) => {
+        const recent = groups.slice(Math.max(0, index - window + 1), index + 1).flat();
+        return {
+          year: group[0].year,
+          month: group[0].month,
+          month_name: monthName(group[0].year, group[0].month),
+          actual_sales: group[0].actual_sales,
+          forecasts: group.length,
+          mape: computeMape(group),
+          rolling_mape: computeMape(recent)
+        };
+      });
+
+      // Accuracy by how far ahead the forecast was made
+      const stepGroups = new Map();
+      rows.forEach(row => {
+        if (!stepGroups.has(row.horizon_step)) stepGroups.set(row.horizon_step, []);
+        stepGroups.get(row.horizon_step).push(row);
+      });
+      const byHorizon = [...stepGroups.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([step, group]) => ({ horizon_step: step, forecasts: group.length, mape: computeMape(group) }));
+
+      const latest = byMonth.length > 0 ? byMonth[byMonth.length - 1] : null;
+      const triggered = !!latest && latest.rolling_mape !== null && latest.rolling_mape > mapeThreshold;
+
+      return {
+        scored_forecasts: rows.length,
+        overall_mape: computeMape(rows),
+        by_month: byMonth,
+        by_horizon: byHorizon,
+        alert: {
+          triggered,
+          mape_threshold: mapeThreshold,
+          window,
+          latest_rolling_mape: latest ? latest.rolling_mape : null,
+          message: triggered
+            ? `Forecast MAPE over the last ${window} month(s) is ${latest.rolling_mape}%, above the ${mapeThreshold}% threshold`
+            : null
+        }
+      };
+    } catch (error) {
+      console.error('Error computing forecast accuracy:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ForecastRun;
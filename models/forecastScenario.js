@@ -0,0 +1,110 @@
+const db = require('../db/db');
+const ForecastRun = require('./forecastRun');
+
+let tableReady = null;
+
+// Saved what-if scenarios: a baseline forecast, the adjustments applied to it and the result
+class ForecastScenario {
+  // Create the scenarios table on first use (scenarios may reference a forecast run)
+  static ensureTable() {
+    if (!tableReady) {
+      tableReady = ForecastRun.ensureTables().then(() => db.query(`
+        CREATE TABLE IF NOT EXISTS forecast_scenarios (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          description TEXT,
+          baseline_type VARCHAR(20) NOT NULL
+            CHECK (baseline_type IN ('run', 'forecast')),
+          run_id INTEGER REFERENCES forecast_runs(id) ON DELETE SET NULL,
+          engine VARCHAR(50),
+          adjustments JSONB NOT NULL,
+          series JSONB NOT NULL,
+          totals JSONB NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `)).catch(error => {
+        tableReady = null;
+        throw error;
+      });
+    }
+    return tableReady;
+  }
+
+  /**
+   * Save a scenario
+   * @param {Object} scenarioData - { name, description, baselineType, runId, engine, adjustments, series, totals }
+   * @returns {Promise<Object>} - The saved scenario
+   */
+  static async create({ name, description = null, baselineType, runId = null, engine = null, adjustments, series, totals }) {
+    try {
+      await this.ensureTable();
+      const result = await db.query(
+        `INSERT INTO forecast_scenarios
+          (name, description, baseline_type, run_id, engine, adjustments, series, totals)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *`,
+        [name, description, baselineType, runId, engine, JSON.stringify(adjustments), JSON.stringify(series), JSON.stringify(totals)]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error saving forecast scenario:', error);
+      throw error;
+    }
+  }
+
+  // Scenarios without their series, newest first
+  static async findAll({ limit = 50 } = {}) {
+    try {
+      await this.ensureTable();
+      const result = await db.query(
+        `SELECT id, name, description, baseline_type, run_id, engine, totals, created_at
+        FROM forecast_scenarios
+        ORDER BY created_at DESC
+        LIMIT $1`,
+        [limit]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error finding forecast scenarios:', error);
+      throw error;
+    }
+  }
+
+  static async findById(scenarioId) {
+    try {
+      await this.ensureTable();
+      const result = await db.query('SELECT * FROM forecast_scenarios WHERE id = $1', [scenarioId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding forecast scenario:', error);
+      throw error;
+    }
+  }
+
+  static async findByIds(scenarioIds) {
+    try {
+      await this.ensureTable();
+      const result = await db.query(
+        'SELECT * FROM forecast_scenarios WHERE id = ANY($1::int[]) ORDER BY id',
+        [scenarioIds]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error finding forecast scenarios:', error);
+      throw error;
+    }
+  }
+
+  static async delete(scenarioId) {
+    try {
+      await this.ensureTable();
+      const result = await db.query('DELETE FROM forecast_scenarios WHERE id = $1 RETURNING id', [scenarioId]);
+      return result.rows.length > 0;
+    } catch (error) {
+      console.error('Error deleting forecast scenario:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ForecastScenario;
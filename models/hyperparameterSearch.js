@@ -0,0 +1,162 @@
+const { runBacktest } = require('./backtest');
+
+// Metrics a search can be ranked by (lower is better)
+const RANK_METRICS = ['mae', 'rmse', 'mape', 'smape', 'mase'];
+
+const STRATEGIES = ['grid', 'random'];
+
+// Hidden layer sizes and learning rate only apply to the GRU network; the other
+// engines are tuned over lookback window and normalization scheme alone.
+const TUNABLE_NETWORK_ENGINES = ['gru'];
+
+/**
+ * Values tried for each hyperparameter unless the request narrows them
+ * @param {number} seasonLength - Periods per season of the series granularity
+ * @returns {Object} - { hiddenLayers, learningRate, lookback, normalization }
+ *   A lookback of null trains on the whole series.
+ */
+function defaultSearchSpace(seasonLength = 12) {
+  return {
+    hiddenLayers: [[10], [20], [20, 20]],
+    learningRate: [0.001, 0.005, 0.01],
+    lookback: [null, seasonLength * 3, seasonLength * 2],
+    normalization: ['minmax', 'zscore']
+  };
+}
+
+// Small seeded PRNG (mulberry32) so random searches can be repeated
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Expand a search space into the configurations to try
+ * @param {Object} space - Arrays of values per hyperparameter
+ * @param {Object} options - { engine, strategy ('grid' | 'random'), maxTrials, seed }
+ * @returns {Object[]} - Configurations { hiddenLayers, learningRate, lookback, normalization }
+ */
+function buildCandidates(space, { engine, strategy = 'random', maxTrials = 20, seed } = {}) {
+  const tunesNetwork = TUNABLE_NETWORK_ENGINES.includes(engine);
+  const dimensions = {
+    hiddenLayers: tunesNetwork ? space.hiddenLayers : [null],
+    learningRate: tunesNetwork ? space.learningRate : [null],
+    lookback: space.lookback,
+    normalization: space.normalization
+  };
+
+  let candidates = [{}];
+  Object.entries(dimensions).forEach(([key, values]) => {
+    candidates = candidates.flatMap(candidate => values.map(value => ({ ...candidate, [key]: value })));
+  });
+
+  if (strategy === 'random') {
+    // Fisher-Yates shuffle, then keep the first maxTrials configurations
+    const random = seed !== undefined ? seededRandom(seed) : Math.random;
+    for (let i = candidates.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+    }
+  }
+  return candidates.slice(0, maxTrials);
+}
+
+// Engine and training options for one configuration
+function applyConfig(config, engineOptions = {}, trainingOptions = {}) {
+  return {
+    engineOptions: config.hiddenLayers ? { ...engineOptions, hiddenLayers: config.hiddenLayers } : engineOptions,
+    trainingOptions: config.learningRate ? { ...trainingOptions, learningRate: config.learningRate } : trainingOptions
+  };
+}
+
+/**
+ * Score every candidate configuration by walk-forward validation and rank them.
+ * All candidates are scored on the same folds: the last `folds` origins of the series,
+ * each forecasting `horizon` periods. A candidate's lookback limits how much history
+ * each fold trains on.
+ * @param {Object[]} salesData - Sales rows from getSalesData()
+ * @param {Object} options - { engine, engineOptions, trainingOptions, space, strategy, maxTrials,
+ *   seed, folds, horizon, seasonLength, rankBy, onTrial(trial, total) }
+ * @returns {Object} - { strategy, rankBy, folds, horizon, trials, leaderboard, best }
+ */
+function runSearch(salesData, options = {}) {
+  const {
+    engine,
+    engineOptions = {},
+    trainingOptions = {},
+    space = defaultSearchSpace(options.seasonLength),
+    strategy = 'random',
+    maxTrials = 20,
+    seed,
+    folds = 3,
+    horizon = 3,
+    seasonLength = 12,
+    rankBy = 'rmse',
+    onTrial
+  } = options;
+
+  const initialWindow = salesData.length - horizon - folds + 1;
+  if (initialWindow < 2) {
+    throw new Error(`At least ${horizon + folds + 1} periods of data are required for tuning, found ${salesData.length}`);
+  }
+
+  const candidates = buildCandidates(space, { engine, strategy, maxTrials, seed });
+  const trials = [];
+
+  candidates.forEach((config, index) => {
+    const trial = { trial: index + 1, config, score: null, metrics: null };
+    try {
+      const { engineOptions: trialEngineOptions, trainingOptions: trialTrainingOptions } =
+        applyConfig(config, engineOptions, trainingOptions);
+      const result = runBacktest(
+        salesData,
+        {
+          engine,
+          engineOptions: trialEngineOptions,
+          trainingOptions: trialTrainingOptions,
+          normalization: config.normalization
+        },
+        { initialWindow, horizon, step: 1, seasonLength, trainingWindow: config.lookback || 0 }
+      );
+      trial.metrics = result.aggregate;
+      trial.score = result.aggregate[rankBy];
+    } catch (error) {
+      // A configuration that cannot be trained (e.g. a lookback too short for the engine)
+      // is kept on the leaderboard, unranked
+      trial.error = error.message;
+    }
+    trials.push(trial);
+    if (onTrial) onTrial(trial, candidates.length);
+  });
+
+  const scored = trials.filter(trial => trial.score !== null).sort((a, b) => a.score - b.score);
+  const leaderboard = [
+    ...scored.map((trial, i) => ({ rank: i + 1, ...trial })),
+    ...trials.filter(trial => trial.score === null).map(trial => ({ rank: null, ...trial }))
+  ];
+
+  return {
+    strategy,
+    rankBy,
+    folds,
+    horizon,
+    trials: trials.length,
+    leaderboard,
+    best: scored.length > 0 ? leaderboard[0] : null
+  };
+}
+
+module.exports = {
+  RANK_METRICS,
+  STRATEGIES,
+  defaultSearchSpace,
+  buildCandidates,
+  applyConfig,
+  runSearch
+};
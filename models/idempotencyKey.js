@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const db = require('../db/db');
+
+const DEFAULTS = {
+  // Hours a stored response is replayed for; override with IDEMPOTENCY_RETENTION_HOURS
+  retentionHours: parseFloat(process.env.IDEMPOTENCY_RETENTION_HOURS) > 0
+    ? parseFloat(process.env.IDEMPOTENCY_RETENTION_HOURS)
+    : 24,
+  // Minutes a request holds its key while processing; a key still processing after that is
+  // taken to belong to a request that crashed and can be claimed again.
+  // Override with IDEMPOTENCY_LEASE_MINUTES
+  leaseMinutes: parseFloat(process.env.IDEMPOTENCY_LEASE_MINUTES) > 0
+    ? parseFloat(process.env.IDEMPOTENCY_LEASE_MINUTES)
+    : 5
+};
+
+const STATUSES = {
+  PROCESSING: 'processing',
+  COMPLETED: 'completed'
+};
+
+let tableReady = null;
+
+// Idempotency keys of POST requests: the first request with a key claims it, and its response
+// is stored and replayed to every retry with the same key until the key expires. Keys are
+// scoped to a route, and the request hash ties a key to one payload (and user).
+class IdempotencyKey {
+  static get DEFAULTS() {
+    return DEFAULTS;
+  }
+
+  static get STATUSES() {
+    return STATUSES;
+  }
+
+  // Create the keys table on first use
+  static ensureTable() {
+    if (!tableReady) {
+      tableReady = db.query(`
+        CREATE TABLE IF NOT EXISTS idempotency_keys (
+          id SERIAL PRIMARY KEY,
+          scope VARCHAR(255) NOT NULL,
+          idempotency_key VARCHAR(255) NOT NULL,
+          request_hash VARCHAR(64) NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'processing'
+            CHECK (status IN ('processing', 'completed')),
+          response_status INTEGER,
+          response_body JSONB,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          completed_at TIMESTAMP,
+          expires_at TIMESTAMP NOT NULL,
+          locked_until TIMESTAMP,
+          claim_token VARCHAR(64),
+          committed_at TIMESTAMP,
+          UNIQUE (scope, idempotency_key)
+        );
+        ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+        ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS claim_token VARCHAR(64);
+        ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS committed_at TIMESTAMP;
+        CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys (expires_at);
+      `).catch(error => {
+        tableReady = null;
+        throw error;
+      });
+    }
+    return tableReady;
+  }
+
+  /**
+   * Claim a key for a request, unless an unexpired request already holds it. A key left
+   * processing past its lease (the request crashed) is taken over by a request with the same payload,
+   * unless its work already committed. Each claim gets a new token; only its holder can complete,
+   * commit or release the key.
+   * @param {string} scope - Route the key belongs to, e.g. 'POST /api/checkout'
+   * @param {string} key - Idempotency-Key header
+   * @param {string} requestHash - Hash of the request payload
+   * @returns {Promise<Object>} - { claimed: true, claim: { scope, key, token } } or
+   *   { claimed: false, existing } (the row holding the key)
+   */
+  static async claim(scope, key, requestHash) {
+    try {
+      await this.ensureTable();
+      // Expired keys can be reused
+      await db.query('DELETE FROM idempotency_keys WHERE expires_at < NOW()');
+
+      // Keys from before the lease was added have no locked_until; their lease ran from created_at
+      const token = crypto.randomUUID();
+      const inserted = await db.query(
+        `INSERT INTO idempotency_keys (scope, idempotency_key, request_hash, expires_at, locked_until, claim_token)
+         VALUES ($1, $2, $3, NOW() + make_interval(secs => $4), NOW() + make_interval(secs => $5), $6)
+         ON CONFLICT (scope, idempotency_key) DO UPDATE
+           SET expires_at = EXCLUDED.expires_at, locked_until = EXCLUDED.locked_until, claim_token = EXCLUDED.claim_token
+           WHERE idempotency_keys.status = 'processing'
+             AND idempotency_keys.committed_at IS NULL
+             AND idempotency_keys.request_hash = EXCLUDED.request_hash
+             AND COALESCE(idempotency_keys.locked_until,
+                          idempotency_keys.created_at + make_interval(secs => $5)) < NOW()
+         RETURNING id`,
+        [scope, key, requestHash, DEFAULTS.retentionHours * 3600, DEFAULTS.leaseMinutes * 60, token]
+      );
+      if (inserted.rows.length > 0) {
+        return { claimed: true, claim: { scope, key, token } };
+      }
+
+      const existing = await db.query(
+        'SELECT * FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2',
+        [scope, key]
+      );
+      // The holder may have been released between the insert and the select; try once more
+      if (existing.rows.length === 0) {
+        return this.claim(scope, key, requestHash);
+      }
+      return { claimed: false, existing: existing.rows[0] };
+    } catch (error) {
+      console.error('Error claiming idempotency key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a claimed key as committed, on the `client` of the transaction doing the request's work.
+   * A committed key is never taken over or released, so a retry cannot redo work that committed
+   * even when its response could not be stored. Throws (rolling the work back) when the claim
+   * was lost to a retry after its lease ran out.
+   * @param {Object} claim - { scope, key, token } from claim()
+   */
+  static async commit(claim, client = db) {
+    try {
+      const result = await client.query(
+        `UPDATE idempotency_keys
+         SET committed_at = CURRENT_TIMESTAMP
+         WHERE scope = $1 AND idempotency_key = $2 AND claim_token = $3 AND status = 'processing'`,
+        [claim.scope, claim.key, claim.token]
+      );
+      if (result.rowCount === 0) {
+        const error = new Error('Idempotency-Key was claimed by a retry of this request');
+        error.code = 'IDEMPOTENCY_KEY_LOST';
+        throw error;
+      }
+    } catch (error) {
+      if (error.code !== 'IDEMPOTENCY_KEY_LOST') {
+        console.error('Error committing idempotency key:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Store the response of the request holding a key
+   * @returns {Promise<boolean>} - false when the claim was lost and nothing was stored
+   */
+  static async complete(claim, responseStatus, responseBody) {
+    try {
+      const result = await db.query(
+        `UPDATE idempotency_keys
+         SET status = 'completed', response_status = $1, response_body = $2, completed_at = CURRENT_TIMESTAMP
+         WHERE scope = $3 AND idempotency_key = $4 AND claim_token = $5 AND status = 'processing'`,
+        [responseStatus, JSON.stringify(responseBody === undefined ? null : responseBody), claim.scope, claim.key, claim.token]
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error storing idempotent response:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Free a key whose request failed, so a retry runs it again. Keys whose work committed stay held.
+   * @returns {Promise<boolean>} - false when the key was not freed
+   */
+  static async release(claim) {
+    try {
+      const result = await db.query(
+        `DELETE FROM idempotency_keys
+         WHERE scope = $1 AND idempotency_key = $2 AND claim_token = $3
+           AND status = 'processing' AND committed_at IS NULL`,
+        [claim.scope, claim.key, claim.token]
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error releasing idempotency key:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = IdempotencyKey;
@@ -1,291 +1,322 @@
 const db = require('../db/db');
+const OrderLifecycle = require('./orderLifecycle');
+const StockReservation = require('./stockReservation');
+const Promotion = require('./promotion');
+const OrderReturn = require('./orderReturn');
+const IdempotencyKey = require('./idempotencyKey');
 
 class Order {
-  static async create(orderData) {
-    const { user_id, payment_method, pickup_method, purpose, items } = orderData;
+  // `idempotency` is the request's Idempotency-Key claim, committed along with the order
+  static async create(orderData, { idempotency = null } = {}) {
+    const { user_id, payment_method, pickup_method, purpose, items, coupon_codes = [] } = orderData;
     
     try {
-      // Start transaction
-      await db.query('BEGIN');
-      
-      // Check if items have variant_id or sku information to use specific variants
-      const variantSkus = items
-        .filter(item => item.sku && item.sku.trim() !== '')
-        .map(item => item.sku);
-      
-      let detailsMap = new Map();
-      let productRefs = [];
-      
-      // If specific SKUs are provided, query by SKUs
-      if (variantSkus.length > 0) {
-        // Get variant details by SKU
-        const skuDetailsRes = await db.query(
-          `SELECT 
-             pv.id AS variant_id,
-             pv.product_ref,
-             pv.store_price,
-             pv.quantity AS stock,
-             pv.sku
-           FROM product_variants pv
-           WHERE pv.sku = ANY($1::text[])`,
-          [variantSkus]
-        );
+      await StockReservation.ensureColumn();
+      await Promotion.ensureTables();
+
+      // One client for the whole order, so the promotion locks taken while pricing it hold until it commits
+      const orderId = await db.transaction(async client => {
+        // Check if items have variant_id or sku information to use specific variants
+        const variantSkus = items
+          .filter(item => item.sku && item.sku.trim() !== '')
+          .map(item => item.sku);
+      
+        let detailsMap = new Map();
+        let productRefs = [];
+      
+        // If specific SKUs are provided, query by SKUs
+        if (variantSkus.length > 0) {
+          // Get variant details by SKU
+          const skuDetailsRes = await client.query(
+            `SELECT 
+               pv.id AS variant_id,
+               pv.product_ref,
+               pv.store_price,
+               pv.quantity AS stock,
+               pv.sku
+             FROM product_variants pv
+             WHERE pv.sku = ANY($1::text[])`,
+            [variantSkus]
+          );
         
-        // Map details by SKU instead of product_ref to ensure correct variant pricing
-        const skuMap = new Map();
-        skuDetailsRes.rows.forEach(row => {
-          skuMap.set(row.sku, row);
-        });
+          // Map details by SKU instead of product_ref to ensure correct variant pricing
+          const skuMap = new Map();
+          skuDetailsRes.rows.forEach(row => {
+            skuMap.set(row.sku, row);
+          });
         
-        // For each item, use the specific variant details by SKU
-        for (const item of items) {
-          if (item.sku && skuMap.has(item.sku)) {
-            const detail = skuMap.get(item.sku);
-            // Store variant details by product_id and SKU combination to ensure uniqueness
-            const key = `${item.product_id}-${item.sku}`;
-            detailsMap.set(key, detail);
+          // For each item, use the specific variant details by SKU
+          for (const item of items) {
+            if (item.sku && skuMap.has(item.sku)) {
+              const detail = skuMap.get(item.sku);
+              // Store variant details by product_id and SKU combination to ensure uniqueness
+              const key = `${item.product_id}-${item.sku}`;
+              detailsMap.set(key, detail);
+            }
           }
         }
-      }
       
-      // We don't need fallback to first variant anymore since SKU is required
+        // We don't need fallback to first variant anymore since SKU is required
       
-      // Validate stock and compute total amount
-      let computedTotal = 0;
-      for (const item of items) {
-        // Use product_id and SKU combination as the key
-        const key = `${item.product_id}-${item.sku}`;
-        const detail = detailsMap.get(key);
+        // Validate stock and compute total amount
+        let computedTotal = 0;
+        for (const item of items) {
+          // Use product_id and SKU combination as the key
+          const key = `${item.product_id}-${item.sku}`;
+          const detail = detailsMap.get(key);
         
-        if (!detail) {
-          throw new Error(`No variant found for product ${item.product_id} with SKU ${item.sku}`); 
-        }
-        if (item.quantity > detail.stock) {
-          throw new Error(`Insufficient stock for product ${item.product_id} (variant ${detail.variant_id})`);
-        }
+          if (!detail) {
+            throw new Error(`No variant found for product ${item.product_id} with SKU ${item.sku}`); 
+          }
+          if (item.quantity > detail.stock) {
+            throw new Error(`Insufficient stock for product ${item.product_id} (variant ${detail.variant_id})`);
+          }
         
-        // Calculate the line item total using the correct variant price
-        const lineItemPrice = detail.store_price;
-        const lineItemTotal = lineItemPrice * item.quantity;
-        computedTotal += lineItemTotal;
+          // Calculate the line item total using the correct variant price
+          const lineItemPrice = detail.store_price;
+          const lineItemTotal = lineItemPrice * item.quantity;
+          computedTotal += lineItemTotal;
         
-        // Store the details we'll need later
-        item.variant_id = detail.variant_id;
-        item.price_at_time = lineItemPrice;
-      }
+          // Store the details we'll need later
+          item.variant_id = detail.variant_id;
+          item.price_at_time = lineItemPrice;
+        }
       
-      // Generate order number in format ddmmyyyy-random
-      const now = new Date();
-      const day = String(now.getDate()).padStart(2, '0');
-      const month = String(now.getMonth() + 1).padStart(2, '0');
-      const year = now.getFullYear();
-      const randomNum = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-      const orderNumber = `${day}${month}${year}-${randomNum}`;
-      
-      // Map pickup_method to proper pickupStatus for admin panel
-      let pickupStatus = 'Processing'; // Changed from 'Preparing' to 'Processing'
-      if (pickup_method === 'delivery') {
-        pickupStatus = 'Processing'; // Changed from 'On Delivery' to 'Processing'
-      }
+        // Coupons and automatic promotions are priced here, so the client cannot set its own discount
+        const pricing = await Promotion.price(items, { codes: coupon_codes, userId: user_id, client });
+        const totalAmount = Number((computedTotal - pricing.discount).toFixed(2));
+      
+        // Generate order number in format ddmmyyyy-random
+        const now = new Date();
+        const day = String(now.getDate()).padStart(2, '0');
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const year = now.getFullYear();
+        const randomNum = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+        const orderNumber = `${day}${month}${year}-${randomNum}`;
+      
+        // Map pickup_method to proper pickupStatus for admin panel
+        let pickupStatus = 'Processing'; // Changed from 'Preparing' to 'Processing'
+        if (pickup_method === 'delivery') {
+          pickupStatus = 'Processing'; // Changed from 'On Delivery' to 'Processing'
+        }
       
-      // Create order - use 'Processing' instead of 'pending' to match admin expectations
-      const orderResult = await db.query(
-        `INSERT INTO orders 
-        (order_number, user_id, total_amount, payment_method, pickup_method, purpose, payment_status, pickup_status)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-        RETURNING *`,
-        [orderNumber, user_id, computedTotal, payment_method, pickup_method, purpose, 'Processing', pickupStatus]
-      );
+        // Create order - use 'Processing' instead of 'pending' to match admin expectations.
+        // The stock is held until reserved_until unless the order is paid first.
+        const orderResult = await client.query(
+          `INSERT INTO orders 
+          (order_number, user_id, total_amount, payment_method, pickup_method, purpose, payment_status, pickup_status, reserved_until,
+           promotion_discount)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          RETURNING *`,
+          [orderNumber, user_id, totalAmount, payment_method, pickup_method, purpose, 'Processing', pickupStatus,
+           StockReservation.expiresAt(payment_method, now), pricing.discount]
+        );
       
-      const order = orderResult.rows[0];
+        const order = orderResult.rows[0];
+        await Promotion.recordRedemptions(order.id, pricing, { userId: user_id }, client);
       
-      // Create order items using the correct variant_id
-      for (const item of items) {
-        await db.query(
-          `INSERT INTO order_items 
-          (order_id, product_id, quantity, price_at_time)
-          VALUES ($1, $2, $3, $4)`,
-          // Use item.variant_id (the actual variant ID) for the product_id column in order_items
-          [order.id, item.variant_id, item.quantity, item.price_at_time] 
-        );
+        // Create order items using the correct variant_id
+        for (const item of items) {
+          await client.query(
+            `INSERT INTO order_items 
+            (order_id, product_id, quantity, price_at_time)
+            VALUES ($1, $2, $3, $4)`,
+            // Use item.variant_id (the actual variant ID) for the product_id column in order_items
+            [order.id, item.variant_id, item.quantity, item.price_at_time] 
+          );
         
-        // Update product variant quantity using the correct variant_id
-        await db.query(
-          `UPDATE product_variants 
-          SET quantity = quantity - $1
-          WHERE id = $2`,
-          // Use item.variant_id here as well
-          [item.quantity, item.variant_id] 
-        );
-      }
-      
-      // Commit transaction
-      await db.query('COMMIT');
+          // Update product variant quantity using the correct variant_id
+          await client.query(
+            `UPDATE product_variants 
+            SET quantity = quantity - $1
+            WHERE id = $2`,
+            // Use item.variant_id here as well
+            [item.quantity, item.variant_id] 
+          );
+        }
+
+        // A retry that took the key over after its lease ran out rolls this order back
+        if (idempotency) {
+          await IdempotencyKey.commit(idempotency, client);
+        }
+        return order.id;
+      });
       
-      return this.findById(order.id); // Return full order details
+      return this.findById(orderId); // Return full order details
     } catch (error) {
-      // Rollback transaction on error
-      await db.query('ROLLBACK');
       console.error('Error creating order:', error);
       throw error;
     }
   }
 
   // Admin order creation - allows creating orders with specific customer info
-  static async createByAdmin(orderData) {
-    const { user_id, payment_method, pickup_method, purpose, items, customer_info } = orderData;
+  static async createByAdmin(orderData, { idempotency = null } = {}) {
+    const { user_id, payment_method, pickup_method, purpose, items, customer_info, coupon_codes = [] } = orderData;
     
     try {
-      // Start transaction
-      await db.query('BEGIN');
-      
-      // Use existing user ID if provided, otherwise this is a guest checkout
-      let userId = user_id;
-      let isGuestCheckout = false;
-      let companyName = null;
-      
-      if (!userId) {
-        // This is a guest checkout - no need to create a user
-        isGuestCheckout = true;
+      await StockReservation.ensureColumn();
+      await Promotion.ensureTables();
+
+      // One client for the whole order, so the promotion locks taken while pricing it hold until it commits
+      const orderId = await db.transaction(async client => {
+        // Use existing user ID if provided, otherwise this is a guest checkout
+        let userId = user_id;
+        let isGuestCheckout = false;
+        let companyName = null;
+      
+        if (!userId) {
+          // This is a guest checkout - no need to create a user
+          isGuestCheckout = true;
         
-        // Extract company name for the orders table
-        if (customer_info && customer_info.company_name) {
-          companyName = customer_info.company_name;
+          // Extract company name for the orders table
+          if (customer_info && customer_info.company_name) {
+            companyName = customer_info.company_name;
+          }
         }
-      }
 
-      // Check if items have variant_id or sku information to use specific variants
-      const variantSkus = items
-        .filter(item => item.sku && item.sku.trim() !== '')
-        .map(item => item.sku);
-      
-      let detailsMap = new Map();
-      let productRefs = [];
-      
-      // If specific SKUs are provided, query by SKUs
-      if (variantSkus.length > 0) {
-        // Get variant details by SKU
-        const skuDetailsRes = await db.query(
-          `SELECT 
-             pv.id AS variant_id,
-             pv.product_ref,
-             pv.store_price,
-             pv.quantity AS stock,
-             pv.sku
-           FROM product_variants pv
-           WHERE pv.sku = ANY($1::text[])`,
-          [variantSkus]
-        );
+        // Check if items have variant_id or sku information to use specific variants
+        const variantSkus = items
+          .filter(item => item.sku && item.sku.trim() !== '')
+          .map(item => item.sku);
+      
+        let detailsMap = new Map();
+        let productRefs = [];
+      
+        // If specific SKUs are provided, query by SKUs
+        if (variantSkus.length > 0) {
+          // Get variant details by SKU
+          const skuDetailsRes = await client.query(
+            `SELECT 
+               pv.id AS variant_id,
+               pv.product_ref,
+               pv.store_price,
+               pv.quantity AS stock,
+               pv.sku
+             FROM product_variants pv
+             WHERE pv.sku = ANY($1::text[])`,
+            [variantSkus]
+          );
         
-        // Map details by SKU instead of product_ref to ensure correct variant pricing
-        const skuMap = new Map();
-        skuDetailsRes.rows.forEach(row => {
-          skuMap.set(row.sku, row);
-        });
+          // Map details by SKU instead of product_ref to ensure correct variant pricing
+          const skuMap = new Map();
+          skuDetailsRes.rows.forEach(row => {
+            skuMap.set(row.sku, row);
+          });
         
-        // For each item, use the specific variant details by SKU
-        for (const item of items) {
-          if (item.sku && skuMap.has(item.sku)) {
-            const detail = skuMap.get(item.sku);
-            // Store variant details by product_id and SKU combination to ensure uniqueness
-            const key = `${item.product_id}-${item.sku}`;
-            detailsMap.set(key, detail);
+          // For each item, use the specific variant details by SKU
+          for (const item of items) {
+            if (item.sku && skuMap.has(item.sku)) {
+              const detail = skuMap.get(item.sku);
+              // Store variant details by product_id and SKU combination to ensure uniqueness
+              const key = `${item.product_id}-${item.sku}`;
+              detailsMap.set(key, detail);
+            }
           }
         }
-      }
       
-      // We don't need fallback to first variant anymore since SKU is required
+        // We don't need fallback to first variant anymore since SKU is required
       
-      // Validate stock and compute total amount
-      let computedTotal = 0;
-      for (const item of items) {
-        // Use product_id and SKU combination as the key
-        const key = `${item.product_id}-${item.sku}`;
-        const detail = detailsMap.get(key);
+        // Validate stock and compute total amount
+        let computedTotal = 0;
+        for (const item of items) {
+          // Use product_id and SKU combination as the key
+          const key = `${item.product_id}-${item.sku}`;
+          const detail = detailsMap.get(key);
         
-        if (!detail) {
-          throw new Error(`No variant found for product ${item.product_id} with SKU ${item.sku}`); 
-        }
-        if (item.quantity > detail.stock) {
-          throw new Error(`Insufficient stock for product ${item.product_id} (variant ${detail.variant_id})`);
-        }
+          if (!detail) {
+            throw new Error(`No variant found for product ${item.product_id} with SKU ${item.sku}`); 
+          }
+          if (item.quantity > detail.stock) {
+            throw new Error(`Insufficient stock for product ${item.product_id} (variant ${detail.variant_id})`);
+          }
         
-        // Calculate the line item total using the correct variant price
-        const lineItemPrice = detail.store_price;
-        const lineItemTotal = lineItemPrice * item.quantity;
-        computedTotal += lineItemTotal;
+          // Calculate the line item total using the correct variant price
+          const lineItemPrice = detail.store_price;
+          const lineItemTotal = lineItemPrice * item.quantity;
+          computedTotal += lineItemTotal;
         
-        // Store the details we'll need later
-        item.variant_id = detail.variant_id;
-        item.price_at_time = lineItemPrice;
-      }
+          // Store the details we'll need later
+          item.variant_id = detail.variant_id;
+          item.price_at_time = lineItemPrice;
+        }
       
-      // Generate order number in format ddmmyyyy-random
-      const now = new Date();
-      const day = String(now.getDate()).padStart(2, '0');
-      const month = String(now.getMonth() + 1).padStart(2, '0');
-      const year = now.getFullYear();
-      const randomNum = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-      const orderNumber = `${day}${month}${year}-${randomNum}`;
-      
-      // Map pickup_method to proper pickupStatus
-      let pickupStatus = 'Processing'; // Changed from 'Preparing' to 'Processing'
-      if (pickup_method === 'delivery') {
-        pickupStatus = 'Processing'; // Changed from 'On Delivery' to 'Processing'
-      }
+        // Coupons and automatic promotions; guests are told apart by email for per-customer limits
+        const guestEmail = isGuestCheckout && customer_info ? customer_info.email : null;
+        const pricing = await Promotion.price(items, { codes: coupon_codes, userId, email: guestEmail, client });
+        const totalAmount = Number((computedTotal - pricing.discount).toFixed(2));
+      
+        // Generate order number in format ddmmyyyy-random
+        const now = new Date();
+        const day = String(now.getDate()).padStart(2, '0');
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const year = now.getFullYear();
+        const randomNum = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+        const orderNumber = `${day}${month}${year}-${randomNum}`;
+      
+        // Map pickup_method to proper pickupStatus
+        let pickupStatus = 'Processing'; // Changed from 'Preparing' to 'Processing'
+        if (pickup_method === 'delivery') {
+          pickupStatus = 'Processing'; // Changed from 'On Delivery' to 'Processing'
+        }
       
-      // Create order - if guest checkout, store customer info in guest_info column
-      let orderResult;
-      if (isGuestCheckout) {
-        orderResult = await db.query(
-          `INSERT INTO orders 
-          (order_number, total_amount, payment_method, pickup_method, purpose, 
-           payment_status, pickup_status, guest_info, company_name)
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-          RETURNING *`,
-          [orderNumber, computedTotal, payment_method, pickup_method, purpose, 
-           'Processing', pickupStatus, JSON.stringify(customer_info), companyName]
-        );
-      } else {
-        // Regular order with user ID
-        orderResult = await db.query(
-          `INSERT INTO orders 
-          (order_number, user_id, total_amount, payment_method, pickup_method, purpose, 
-           payment_status, pickup_status)
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-          RETURNING *`,
-          [orderNumber, userId, computedTotal, payment_method, pickup_method, purpose, 
-           'Processing', pickupStatus]
-        );
-      }
+        // The stock is held until reserved_until unless the order is paid first
+        const reservedUntil = StockReservation.expiresAt(payment_method, now);
+
+        // Create order - if guest checkout, store customer info in guest_info column
+        let orderResult;
+        if (isGuestCheckout) {
+          orderResult = await client.query(
+            `INSERT INTO orders 
+            (order_number, total_amount, payment_method, pickup_method, purpose, 
+             payment_status, pickup_status, guest_info, company_name, reserved_until, promotion_discount)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            RETURNING *`,
+            [orderNumber, totalAmount, payment_method, pickup_method, purpose, 
+             'Processing', pickupStatus, JSON.stringify(customer_info), companyName, reservedUntil, pricing.discount]
+          );
+        } else {
+          // Regular order with user ID
+          orderResult = await client.query(
+            `INSERT INTO orders 
+            (order_number, user_id, total_amount, payment_method, pickup_method, purpose, 
+             payment_status, pickup_status, reserved_until, promotion_discount)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING *`,
+            [orderNumber, userId, totalAmount, payment_method, pickup_method, purpose, 
+             'Processing', pickupStatus, reservedUntil, pricing.discount]
+          );
+        }
       
-      const order = orderResult.rows[0];
+        const order = orderResult.rows[0];
+        await Promotion.recordRedemptions(order.id, pricing, { userId, email: guestEmail }, client);
       
-      // Create order items using the correct variant_id
-      for (const item of items) {
-        await db.query(
-          `INSERT INTO order_items 
-          (order_id, product_id, quantity, price_at_time)
-          VALUES ($1, $2, $3, $4)`,
-          [order.id, item.variant_id, item.quantity, item.price_at_time] 
-        );
+        // Create order items using the correct variant_id
+        for (const item of items) {
+          await client.query(
+            `INSERT INTO order_items 
+            (order_id, product_id, quantity, price_at_time)
+            VALUES ($1, $2, $3, $4)`,
+            [order.id, item.variant_id, item.quantity, item.price_at_time] 
+          );
         
-        // Update product variant quantity using the correct variant_id
-        await db.query(
-          `UPDATE product_variants 
-          SET quantity = quantity - $1
-          WHERE id = $2`,
-          [item.quantity, item.variant_id] 
-        );
-      }
-      
-      // Commit transaction
-      await db.query('COMMIT');
+          // Update product variant quantity using the correct variant_id
+          await client.query(
+            `UPDATE product_variants 
+            SET quantity = quantity - $1
+            WHERE id = $2`,
+            [item.quantity, item.variant_id] 
+          );
+        }
+
+        // A retry that took the key over after its lease ran out rolls this order back
+        if (idempotency) {
+          await IdempotencyKey.commit(idempotency, client);
+        }
+        return order.id;
+      });
       
-      return this.findById(order.id);
+      return this.findById(orderId);
     } catch (error) {
-      // Rollback transaction on error
-      await db.query('ROLLBACK');
       console.error('Error creating order by admin:', error);
       throw error;
     }
@@ -412,10 +443,16 @@ class Order {
         originalAmount: parseFloat(itemsTotal), // Add original amount before discount
         discountAmount: parseFloat(discountAmount), // Add discount amount
         discountReason: order.discount_reason || '', // Add discount reason
+        // Coupons and automatic promotions used at checkout
+        promotionDiscount: parseFloat(order.promotion_discount || 0),
+        promotions: await Promotion.getForOrder(order.id),
         items: order.items && order.items[0] !== null ? order.items : [],
         paymentMethod: order.payment_method,
         pickupMethod: order.pickup_method,
-        companyName: order.company_name || ''
+        companyName: order.company_name || '',
+        // Unpaid orders are cancelled automatically after this time
+        reservedUntil: OrderLifecycle.UNPAID_STATUSES.includes(order.payment_status) ? order.reserved_until || null : null,
+        statusHistory: await OrderLifecycle.getHistory(order.id)
       };
     } catch (error) {
       console.error('Error finding order:', error);
@@ -423,46 +460,121 @@ class Order {
     }
   }
 
-  static async updateStatus(orderId, status, field = 'payment_status') {
+  /**
+   * Move an order's payment or pickup status through the order lifecycle
+   * @param {string} orderId - Order number
+   * @param {string} status - Requested status
+   * @param {string} field - 'paymentStatus' or 'pickupStatus' ('payment_status'/'pickup_status' also accepted)
+   * @param {Object} options - { actor: { id, role }, note }
+   * @returns {Promise<Object>} - { success, order, status } or { success: false, message, status }
+   */
+  static async updateStatus(orderId, status, field = 'payment_status', { actor, note } = {}) {
+    // Determine which column to update based on the field parameter
+    const updateColumn = field === 'pickup_method' || field === 'pickupStatus' || field === 'pickup_status'
+      ? 'pickup_status'
+      : 'payment_status';
+
     try {
-      // Determine which column to update based on the field parameter
-      let updateColumn;
-      
-      if (field === 'pickup_method' || field === 'pickupStatus') {
-        updateColumn = 'pickup_status'; // Update pickup_status instead of pickup_method
-      } else {
-        updateColumn = 'payment_status'; // Default to payment_status
+      await OrderLifecycle.ensureTable();
+      await OrderReturn.ensureTables();
+
+      // The row lock keeps concurrent changes (staff, customer, reservation sweeper) from
+      // passing the same guard twice and restocking the order twice
+      const result = await db.transaction(async client => {
+        const orderRes = await client.query(
+          'SELECT * FROM orders WHERE order_number = $1 FOR UPDATE',
+          [orderId]
+        );
+        if (orderRes.rows.length === 0) {
+          return { success: false, message: 'Order not found', status: 404 };
+        }
+        const order = orderRes.rows[0];
+
+        const plan = OrderLifecycle.plan(order, updateColumn, status);
+        if (plan.error) {
+          return { success: false, message: plan.error, status: 400 };
+        }
+
+        // Refunding the whole order settles what its returns have not refunded yet
+        const refund = plan.changes.some(change => change.field === 'payment_status' && change.to === 'Refunded');
+        if (refund) {
+          const returns = await OrderReturn.getOrderTotals(order.id, client);
+          if (returns.open > 0) {
+            return { success: false, message: 'Receive or reject the open returns of this order before refunding it', status: 400 };
+          }
+          const remaining = Number((parseFloat(order.total_amount) - returns.refunded).toFixed(2));
+          if (remaining > 0) {
+            await OrderReturn.bookRefund(client, {
+              orderId: order.id,
+              orderNumber: order.order_number,
+              userId: order.user_id,
+              amount: remaining,
+              method: order.payment_method
+            });
+          }
+        }
+
+        if (plan.restock) {
+          await this.restoreStock(order.id, client);
+        }
+
+        const next = { payment_status: order.payment_status, pickup_status: order.pickup_status };
+        plan.changes.forEach(change => { next[change.field] = change.to; });
+        await client.query(
+          `UPDATE orders
+           SET payment_status = $1, pickup_status = $2, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $3`,
+          [next.payment_status, next.pickup_status, order.id]
+        );
+        await OrderLifecycle.record(order.id, plan.changes, { actor, note }, client);
+        return { success: true, orderId: order.id };
+      });
+
+      if (!result.success) {
+        return result;
       }
-      
-      const result = await db.query(
-        `UPDATE orders 
-         SET ${updateColumn} = $1, updated_at = CURRENT_TIMESTAMP
-         WHERE order_number = $2
-         RETURNING *`,
-        [status, orderId]
-      );
-      
-      if (result.rows.length === 0) return null;
-      return this.findById(result.rows[0].id);
+      const updatedOrder = await this.findById(result.orderId);
+      return { success: true, order: updatedOrder, status: 200 };
     } catch (error) {
       console.error('Error updating order status:', error);
       throw error;
     }
   }
 
+  // Put the items of an order back into stock (pass the transaction client when in one).
+  // Units already received back through returns were dealt with when they arrived.
+  static async restoreStock(orderId, client = db) {
+    const itemsResult = await client.query(
+      `SELECT oi.product_id, oi.quantity - COALESCE((
+         SELECT SUM(ri.quantity)
+         FROM order_return_items ri
+         JOIN order_returns r ON r.id = ri.return_id
+         WHERE ri.order_item_id = oi.id AND r.status = 'received'
+       ), 0) AS quantity
+       FROM order_items oi
+       WHERE oi.order_id = $1`,
+      [orderId]
+    );
+    for (const item of itemsResult.rows.filter(row => parseInt(row.quantity) > 0)) {
+      await client.query(
+        `UPDATE product_variants
+         SET quantity = quantity + $1
+         WHERE id = $2`,
+        [item.quantity, item.product_id]
+      );
+    }
+  }
+
   // Add method to cancel an order
   static async cancelOrder(orderId, userId, userRole) {
     try {
-      await db.query('BEGIN');
-
-      // Fetch the order to check status and user ownership (or admin role)
+      // Fetch the order to check user ownership (or admin role)
       const orderRes = await db.query(
-        'SELECT id, user_id, payment_status FROM orders WHERE order_number = $1',
+        'SELECT id, user_id FROM orders WHERE order_number = $1',
         [orderId]
       );
 
       if (orderRes.rows.length === 0) {
-        await db.query('ROLLBACK');
         return { success: false, message: 'Order not found', status: 404 };
       }
 
@@ -470,50 +582,15 @@ class Order {
 
       // Authorization check: Ensure the user owns the order or is an admin
       if (order.user_id !== userId && userRole !== 'admin') {
-         await db.query('ROLLBACK');
          return { success: false, message: 'Unauthorized to cancel this order', status: 403 };
       }
 
-      // Check if order is already cancelled or completed
-      if (order.payment_status === 'Cancelled' || order.payment_status === 'Claimed') {
-        await db.query('ROLLBACK');
-        return { success: false, message: `Order is already ${order.payment_status.toLowerCase()}`, status: 400 };
-      }
-
-      // Get order items to restore product quantities
-      const itemsResult = await db.query(
-        'SELECT product_id, quantity FROM order_items WHERE order_id = $1',
-        [order.id]
-      );
-
-      // Restore product quantities only if the order wasn't already cancelled/claimed
-      if (order.payment_status !== 'Cancelled' && order.payment_status !== 'Claimed') {
-          for (const item of itemsResult.rows) {
-            await db.query(
-              `UPDATE product_variants
-               SET quantity = quantity + $1
-               WHERE id = $2`,
-              [item.quantity, item.product_id]
-            );
-          }
-      }
-
-      // Update the order status to 'Cancelled' and also update pickup_status
-      const updateResult = await db.query(
-        `UPDATE orders
-         SET payment_status = 'Cancelled', pickup_status = 'Cancelled', updated_at = CURRENT_TIMESTAMP
-         WHERE id = $1
-         RETURNING *`,
-        [order.id]
-      );
-
-      await db.query('COMMIT');
-
-      const updatedOrder = await this.findById(updateResult.rows[0].id); // Fetch full details again
-      return { success: true, order: updatedOrder, status: 200 };
-
+      // The lifecycle rejects orders that are paid, claimed or already cancelled, and restores stock
+      return await this.updateStatus(orderId, 'Cancelled', 'payment_status', {
+        actor: { id: userId, role: userRole },
+        note: order.user_id === userId ? 'Cancelled by customer' : null
+      });
     } catch (error) {
-      await db.query('ROLLBACK');
       console.error('Error cancelling order:', error);
       // Rethrow or return a generic error response
       return { success: false, message: 'Internal server error during cancellation', status: 500 };
@@ -630,6 +707,7 @@ class Order {
           originalAmount: parseFloat(itemsTotal), // Add original amount before discount
           discountAmount: parseFloat(discountAmount), // Add discount amount
           discountReason: order.discount_reason || '', // Add discount reason
+          promotionDiscount: parseFloat(order.promotion_discount || 0),
           items: order.items && order.items[0] !== null ? order.items : [],
           paymentMethod: order.payment_method,
           pickupMethod: order.pickup_method,
@@ -781,7 +859,7 @@ class Order {
 
       // Get the current order to calculate the original total
       const orderRes = await db.query(
-        'SELECT id, discount_amount FROM orders WHERE order_number = $1',
+        'SELECT * FROM orders WHERE order_number = $1',
         [orderId]
       );
 
@@ -798,13 +876,13 @@ class Order {
         return { success: false, message: 'No discount has been applied to this order', status: 400 };
       }
 
-      // Get the total from order items to restore the original amount
+      // Get the total from order items to restore the original amount, keeping any promotion discount
       const itemsRes = await db.query(
         'SELECT SUM(quantity * price_at_time) as original_total FROM order_items WHERE order_id = $1',
         [order.id]
       );
       
-      const originalTotal = itemsRes.rows[0].original_total;
+      const originalTotal = parseFloat(itemsRes.rows[0].original_total) - parseFloat(order.promotion_discount || 0);
       
       // Reset the order total to the original amount and clear discount information
       const result = await db.query(
@@ -0,0 +1,214 @@
+const db = require('../db/db');
+const { PAID_STATUSES } = require('../db/salesData');
+
+// Order status fields, as named by the API and by the orders table
+const FIELDS = {
+  paymentStatus: 'payment_status',
+  pickupStatus: 'pickup_status'
+};
+
+// Statuses each payment status may move to. Cancelled and Refunded are final.
+const PAYMENT_TRANSITIONS = {
+  'Processing': ['Paid', 'Discounted', 'Paid (Discounted)', 'Cancelled'],
+  'Discounted': ['Paid', 'Paid (Discounted)', 'Cancelled'],
+  'Paid': ['Paid (Discounted)', 'Claimed', 'Refunded'],
+  'Paid (Discounted)': ['Claimed', 'Refunded'],
+  'Claimed': ['Refunded'],
+  'Completed': ['Refunded'],
+  'Cancelled': [],
+  'Refunded': []
+};
+
+// Statuses each fulfilment (pickup) status may move to. Claimed and Cancelled are final.
+const PICKUP_TRANSITIONS = {
+  'Processing': ['Preparing', 'On Delivery', 'Claimed', 'Cancelled'],
+  'Preparing': ['On Delivery', 'Claimed', 'Cancelled'],
+  'On Delivery': ['Claimed', 'Cancelled'],
+  'Claimed': [],
+  'Cancelled': []
+};
+
+const TRANSITIONS = {
+  payment_status: PAYMENT_TRANSITIONS,
+  pickup_status: PICKUP_TRANSITIONS
+};
+
+const FIELD_LABELS = {
+  payment_status: 'Payment status',
+  pickup_status: 'Pickup status'
+};
+
+const UNPAID_STATUSES = ['Processing', 'Discounted'];
+
+let tableReady = null;
+
+// Conditions beyond the transition table; each returns an error message or null
+const GUARDS = {
+  payment_status: {
+    'Discounted': order => (hasDiscount(order) ? null : 'Apply a discount before marking the order Discounted'),
+    'Paid (Discounted)': order => (hasDiscount(order) ? null : 'Apply a discount before marking the order Paid (Discounted)')
+  },
+  pickup_status: {
+    'Claimed': order => (PAID_STATUSES.includes(order.payment_status) ? null : 'Order must be paid before it is claimed'),
+    'Cancelled': order => (UNPAID_STATUSES.includes(order.payment_status) ? null : 'Paid orders must be refunded instead of cancelled')
+  }
+};
+
+// A staff discount or a promotion applied at checkout
+function hasDiscount(order) {
+  return parseFloat(order.discount_amount) > 0 || parseFloat(order.promotion_discount) > 0;
+}
+
+// Legacy orders may have no pickup status; the API already shows them as Processing
+const currentStatus = (order, field) => order[field] || 'Processing';
+
+// Order status state machine: allowed transitions, guard conditions and the follow-on
+// changes of a transition, plus the order_status_history table every change is written to.
+//
+// Follow-on changes:
+//   payment Cancelled  - pickup Cancelled, stock restored
+//   pickup Cancelled   - payment Cancelled, stock restored
+//   payment Refunded   - before the order is claimed: pickup Cancelled, stock restored
+//   payment Claimed    - pickup Claimed
+class OrderLifecycle {
+  static get FIELDS() {
+    return FIELDS;
+  }
+
+  static get TRANSITIONS() {
+    return TRANSITIONS;
+  }
+
+  static get UNPAID_STATUSES() {
+    return UNPAID_STATUSES;
+  }
+
+  // Create the history table on first use
+  static ensureTable() {
+    if (!tableReady) {
+      tableReady = db.query(`
+        CREATE TABLE IF NOT EXISTS order_status_history (
+          id SERIAL PRIMARY KEY,
+          order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+          field VARCHAR(20) NOT NULL,
+          from_status VARCHAR(50),
+          to_status VARCHAR(50) NOT NULL,
+          actor_id INTEGER,
+          actor_role VARCHAR(50) NOT NULL,
+          note TEXT,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+        CREATE INDEX IF NOT EXISTS idx_order_status_history_order ON order_status_history (order_id, created_at);
+      `).catch(error => {
+        tableReady = null;
+        throw error;
+      });
+    }
+    return tableReady;
+  }
+
+  /**
+   * Work out a status change and everything that follows from it
+   * @param {Object} order - Row from the orders table
+   * @param {string} field - 'payment_status' or 'pickup_status'
+   * @param {string} status - Requested status
+   * @returns {Object} - { error } or { changes: [{ field, from, to }], restock }
+   */
+  static plan(order, field, status) {
+    const label = FIELD_LABELS[field];
+    const from = currentStatus(order, field);
+    if (!(status in TRANSITIONS[field])) {
+      return { error: `Invalid ${label.toLowerCase()}. Must be one of: ${Object.keys(TRANSITIONS[field]).join(', ')}` };
+    }
+    if (from === status) {
+      return { error: `${label} is already ${status}` };
+    }
+    const allowed = TRANSITIONS[field][from] || [];
+    if (!allowed.includes(status)) {
+      return {
+        error: `${label} cannot change from ${from} to ${status}` +
+          (allowed.length > 0 ? `. Allowed: ${allowed.join(', ')}` : ` (${from} is final)`)
+      };
+    }
+    const guard = GUARDS[field][status];
+    const guardError = guard && guard(order);
+    if (guardError) {
+      return { error: guardError };
+    }
+
+    const changes = [{ field, from, to: status }];
+    const follow = (otherField, to) => {
+      const otherFrom = currentStatus(order, otherField);
+      if (otherFrom !== to) changes.push({ field: otherField, from: otherFrom, to });
+    };
+    let restock = false;
+
+    if (status === 'Cancelled') {
+      follow(field === 'payment_status' ? 'pickup_status' : 'payment_status', 'Cancelled');
+      restock = true;
+    } else if (field === 'payment_status' && status === 'Refunded' && currentStatus(order, 'pickup_status') !== 'Claimed') {
+      follow('pickup_status', 'Cancelled');
+      restock = true;
+    } else if (field === 'payment_status' && status === 'Claimed') {
+      follow('pickup_status', 'Claimed');
+    }
+    return { changes, restock };
+  }
+
+  /**
+   * Write status changes to the history
+   * @param {number} orderId - orders.id
+   * @param {Object[]} changes - From plan()
+   * @param {Object} options - { actor: { id, role }, note }; no actor means the system made the change
+   * @param {Object} client - Transaction client the status change is made in
+   */
+  static async record(orderId, changes, { actor, note } = {}, client = db) {
+    try {
+      await this.ensureTable();
+      for (const [i, change] of changes.entries()) {
+        // Follow-on changes name the change that caused them
+        const changeNote = i === 0
+          ? note || null
+          : `Follows ${FIELD_LABELS[changes[0].field].toLowerCase()} ${changes[0].to}`;
+        await client.query(
+          `INSERT INTO order_status_history (order_id, field, from_status, to_status, actor_id, actor_role, note)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [orderId, change.field, change.from, change.to, actor ? actor.id : null, actor ? actor.role : 'system', changeNote]
+        );
+      }
+    } catch (error) {
+      console.error('Error recording order status history:', error);
+      throw error;
+    }
+  }
+
+  // Status history of an order, oldest first
+  static async getHistory(orderId) {
+    try {
+      await this.ensureTable();
+      const result = await db.query(
+        `SELECT h.*, u.username AS actor_name
+         FROM order_status_history h
+         LEFT JOIN tbl_users u ON u.id = h.actor_id
+         WHERE h.order_id = $1
+         ORDER BY h.created_at, h.id`,
+        [orderId]
+      );
+      return result.rows.map(row => ({
+        field: row.field === 'pickup_status' ? 'pickupStatus' : 'paymentStatus',
+        fromStatus: row.from_status,
+        toStatus: row.to_status,
+        actorId: row.actor_id,
+        actorName: row.actor_name || null,
+        actorRole: row.actor_role,
+        note: row.note || '',
+        changedAt: row.created_at
+      }));
+    } catch (error) {
+      console.error('Error getting order status history:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = OrderLifecycle;
@@ -0,0 +1,478 @@
+const db = require('../db/db');
+const { PAID_STATUSES } = require('../db/salesData');
+
+const STATUSES = {
+  REQUESTED: 'requested',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  RECEIVED: 'received'
+};
+
+const REFUND_METHODS = ['original_payment', 'cash', 'bank_transfer', 'e_wallet', 'store_credit'];
+
+// Returns in these statuses hold their quantities; rejected returns release them
+const OPEN_STATUSES = [STATUSES.REQUESTED, STATUSES.APPROVED, STATUSES.RECEIVED];
+
+// Status a return must be in before each review step
+const REVIEW_FROM = {
+  [STATUSES.APPROVED]: STATUSES.REQUESTED,
+  [STATUSES.REJECTED]: STATUSES.REQUESTED,
+  [STATUSES.RECEIVED]: STATUSES.APPROVED
+};
+
+let tablesReady = null;
+
+const round = value => Math.round(value * 100) / 100;
+
+const rmaNumber = id => `RMA-${String(id).padStart(6, '0')}`;
+
+// Returns (RMAs) of items from paid orders: requested by the customer or staff, approved or
+// rejected by staff, then received. Receiving records the refund, optionally restocks the
+// items and books the refund against net sales:
+//   - a negative `sales` record with status 'refunded' on the day of the refund
+//   - when the month has already been aggregated, taken off that day's historical_sales row
+//     (added if missing); otherwise the monthly aggregation subtracts the refund itself
+class OrderReturn {
+  static get STATUSES() {
+    return STATUSES;
+  }
+
+  static get REFUND_METHODS() {
+    return REFUND_METHODS;
+  }
+
+  // Create the returns tables on first use
+  static ensureTables() {
+    if (!tablesReady) {
+      tablesReady = db.query(`
+        CREATE TABLE IF NOT EXISTS order_returns (
+          id SERIAL PRIMARY KEY,
+          order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+          status VARCHAR(20) NOT NULL DEFAULT 'requested'
+            CHECK (status IN ('requested', 'approved', 'rejected', 'received')),
+          reason TEXT NOT NULL,
+          requested_by INTEGER,
+          reviewed_by INTEGER,
+          review_note TEXT,
+          received_by INTEGER,
+          receive_note TEXT,
+          refund_amount NUMERIC(10,2),
+          refund_method VARCHAR(30),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          reviewed_at TIMESTAMP,
+          received_at TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS idx_order_returns_order ON order_returns (order_id);
+        CREATE TABLE IF NOT EXISTS order_return_items (
+          id SERIAL PRIMARY KEY,
+          return_id INTEGER NOT NULL REFERENCES order_returns(id) ON DELETE CASCADE,
+          order_item_id INTEGER NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+          quantity INTEGER NOT NULL CHECK (quantity > 0),
+          restocked BOOLEAN NOT NULL DEFAULT false
+        );
+      `).catch(error => {
+        tablesReady = null;
+        throw error;
+      });
+    }
+    return tablesReady;
+  }
+
+  // Items of an order with the quantity bought and the quantity already in open returns
+  static async getReturnableItems(orderId, client = db) {
+    const result = await client.query(
+      `SELECT
+         oi.id AS order_item_id,
+         oi.product_id AS variant_id,
+         oi.quantity,
+         oi.price_at_time,
+         pv.sku,
+         pv.variant_name,
+         p.product_name,
+         COALESCE((
+           SELECT SUM(ri.quantity)
+           FROM order_return_items ri
+           JOIN order_returns r ON r.id = ri.return_id
+           WHERE ri.order_item_id = oi.id AND r.status = ANY($2::text[])
+         ), 0) AS returned
+       FROM order_items oi
+       LEFT JOIN product_variants pv ON oi.product_id = pv.id
+       LEFT JOIN products p ON pv.product_ref = p.id
+       WHERE oi.order_id = $1
+       ORDER BY oi.id`,
+      [orderId, OPEN_STATUSES]
+    );
+    return result.rows.map(row => ({
+      ...row,
+      quantity: parseInt(row.quantity),
+      price_at_time: parseFloat(row.price_at_time),
+      returned: parseInt(row.returned)
+    }));
+  }
+
+  /**
+   * Request a return of some of an order's items
+   * @param {Object} returnData - { orderNumber, items: [{ order_item_id, quantity }], reason, actor: { id, isStaff } }
+   * @returns {Promise<Object>} - { success, return, status } or { success: false, message, status }
+   */
+  static async request({ orderNumber, items, reason, actor }) {
+    try {
+      await this.ensureTables();
+      const result = await db.transaction(async client => {
+        // Lock the order so concurrent requests cannot return the same units twice
+        const orderRes = await client.query(
+          'SELECT id, user_id, payment_status FROM orders WHERE order_number = $1 FOR UPDATE',
+          [orderNumber]
+        );
+        if (orderRes.rows.length === 0) {
+          return { success: false, message: 'Order not found', status: 404 };
+        }
+        const order = orderRes.rows[0];
+
+        if (!actor.isStaff && order.user_id !== actor.id) {
+          return { success: false, message: 'Unauthorized to return items from this order', status: 403 };
+        }
+        if (!PAID_STATUSES.includes(order.payment_status)) {
+          return { success: false, message: `Items can only be returned from paid orders (order is ${order.payment_status})`, status: 400 };
+        }
+
+        const orderItems = new Map((await this.getReturnableItems(order.id, client)).map(item => [item.order_item_id, item]));
+        for (const item of items) {
+          const orderItem = orderItems.get(item.order_item_id);
+          if (!orderItem) {
+            return { success: false, message: `Item ${item.order_item_id} is not part of order ${orderNumber}`, status: 400 };
+          }
+          const available = orderItem.quantity - orderItem.returned;
+          if (item.quantity > available) {
+            return {
+              success: false,
+              message: `Only ${available} of item ${item.order_item_id} (${orderItem.product_name || orderItem.sku}) can still be returned`,
+              status: 400
+            };
+          }
+        }
+
+        const returnRes = await client.query(
+          `INSERT INTO order_returns (order_id, reason, requested_by)
+           VALUES ($1, $2, $3)
+           RETURNING id`,
+          [order.id, reason, actor.id]
+        );
+        const returnId = returnRes.rows[0].id;
+        for (const item of items) {
+          await client.query(
+            `INSERT INTO order_return_items (return_id, order_item_id, quantity)
+             VALUES ($1, $2, $3)`,
+            [returnId, item.order_item_id, item.quantity]
+          );
+        }
+        return { success: true, returnId };
+      });
+
+      if (!result.success) {
+        return result;
+      }
+      return { success: true, return: await this.findById(result.returnId), status: 201 };
+    } catch (error) {
+      console.error('Error requesting return:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve or reject a requested return
+   * @param {number} returnId - Return ID
+   * @param {string} status - 'approved' or 'rejected'
+   * @param {Object} options - { actor: { id }, note }
+   */
+  static async review(returnId, status, { actor, note = null }) {
+    try {
+      await this.ensureTables();
+      const result = await db.query(
+        `UPDATE order_returns
+         SET status = $1, reviewed_by = $2, review_note = $3,
+             reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4 AND status = $5
+         RETURNING id`,
+        [status, actor.id, note, returnId, REVIEW_FROM[status]]
+      );
+      if (result.rows.length === 0) {
+        return this.reviewConflict(returnId, status);
+      }
+      return { success: true, return: await this.findById(returnId), status: 200 };
+    } catch (error) {
+      console.error('Error reviewing return:', error);
+      throw error;
+    }
+  }
+
+  // Explain why a return could not move to `status`
+  static async reviewConflict(returnId, status) {
+    const existing = await this.findById(returnId);
+    if (!existing) {
+      return { success: false, message: 'Return not found', status: 404 };
+    }
+    return {
+      success: false,
+      message: `Return is ${existing.status}; only ${REVIEW_FROM[status]} returns can be ${status}`,
+      status: 400
+    };
+  }
+
+  /**
+   * Receive the items of an approved return and refund the customer
+   * @param {number} returnId - Return ID
+   * @param {Object} options - { refundAmount (defaults to the items' share of the order total),
+   *   refundMethod, restock (all items), items: [{ order_item_id, restock }] (per item), note, actor: { id } }
+   */
+  static async receive(returnId, { refundAmount, refundMethod, restock = false, items = [], note = null, actor }) {
+    try {
+      await this.ensureTables();
+      const result = await db.transaction(async client => {
+        // Lock the order, so concurrent receipts of its returns cannot refund more than its total
+        const returnRes = await client.query(
+          `SELECT r.*, o.order_number, o.user_id, o.total_amount
+           FROM order_returns r
+           JOIN orders o ON o.id = r.order_id
+           WHERE r.id = $1
+           FOR UPDATE`,
+          [returnId]
+        );
+        if (returnRes.rows.length === 0 || returnRes.rows[0].status !== STATUSES.APPROVED) {
+          return { success: false, conflict: true };
+        }
+        const rma = returnRes.rows[0];
+
+        const returnItems = (await client.query(
+          `SELECT ri.id, ri.order_item_id, ri.quantity, oi.product_id AS variant_id, oi.price_at_time
+           FROM order_return_items ri
+           JOIN order_items oi ON oi.id = ri.order_item_id
+           WHERE ri.return_id = $1`,
+          [returnId]
+        )).rows;
+
+        const unknown = items.find(item => !returnItems.some(returnItem => returnItem.order_item_id === item.order_item_id));
+        if (unknown) {
+          return { success: false, message: `Item ${unknown.order_item_id} is not part of this return`, status: 400 };
+        }
+
+        // Refund at most what is left of the order total after earlier refunds
+        const totals = (await client.query(
+          `SELECT
+             (SELECT SUM(quantity * price_at_time) FROM order_items WHERE order_id = $1) AS items_total,
+             (SELECT COALESCE(SUM(refund_amount), 0) FROM order_returns WHERE order_id = $1 AND status = 'received') AS refunded`,
+          [rma.order_id]
+        )).rows[0];
+        const orderTotal = parseFloat(rma.total_amount);
+        const itemsTotal = parseFloat(totals.items_total) || orderTotal;
+        const refundable = round(orderTotal - parseFloat(totals.refunded));
+
+        // By default refund the returned items at their price, less their share of any order discount
+        const itemsValue = returnItems.reduce((sum, item) => sum + item.quantity * parseFloat(item.price_at_time), 0);
+        const amount = refundAmount !== undefined
+          ? round(refundAmount)
+          : round(Math.min(refundable, itemsValue * (orderTotal / itemsTotal)));
+        if (amount > refundable) {
+          return { success: false, message: `Refund cannot exceed the ${refundable.toFixed(2)} left to refund on this order`, status: 400 };
+        }
+        if (amount > 0 && !refundMethod) {
+          return { success: false, message: 'refund_method is required when refunding an amount', status: 400 };
+        }
+
+        const restockById = new Map(items.filter(item => item.restock !== undefined).map(item => [item.order_item_id, item.restock]));
+        for (const item of returnItems) {
+          const restockItem = restockById.has(item.order_item_id) ? restockById.get(item.order_item_id) : restock;
+          if (!restockItem) continue;
+          await client.query(
+            'UPDATE product_variants SET quantity = quantity + $1 WHERE id = $2',
+            [item.quantity, item.variant_id]
+          );
+          await client.query('UPDATE order_return_items SET restocked = true WHERE id = $1', [item.id]);
+        }
+
+        await client.query(
+          `UPDATE order_returns
+           SET status = 'received', received_by = $1, refund_amount = $2, refund_method = $3,
+               receive_note = $4,
+               received_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $5`,
+          [actor.id, amount, amount > 0 ? refundMethod : null, note, returnId]
+        );
+
+        if (amount > 0) {
+          await this.bookRefund(client, {
+            orderId: rma.order_id,
+            orderNumber: rma.order_number,
+            userId: rma.user_id,
+            amount,
+            method: refundMethod
+          });
+        }
+
+        return { success: true };
+      });
+
+      if (result.conflict) {
+        return this.reviewConflict(returnId, STATUSES.RECEIVED);
+      }
+      if (!result.success) {
+        return result;
+      }
+      return { success: true, return: await this.findById(returnId), status: 200 };
+    } catch (error) {
+      console.error('Error receiving return:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * What the returns of an order have taken out of it so far
+   * @returns {Promise<Object>} - { open: returns still requested or approved, refunded: amount refunded }
+   */
+  static async getOrderTotals(orderId, client = db) {
+    const result = await client.query(
+      `SELECT
+         COUNT(*) FILTER (WHERE status IN ('requested', 'approved')) AS open,
+         COALESCE(SUM(refund_amount) FILTER (WHERE status = 'received'), 0) AS refunded
+       FROM order_returns
+       WHERE order_id = $1`,
+      [orderId]
+    );
+    return { open: parseInt(result.rows[0].open), refunded: parseFloat(result.rows[0].refunded) };
+  }
+
+  /**
+   * Book a refund against today's net sales; call inside the transaction that makes the refund
+   * @param {Object} client - Transaction client
+   * @param {Object} refund - { orderId, orderNumber, userId, amount, method }
+   */
+  static async bookRefund(client, { orderId, orderNumber, userId, amount, method }) {
+    await client.query(
+      `INSERT INTO sales
+       (date, amount, order_id, order_number, user_id, payment_method, status, created_at, updated_at)
+       VALUES (NOW(), $1, $2, $3, $4, $5, 'refunded', NOW(), NOW())`,
+      [-amount, orderId, orderNumber, userId, method]
+    );
+
+    // Once this month has been aggregated it is closed: take the refund off today's row,
+    // adding the row if today had no sales. Before that the aggregation subtracts it.
+    const updated = await client.query(
+      `UPDATE historical_sales SET actualsales = actualsales - $1
+       WHERE ctid = (SELECT ctid FROM historical_sales WHERE date = CURRENT_DATE LIMIT 1)`,
+      [amount]
+    );
+    if (updated.rowCount === 0) {
+      await client.query(
+        `INSERT INTO historical_sales (date, actualsales)
+         SELECT CURRENT_DATE, $1
+         WHERE EXISTS (SELECT 1 FROM historical_sales WHERE date >= DATE_TRUNC('month', CURRENT_DATE))`,
+        [-amount]
+      );
+    }
+  }
+
+  static async findById(returnId) {
+    try {
+      await this.ensureTables();
+      const result = await db.query(
+        `SELECT r.*, o.order_number, o.user_id
+         FROM order_returns r
+         JOIN orders o ON o.id = r.order_id
+         WHERE r.id = $1`,
+        [returnId]
+      );
+      if (result.rows.length === 0) return null;
+
+      const itemsRes = await db.query(
+        `SELECT ri.order_item_id, ri.quantity, ri.restocked, oi.price_at_time,
+                pv.sku, pv.variant_name, p.product_name
+         FROM order_return_items ri
+         JOIN order_items oi ON oi.id = ri.order_item_id
+         LEFT JOIN product_variants pv ON oi.product_id = pv.id
+         LEFT JOIN products p ON pv.product_ref = p.id
+         WHERE ri.return_id = $1
+         ORDER BY ri.id`,
+        [returnId]
+      );
+      return this.format(result.rows[0], itemsRes.rows);
+    } catch (error) {
+      console.error('Error finding return:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Returns without their items, newest first
+   * @param {Object} filters - { status, orderNumber, userId, limit }
+   */
+  static async findAll({ status, orderNumber, userId, limit = 50 } = {}) {
+    try {
+      await this.ensureTables();
+      const conditions = [];
+      const params = [];
+      if (status) {
+        params.push(status);
+        conditions.push(`r.status = $${params.length}`);
+      }
+      if (orderNumber) {
+        params.push(orderNumber);
+        conditions.push(`o.order_number = $${params.length}`);
+      }
+      if (userId !== undefined) {
+        params.push(userId);
+        conditions.push(`o.user_id = $${params.length}`);
+      }
+      params.push(limit);
+
+      const result = await db.query(
+        `SELECT r.*, o.order_number, o.user_id
+         FROM order_returns r
+         JOIN orders o ON o.id = r.order_id
+         ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+         ORDER BY r.created_at DESC, r.id DESC
+         LIMIT $${params.length}`,
+        params
+      );
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      console.error('Error finding returns:', error);
+      throw error;
+    }
+  }
+
+  static format(row, items) {
+    const formatted = {
+      id: row.id,
+      rma_number: rmaNumber(row.id),
+      order_number: row.order_number,
+      user_id: row.user_id,
+      status: row.status,
+      reason: row.reason,
+      requested_by: row.requested_by,
+      reviewed_by: row.reviewed_by,
+      review_note: row.review_note,
+      received_by: row.received_by,
+      receive_note: row.receive_note,
+      refund_amount: row.refund_amount === null ? null : parseFloat(row.refund_amount),
+      refund_method: row.refund_method,
+      created_at: row.created_at,
+      reviewed_at: row.reviewed_at,
+      received_at: row.received_at
+    };
+    if (items) {
+      formatted.items = items.map(item => ({
+        order_item_id: item.order_item_id,
+        sku: item.sku,
+        product_name: item.product_name,
+        variant_name: item.variant_name,
+        quantity: item.quantity,
+        price_at_time: parseFloat(item.price_at_time),
+        restocked: item.restocked
+      }));
+    }
+    return formatted;
+  }
+}
+
+module.exports = OrderReturn;
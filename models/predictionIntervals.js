@@ -0,0 +1,154 @@
+const { trainForecastModel, forecastSales } = require('./predictionModel');
+
+// Inverse of the standard normal CDF (Acklam's rational approximation)
+function normalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p <= 0 || p >= 1) {
+    throw new Error('Probability must be between 0 and 1');
+  }
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Engines too slow to retrain on every request. Their training job retrains them on the last
+// `folds` origins instead and stores those out-of-sample residuals with the model.
+const STORED_RESIDUALS = {
+  engines: ['gru'],
+  folds: 4,
+  horizon: 12
+};
+
+/**
+ * Collect forecast residuals per horizon step by forecasting from rolling origins over the series.
+ * With `retrain` the model is retrained on each origin so residuals are out-of-sample; without it
+ * the trained net is reused, which makes its residuals (and therefore its intervals) optimistic.
+ * @param {number[]} series - Normalized training series
+ * @param {Object} net - Trained model used when retraining is disabled
+ * @param {Object} options - { engine, engineOptions, trainingOptions, horizon, retrain, folds: only the last origins }
+ * @returns {number[][]} - residuals[h - 1] holds the residuals of h-step-ahead forecasts
+ */
+function collectHorizonResiduals(series, net, options = {}) {
+  const {
+    engine,
+    engineOptions = {},
+    trainingOptions = {},
+    horizon = 1,
+    retrain = !STORED_RESIDUALS.engines.includes(engine),
+    folds
+  } = options;
+  const residuals = Array.from({ length: horizon }, () => []);
+  const firstOrigin = Math.max(3, folds ? series.length - folds : Math.floor(series.length / 2));
+
+  for (let origin = firstOrigin; origin < series.length; origin++) {
+    const history = series.slice(0, origin);
+    const steps = Math.min(horizon, series.length - origin);
+    const model = retrain ? trainForecastModel(history, { ...trainingOptions, engine, engineOptions }) : net;
+    const forecast = forecastSales(model, history, steps);
+    for (let h = 1; h <= steps; h++) {
+      residuals[h - 1].push(series[origin + h - 1] - forecast[h - 1]);
+    }
+  }
+
+  return residuals;
+}
+
+// Out-of-sample residuals stored with a model by its training job, padded to `horizon` steps,
+// or null when the model has none
+function storedHorizonResiduals(metadata, horizon) {
+  const stored = metadata && metadata.intervalResiduals;
+  if (!stored || !Array.isArray(stored.residuals)) {
+    return null;
+  }
+  return Array.from({ length: horizon }, (_, i) => stored.residuals[i] || []);
+}
+
+// Root mean square of the residuals per horizon step. Steps with too few residuals
+// extrapolate from the last reliable step, growing with the square root of the horizon.
+function residualSpreadByHorizon(residuals, minSamples = 3) {
+  const spreads = [];
+  let lastReliable = null;
+
+  residuals.forEach((values, i) => {
+    const h = i + 1;
+    if (values.length >= minSamples) {
+      const rms = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0) / values.length);
+      lastReliable = { h, rms };
+      spreads.push(rms);
+    } else if (lastReliable) {
+      spreads.push(lastReliable.rms * Math.sqrt(h / lastReliable.h));
+    } else {
+      spreads.push(null);
+    }
+  });
+
+  return spreads;
+}
+
+/**
+ * Attach lower/upper bounds at each confidence level to denormalized predictions
+ * @param {Object[]} predictions - Prediction rows with normalized_prediction
+ * @param {number[]} spreads - Residual spread per horizon step (normalized units)
+ * @param {Function} denormalize - Maps a normalized value and its horizon step (0-based) back to sales
+ * @param {number[]} confidenceLevels - Confidence levels in percent, e.g. [80, 95]
+ * @returns {Object[]} - Predictions with an `intervals` object keyed by confidence level
+ */
+function applyPredictionIntervals(predictions, spreads, denormalize, confidenceLevels) {
+  return predictions.map((prediction, i) => {
+    const spread = spreads[Math.min(i, spreads.length - 1)];
+    const intervals = {};
+
+    confidenceLevels.forEach(level => {
+      if (spread === null || spread === undefined) {
+        intervals[level] = null;
+        return;
+      }
+      const z = normalQuantile(0.5 + level / 200);
+      const lower = denormalize(prediction.normalized_prediction - z * spread, i);
+      const upper = denormalize(prediction.normalized_prediction + z * spread, i);
+      intervals[level] = {
+        // Sales cannot go negative
+        lower: Math.max(0, Math.round(lower)),
+        upper: Math.round(upper)
+      };
+    });
+
+    return { ...prediction, intervals };
+  });
+}
+
+// Parse a comma separated list of confidence levels in percent (e.g. "80,95")
+function parseConfidenceLevels(value, defaults = [80, 95]) {
+  if (value === undefined || value === null || value === '') {
+    return { levels: defaults };
+  }
+  const levels = String(value).split(',').map(item => parseFloat(item.trim()));
+  if (levels.some(level => isNaN(level) || level <= 0 || level >= 100)) {
+    return { error: 'confidence_levels must be a comma separated list of percentages between 0 and 100' };
+  }
+  return { levels: [...new Set(levels)].sort((a, b) => a - b) };
+}
+
+module.exports = {
+  STORED_RESIDUALS,
+  normalQuantile,
+  collectHorizonResiduals,
+  storedHorizonResiduals,
+  residualSpreadByHorizon,
+  applyPredictionIntervals,
+  parseConfidenceLevels
+};
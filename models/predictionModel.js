@@ -1,18 +1,15 @@
-const brain = require('brain.js');
-const fs = require('fs');
-const path = require('path');
+const ForecastModel = require('./forecastModel');
+const {
+  DEFAULT_ENGINE,
+  getEngine,
+  createEngine,
+  listEngines
+} = require('./forecastEngines');
 
-// Directory for saving models
-const MODEL_DIR = path.join(__dirname, '../saved_models');
-
-// Ensure the models directory exists
-if (!fs.existsSync(MODEL_DIR)) {
-  fs.mkdirSync(MODEL_DIR, { recursive: true });
-}
-
-// Train and forecast sales using GRUTimeStep
-function trainAndForecastGRU(series, options = {}) {
-  const net = new brain.recurrent.GRUTimeStep({ gpu: false });
+// Train a model on the series with the selected forecasting engine
+function trainForecastModel(series, options = {}) {
+  const engine = options.engine || DEFAULT_ENGINE;
+  const net = createEngine(engine, options.engineOptions || {});
   const trainingOptions = {
     iterations: options.iterations || 29999,
     errorThresh: options.errorThresh || 0.1,
@@ -28,110 +25,140 @@ function trainAndForecastGRU(series, options = {}) {
   return net;
 }
 
-// Forecast future sales
-function forecastSales(net, series, monthsAhead) {
-  return net.forecast(series, monthsAhead);
+// Train and forecast sales using GRUTimeStep
+function trainAndForecastGRU(series, options = {}) {
+  return trainForecastModel(series, { ...options, engine: 'gru' });
+}
+
+// Forecast future sales. `context` ({ start, events }) only matters to engines that take regressors.
+function forecastSales(net, series, monthsAhead, context) {
+  return net.forecast(series, monthsAhead, context);
 }
 
-// Save trained model to a file
-function saveModel(net, metadata = {}) {
+// Save a trained model to the forecast_models registry.
+// New models are candidates; they only serve forecasts once promoted, except that the
+// first model trained for an engine is promoted automatically when promoteIfNoActive is set.
+async function saveModel(net, metadata = {}, options = {}) {
   try {
-    // Generate a timestamp for the model
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const modelFileName = `gru_model_${timestamp}.json`;
-    const modelPath = path.join(MODEL_DIR, modelFileName);
+    const engine = metadata.engine || DEFAULT_ENGINE;
+    const granularity = metadata.granularity || 'month';
+    const modelType = getEngine(engine).modelType;
     
-    // Convert the model to JSON
-    const modelJSON = net.toJSON();
+    // Generate a timestamped name for the model
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const modelName = `${engine}_model_${timestamp}`;
     
-    // Add metadata to the saved model
-    const savedData = {
-      model: modelJSON,
+    const record = await ForecastModel.create({
+      name: modelName,
+      engine,
+      granularity,
+      model_type: modelType,
+      model_json: net.toJSON(),
+      normalization: {
+        minSales: metadata.minSales,
+        maxSales: metadata.maxSales,
+        range: metadata.range,
+        ...(metadata.normalization || {})
+      },
+      training_window: {
+        start: metadata.firstSalesDate || null,
+        end: metadata.lastSalesDate || null,
+        dataPoints: metadata.dataPoints
+      },
+      metrics: metadata.trainingParams ? {
+        finalError: metadata.trainingParams.finalError,
+        actualIterations: metadata.trainingParams.actualIterations
+      } : null,
       metadata: {
         ...metadata,
         createdAt: timestamp,
-        modelType: 'GRUTimeStep'
+        engine,
+        granularity,
+        modelType
       }
-    };
-    
-    // Write the model to file
-    fs.writeFileSync(modelPath, JSON.stringify(savedData));
+    });
     
-    // Also save as latest model for easy reference
-    fs.writeFileSync(path.join(MODEL_DIR, 'latest_model.json'), JSON.stringify(savedData));
+    let model = record;
+    if (options.promote || options.promoteIfNoActive) {
+      // Checked under the promotion lock, so two saves cannot both find no active model
+      const promoteResult = await ForecastModel.promote(record.id, { ifNoActive: !options.promote });
+      if (promoteResult.success) {
+        model = promoteResult.model;
+      }
+    }
     
-    console.log(`Model saved to ${modelPath}`);
-    return { success: true, modelPath };
+    console.log(`Model saved to registry as ${modelName} (${model.status})`);
+    return { success: true, model };
   } catch (error) {
     console.error('Error saving model:', error);
     return { success: false, error: error.message };
   }
 }
 
-// Load a trained model from a file
-function loadModel(modelName = 'latest_model.json') {
+// Rebuild a trained model instance from its JSON representation
+function restoreModel(engine, modelJSON) {
+  const net = createEngine(engine);
+  net.fromJSON(modelJSON);
+  return net;
+}
+
+// Rebuild a usable model instance from a registry row
+function instantiateModel(record) {
+  const net = restoreModel(record.engine, record.model_json);
+  
+  return {
+    success: true,
+    model: net,
+    metadata: {
+      ...(record.metadata || {}),
+      id: record.id,
+      name: record.name,
+      status: record.status,
+      engine: record.engine,
+      granularity: record.granularity,
+      modelType: record.model_type
+    }
+  };
+}
+
+// Load a trained model from the registry by id or name
+async function loadModel(modelRef) {
   try {
-    const modelPath = path.join(MODEL_DIR, modelName);
+    // Older clients still refer to models by their former file names
+    const record = await ForecastModel.findById(String(modelRef).replace(/\.json$/, ''));
     
-    // Check if the model file exists
-    if (!fs.existsSync(modelPath)) {
-      return { success: false, error: `Model file ${modelName} not found` };
+    if (!record) {
+      return { success: false, error: `Model ${modelRef} not found` };
     }
     
-    // Read and parse the model file
-    const savedData = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
-    const modelJSON = savedData.model;
-    
-    // Create a new neural network instance and load the model
-    const net = new brain.recurrent.GRUTimeStep();
-    net.fromJSON(modelJSON);
-    
-    return { 
-      success: true, 
-      model: net, 
-      metadata: savedData.metadata 
-    };
+    return instantiateModel(record);
   } catch (error) {
     console.error('Error loading model:', error);
     return { success: false, error: error.message };
   }
 }
 
-// Get information about available saved models
-function getSavedModels() {
+// Load the promoted (active) model for an engine and granularity
+async function loadActiveModel(engine = DEFAULT_ENGINE, granularity = 'month') {
   try {
-    if (!fs.existsSync(MODEL_DIR)) {
-      return { success: false, error: 'Model directory does not exist' };
-    }
+    const record = await ForecastModel.findActive(engine, granularity);
     
-    const modelFiles = fs.readdirSync(MODEL_DIR)
-      .filter(file => file.endsWith('.json'))
-      .map(file => {
-        const filePath = path.join(MODEL_DIR, file);
-        const stats = fs.statSync(filePath);
-        
-        try {
-          // Try to read the metadata
-          const savedData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-          
-          return {
-            filename: file,
-            size: stats.size,
-            created: stats.mtime,
-            metadata: savedData.metadata || {}
-          };
-        } catch (e) {
-          // If we can't read the file, just return basic info
-          return {
-            filename: file,
-            size: stats.size,
-            created: stats.mtime,
-            error: 'Could not parse model file'
-          };
-        }
-      });
+    if (!record) {
+      return { success: false, error: `No active ${granularity} model for engine ${engine}` };
+    }
     
-    return { success: true, models: modelFiles };
+    return instantiateModel(record);
+  } catch (error) {
+    console.error('Error loading active model:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Get information about models in the registry
+async function getSavedModels(filters = {}) {
+  try {
+    const models = await ForecastModel.findAll(filters);
+    return { success: true, models };
   } catch (error) {
     console.error('Error getting saved models:', error);
     return { success: false, error: error.message };
@@ -139,9 +166,15 @@ function getSavedModels() {
 }
 
 module.exports = {
+  DEFAULT_ENGINE,
+  getEngine,
+  listEngines,
+  trainForecastModel,
   trainAndForecastGRU,
   forecastSales,
+  restoreModel,
   saveModel,
   loadModel,
+  loadActiveModel,
   getSavedModels
 };
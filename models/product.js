@@ -1,5 +1,6 @@
 const db = require('../db/db');
 const { deleteImage } = require('../utils/cloudinary');
+const StockReservation = require('./stockReservation');
 
 class Product {
   static async findAll() {
@@ -41,7 +42,9 @@ class Product {
           p.created_at DESC
       `);
       // Map id to product_id if needed, though aliasing in SQL is better
-      return result.rows;
+      // total_quantity is available to sell; add what orders are holding (see StockReservation)
+      const held = await StockReservation.getHeldQuantities({ productIds: result.rows.map(row => row.product_id) });
+      return StockReservation.withProductStock(result.rows, held);
     } catch (error) {
       console.error('Error finding all products:', error);
       throw error;
@@ -80,12 +83,13 @@ class Product {
         [pid]
       );
 
-      // Add variants and total quantity to the product object
-      product.variants = variantsResult.rows;
+      // Add variants and total quantity to the product object, with the stock orders are holding
+      const held = await StockReservation.getHeldQuantities({ productIds: [pid] });
+      product.variants = StockReservation.withVariantStock(variantsResult.rows, held);
       product.total_quantity = parseInt(quantityResult.rows[0].total_quantity, 10);
       product.product_id = product.id; // Add product_id alias
       
-      return product;
+      return StockReservation.withProductStock([product], held)[0];
     } catch (error) {
       console.error('Error finding product by ID:', error);
       throw error;
@@ -281,7 +285,8 @@ class Product {
         ORDER BY p.created_at DESC`,
         [searchQuery]
       );
-      return result.rows;
+      const held = await StockReservation.getHeldQuantities({ productIds: result.rows.map(row => row.product_id) });
+      return StockReservation.withProductStock(result.rows, held);
     } catch (error) {
       console.error('Error searching products:', error);
       throw error;
@@ -350,7 +355,8 @@ class Product {
          ORDER BY pv.quantity ASC
          LIMIT 8`
       );
-      return result.rows;
+      const held = await StockReservation.getHeldQuantities({ variantIds: result.rows.map(row => row.variant_id) });
+      return StockReservation.withVariantStock(result.rows, held);
     } catch (error) {
       console.error('Error getting stock levels:', error);
       throw error;
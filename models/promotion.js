@@ -0,0 +1,531 @@
+const db = require('../db/db');
+const {
+  PROMOTION_TYPES,
+  normalizeCode,
+  validatePromotion,
+  checkAvailability,
+  selectPromotions
+} = require('./promotionRules');
+
+// Fields an admin may set, with the value a new promotion gets when one is left out
+const FIELD_DEFAULTS = {
+  name: undefined,
+  description: null,
+  code: null,
+  type: undefined,
+  value: undefined,
+  max_discount: null,
+  buy_quantity: null,
+  get_quantity: null,
+  bundle_items: [],
+  categories: [],
+  brands: [],
+  skus: [],
+  min_spend: 0,
+  starts_at: null,
+  ends_at: null,
+  usage_limit: null,
+  per_customer_limit: null,
+  stackable: false,
+  priority: 0,
+  active: true
+};
+
+const JSON_FIELDS = ['bundle_items'];
+
+const NUMERIC_FIELDS = ['value', 'max_discount', 'min_spend'];
+
+// Redemptions of cancelled orders do not count towards usage limits or reports
+const COUNTED_ORDER_SQL = `o.payment_status <> 'Cancelled'`;
+
+let tablesReady = null;
+
+const round = value => Number(value.toFixed(2));
+
+function promotionError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_COUPON';
+  return error;
+}
+
+// Promotions and coupon codes. The rules themselves are in promotionRules; this model stores
+// promotions, checks validity windows and usage limits, prices checkouts and records which
+// promotions each order used (promotion_redemptions) and the total on orders.promotion_discount.
+// orders.total_amount is the price after promotions and any manual staff discount.
+class Promotion {
+  static get TYPES() {
+    return PROMOTION_TYPES;
+  }
+
+  static get FIELDS() {
+    return Object.keys(FIELD_DEFAULTS);
+  }
+
+  // Create the promotion tables, and the promotion discount column on orders, on first use
+  static ensureTables() {
+    if (!tablesReady) {
+      tablesReady = db.query(`
+        CREATE TABLE IF NOT EXISTS promotions (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(100) NOT NULL,
+          description TEXT,
+          code VARCHAR(40) UNIQUE,
+          type VARCHAR(20) NOT NULL CHECK (type IN ('percentage', 'fixed', 'buy_x_get_y', 'bundle')),
+          value NUMERIC(10,2) NOT NULL,
+          max_discount NUMERIC(10,2),
+          buy_quantity INTEGER,
+          get_quantity INTEGER,
+          bundle_items JSONB NOT NULL DEFAULT '[]',
+          categories TEXT[] NOT NULL DEFAULT '{}',
+          brands TEXT[] NOT NULL DEFAULT '{}',
+          skus TEXT[] NOT NULL DEFAULT '{}',
+          min_spend NUMERIC(10,2) NOT NULL DEFAULT 0,
+          starts_at TIMESTAMPTZ,
+          ends_at TIMESTAMPTZ,
+          usage_limit INTEGER,
+          per_customer_limit INTEGER,
+          stackable BOOLEAN NOT NULL DEFAULT FALSE,
+          priority INTEGER NOT NULL DEFAULT 0,
+          active BOOLEAN NOT NULL DEFAULT TRUE,
+          created_by INTEGER,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+        CREATE TABLE IF NOT EXISTS promotion_redemptions (
+          id SERIAL PRIMARY KEY,
+          promotion_id INTEGER NOT NULL REFERENCES promotions(id),
+          order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+          code VARCHAR(40),
+          user_id INTEGER,
+          customer_email VARCHAR(255),
+          discount_amount NUMERIC(10,2) NOT NULL,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          UNIQUE (promotion_id, order_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_order ON promotion_redemptions (order_id);
+        ALTER TABLE orders ADD COLUMN IF NOT EXISTS promotion_discount NUMERIC(10,2) NOT NULL DEFAULT 0;
+      `).catch(error => {
+        tablesReady = null;
+        throw error;
+      });
+    }
+    return tablesReady;
+  }
+
+  static format(row) {
+    const promotion = { ...row };
+    NUMERIC_FIELDS.forEach(field => {
+      promotion[field] = row[field] === null || row[field] === undefined ? null : parseFloat(row[field]);
+    });
+    if (row.uses !== undefined) promotion.uses = parseInt(row.uses);
+    if (row.customer_uses !== undefined) promotion.customer_uses = parseInt(row.customer_uses);
+    if (row.discount_total !== undefined) promotion.discount_total = parseFloat(row.discount_total);
+    return promotion;
+  }
+
+  // Promotions with their redemption count, optionally only active ones or one type
+  static async findAll({ active, type } = {}) {
+    try {
+      await this.ensureTables();
+      const conditions = [];
+      const params = [];
+      if (active !== undefined) {
+        params.push(active);
+        conditions.push(`p.active = $${params.length}`);
+      }
+      if (type) {
+        params.push(type);
+        conditions.push(`p.type = $${params.length}`);
+      }
+      const result = await db.query(
+        `SELECT p.*,
+           COUNT(o.id) AS uses,
+           COALESCE(SUM(r.discount_amount) FILTER (WHERE o.id IS NOT NULL), 0) AS discount_total
+         FROM promotions p
+         LEFT JOIN promotion_redemptions r ON r.promotion_id = p.id
+         LEFT JOIN orders o ON o.id = r.order_id AND ${COUNTED_ORDER_SQL}
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         GROUP BY p.id
+         ORDER BY p.active DESC, p.priority DESC, p.created_at DESC`,
+        params
+      );
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      console.error('Error finding promotions:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      await this.ensureTables();
+      const result = await db.query(
+        `SELECT p.*,
+           COUNT(o.id) AS uses,
+           COALESCE(SUM(r.discount_amount) FILTER (WHERE o.id IS NOT NULL), 0) AS discount_total
+         FROM promotions p
+         LEFT JOIN promotion_redemptions r ON r.promotion_id = p.id
+         LEFT JOIN orders o ON o.id = r.order_id AND ${COUNTED_ORDER_SQL}
+         WHERE p.id = $1
+         GROUP BY p.id`,
+        [id]
+      );
+      return result.rows.length > 0 ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding promotion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a promotion
+   * @param {Object} data - Promotion fields (see FIELDS)
+   * @param {Object} actor - { id } of the admin creating it
+   * @returns {Promise<Object>} - { success, status, promotion } or { success: false, status, message }
+   */
+  static async create(data, actor) {
+    const promotion = {};
+    Object.entries(FIELD_DEFAULTS).forEach(([field, defaultValue]) => {
+      promotion[field] = data[field] !== undefined ? data[field] : defaultValue;
+    });
+    // Buy X get Y makes the Y items free unless told otherwise
+    if (promotion.type === 'buy_x_get_y' && promotion.value === undefined) {
+      promotion.value = 100;
+    }
+    return this.save(null, promotion, actor);
+  }
+
+  // Change some fields of a promotion; the result is checked as a whole
+  static async update(id, changes) {
+    try {
+      const existing = await this.findById(id);
+      if (!existing) {
+        return { success: false, status: 404, message: 'Promotion not found' };
+      }
+      const promotion = {};
+      Object.keys(FIELD_DEFAULTS).forEach(field => {
+        promotion[field] = changes[field] !== undefined ? changes[field] : existing[field];
+      });
+      return this.save(id, promotion);
+    } catch (error) {
+      console.error('Error updating promotion:', error);
+      throw error;
+    }
+  }
+
+  static async save(id, promotion, actor) {
+    const validationError = validatePromotion(promotion);
+    if (validationError) {
+      return { success: false, status: 400, message: validationError };
+    }
+    const fields = Object.keys(FIELD_DEFAULTS);
+    const values = fields.map(field => {
+      if (field === 'code') return promotion.code ? normalizeCode(promotion.code) : null;
+      if (field === 'name') return promotion.name.trim();
+      if (JSON_FIELDS.includes(field)) return JSON.stringify(promotion[field] || []);
+      return promotion[field] === undefined ? null : promotion[field];
+    });
+
+    try {
+      await this.ensureTables();
+      const result = id === null
+        ? await db.query(
+          `INSERT INTO promotions (${fields.join(', ')}, created_by)
+           VALUES (${fields.map((field, i) => `$${i + 1}`).join(', ')}, $${fields.length + 1})
+           RETURNING id`,
+          [...values, actor ? actor.id : null]
+        )
+        : await db.query(
+          `UPDATE promotions
+           SET ${fields.map((field, i) => `${field} = $${i + 1}`).join(', ')}, updated_at = NOW()
+           WHERE id = $${fields.length + 1}
+           RETURNING id`,
+          [...values, id]
+        );
+      return { success: true, status: id === null ? 201 : 200, promotion: await this.findById(result.rows[0].id) };
+    } catch (error) {
+      if (error.code === '23505') {
+        return { success: false, status: 409, message: `Coupon code ${normalizeCode(promotion.code)} is already in use` };
+      }
+      console.error('Error saving promotion:', error);
+      throw error;
+    }
+  }
+
+  // Delete a promotion that was never redeemed; one that was is deactivated to keep its history
+  static async remove(id) {
+    try {
+      await this.ensureTables();
+      const redeemed = await db.query('SELECT 1 FROM promotion_redemptions WHERE promotion_id = $1 LIMIT 1', [id]);
+      if (redeemed.rows.length > 0) {
+        const result = await db.query(
+          'UPDATE promotions SET active = FALSE, updated_at = NOW() WHERE id = $1 RETURNING id',
+          [id]
+        );
+        return { found: result.rows.length > 0, deleted: false };
+      }
+      const result = await db.query('DELETE FROM promotions WHERE id = $1 RETURNING id', [id]);
+      return { found: result.rows.length > 0, deleted: true };
+    } catch (error) {
+      console.error('Error deleting promotion:', error);
+      throw error;
+    }
+  }
+
+  // Price and category of each item, looked up by SKU
+  static async loadLines(items, client = db) {
+    const result = await client.query(
+      `SELECT pv.sku, pv.store_price, p.category, p.brand
+       FROM product_variants pv
+       JOIN products p ON p.id = pv.product_ref
+       WHERE pv.sku = ANY($1::text[])`,
+      [items.map(item => item.sku)]
+    );
+    const bySku = new Map(result.rows.map(row => [row.sku, row]));
+    return items.map(item => {
+      const variant = bySku.get(item.sku);
+      if (!variant) {
+        const error = new Error(`No variant found with SKU ${item.sku}`);
+        error.code = 'INVALID_ITEMS';
+        throw error;
+      }
+      return {
+        sku: item.sku,
+        category: variant.category,
+        brand: variant.brand,
+        unit_price: parseFloat(variant.store_price),
+        quantity: item.quantity
+      };
+    });
+  }
+
+  /**
+   * Price a cart: check the coupon codes and pick the promotions under the stacking rules.
+   * Inside an order transaction pass its `client`: the applied promotions that have a usage limit
+   * are then locked until the order commits and their usage counted again, so concurrent checkouts
+   * cannot overrun a limit. Promotions without a limit, or that do not apply, are never locked.
+   * @param {Object[]} items - [{ sku, quantity }]
+   * @param {Object} options - { codes: upper-case coupon codes, userId, email, client }
+   * @returns {Promise<Object>} - { subtotal, discount, total, promotions: [{ id, name, code, type, amount }] };
+   *   throws an error with code INVALID_COUPON when a code cannot be used
+   */
+  static async price(items, { codes = [], userId = null, email = null, client = db } = {}) {
+    try {
+      await this.ensureTables();
+      const lines = await this.loadLines(items, client);
+      const customerEmail = email ? String(email).trim().toLowerCase() : null;
+
+      const found = await client.query(
+        `SELECT * FROM promotions
+         WHERE code = ANY($1::text[])
+            OR (code IS NULL AND active
+                AND (starts_at IS NULL OR starts_at <= NOW())
+                AND (ends_at IS NULL OR ends_at > NOW()))
+         ORDER BY id`,
+        [codes]
+      );
+      const promotions = found.rows.map(row => this.format(row));
+      const missing = codes.find(code => !promotions.some(promotion => promotion.code === code));
+      if (missing) {
+        throw promotionError(`Coupon ${missing} is not valid`);
+      }
+
+      // Usage so far, in total and by this customer
+      const countUsage = async () => {
+        const usage = new Map();
+        const counts = await client.query(
+          `SELECT r.promotion_id,
+             COUNT(*) AS uses,
+             COUNT(*) FILTER (WHERE r.user_id = $2 OR LOWER(r.customer_email) = $3) AS customer_uses
+           FROM promotion_redemptions r
+           JOIN orders o ON o.id = r.order_id AND ${COUNTED_ORDER_SQL}
+           WHERE r.promotion_id = ANY($1::int[])
+           GROUP BY r.promotion_id`,
+          [promotions.map(promotion => promotion.id), userId, customerEmail]
+        );
+        counts.rows.forEach(row => usage.set(row.promotion_id, row));
+        return usage;
+      };
+
+      // Pick the promotions under the stacking rules, given their usage
+      const select = usage => {
+        const coupons = [];
+        const automatic = [];
+        for (const promotion of promotions) {
+          const counted = usage.get(promotion.id);
+          promotion.uses = counted ? parseInt(counted.uses) : 0;
+          promotion.customer_uses = counted ? parseInt(counted.customer_uses) : 0;
+
+          let unavailable = checkAvailability(promotion);
+          if (!unavailable && promotion.per_customer_limit && !userId && !customerEmail) {
+            unavailable = 'requires a signed-in customer or an email address';
+          }
+          if (promotion.code) {
+            if (unavailable) throw promotionError(`Coupon ${promotion.code} ${unavailable}`);
+            coupons.push(promotion);
+          } else if (!unavailable) {
+            automatic.push(promotion);
+          }
+        }
+
+        const selected = selectPromotions(coupons, automatic, lines);
+        if (selected.error) {
+          throw promotionError(selected.error);
+        }
+        return selected;
+      };
+
+      let result = select(promotions.length > 0 ? await countUsage() : new Map());
+      // In an order transaction, lock the limited promotions it applies and count their usage again.
+      // The choice may change once another checkout's redemptions are seen, so repeat until every
+      // limited promotion applied is locked.
+      const locked = new Set();
+      while (client !== db) {
+        const toLock = result.applied
+          .map(({ promotion }) => promotion)
+          .filter(promotion => (promotion.usage_limit || promotion.per_customer_limit) && !locked.has(promotion.id))
+          .map(promotion => promotion.id)
+          .sort((a, b) => a - b);
+        if (toLock.length === 0) break;
+        await client.query('SELECT id FROM promotions WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE', [toLock]);
+        toLock.forEach(id => locked.add(id));
+        result = select(await countUsage());
+      }
+      return {
+        subtotal: result.subtotal,
+        discount: result.discount,
+        total: result.total,
+        promotions: result.applied.map(({ promotion, amount }) => ({
+          id: promotion.id,
+          name: promotion.name,
+          code: promotion.code,
+          type: promotion.type,
+          amount
+        }))
+      };
+    } catch (error) {
+      if (error.code !== 'INVALID_COUPON' && error.code !== 'INVALID_ITEMS') {
+        console.error('Error pricing promotions:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Record the promotions an order used, on the `client` of the order transaction
+  static async recordRedemptions(orderId, pricing, { userId = null, email = null } = {}, client = db) {
+    try {
+      for (const promotion of pricing.promotions) {
+        await client.query(
+          `INSERT INTO promotion_redemptions (promotion_id, order_id, code, user_id, customer_email, discount_amount)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [promotion.id, orderId, promotion.code, userId, email ? String(email).trim().toLowerCase() : null, promotion.amount]
+        );
+      }
+    } catch (error) {
+      console.error('Error recording promotion redemptions:', error);
+      throw error;
+    }
+  }
+
+  // Promotions an order used
+  static async getForOrder(orderId) {
+    try {
+      await this.ensureTables();
+      const result = await db.query(
+        `SELECT p.id, p.name, p.type, r.code, r.discount_amount
+         FROM promotion_redemptions r
+         JOIN promotions p ON p.id = r.promotion_id
+         WHERE r.order_id = $1
+         ORDER BY r.id`,
+        [orderId]
+      );
+      return result.rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        type: row.type,
+        code: row.code,
+        amount: parseFloat(row.discount_amount)
+      }));
+    } catch (error) {
+      console.error('Error finding order promotions:', error);
+      throw error;
+    }
+  }
+
+  // Orders that used a promotion, newest first
+  static async getRedemptions(promotionId, limit = 50) {
+    try {
+      await this.ensureTables();
+      const result = await db.query(
+        `SELECT r.order_id, o.order_number, o.payment_status, o.total_amount, r.code, r.user_id,
+           r.customer_email, r.discount_amount, r.created_at
+         FROM promotion_redemptions r
+         JOIN orders o ON o.id = r.order_id
+         WHERE r.promotion_id = $1
+         ORDER BY r.created_at DESC, r.id DESC
+         LIMIT $2`,
+        [promotionId, limit]
+      );
+      return result.rows.map(row => ({
+        ...row,
+        total_amount: parseFloat(row.total_amount),
+        discount_amount: parseFloat(row.discount_amount)
+      }));
+    } catch (error) {
+      console.error('Error finding promotion redemptions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Orders, discounts and sales per promotion between two dates (cancelled orders left out)
+   * @param {Object} options - { from, to } 'YYYY-MM-DD', both optional and inclusive
+   */
+  static async getReport({ from, to } = {}) {
+    try {
+      await this.ensureTables();
+      const result = await db.query(
+        `SELECT p.id, p.name, p.code, p.type, p.active,
+           COUNT(o.id) AS orders,
+           COUNT(DISTINCT COALESCE(r.user_id::text, r.customer_email)) AS customers,
+           COALESCE(SUM(r.discount_amount), 0) AS discount_total,
+           COALESCE(SUM(o.total_amount), 0) AS net_sales,
+           MIN(r.created_at) AS first_used,
+           MAX(r.created_at) AS last_used
+         FROM promotion_redemptions r
+         JOIN promotions p ON p.id = r.promotion_id
+         JOIN orders o ON o.id = r.order_id AND ${COUNTED_ORDER_SQL}
+         WHERE ($1::date IS NULL OR r.created_at >= $1::date)
+           AND ($2::date IS NULL OR r.created_at < $2::date + 1)
+         GROUP BY p.id
+         ORDER BY discount_total DESC`,
+        [from || null, to || null]
+      );
+      const promotions = result.rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        code: row.code,
+        type: row.type,
+        active: row.active,
+        orders: parseInt(row.orders),
+        customers: parseInt(row.customers),
+        discount_total: parseFloat(row.discount_total),
+        net_sales: parseFloat(row.net_sales),
+        first_used: row.first_used,
+        last_used: row.last_used
+      }));
+      return {
+        summary: {
+          promotions: promotions.length,
+          discount_total: round(promotions.reduce((sum, promotion) => sum + promotion.discount_total, 0))
+        },
+        promotions
+      };
+    } catch (error) {
+      console.error('Error building promotion report:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = Promotion;
@@ -0,0 +1,349 @@
+// Pricing rules of promotions, applied to the lines of a cart or order.
+//
+//   percentage   - `value` percent off the eligible items, at most `max_discount`
+//   fixed        - `value` pesos off the eligible items
+//   buy_x_get_y  - for every `buy_quantity` + `get_quantity` eligible units, the cheapest
+//                  `get_quantity` units are `value` percent off (100 makes them free)
+//   bundle       - every complete set of `bundle_items` ([{ sku, quantity }]) costs `value` pesos
+//
+// Eligible items are those in any of the promotion's `categories`, `brands` or `skus`; a
+// promotion without any applies to every item. `min_spend` is checked against the eligible
+// items. Promotions apply one after another, each to what is left of the line amounts, so a
+// cart can never be discounted below zero.
+//
+// Stacking: a promotion that is not `stackable` is used on its own. Coupons the customer
+// enters always apply (or are rejected); automatic promotions (no code) apply when they are
+// stackable with the coupons, and without coupons the best-priced combination is used.
+
+const PROMOTION_TYPES = ['percentage', 'fixed', 'buy_x_get_y', 'bundle'];
+
+// Item-level rules run first, so order-level discounts apply to the reduced prices
+const TYPE_ORDER = { bundle: 0, buy_x_get_y: 1, percentage: 2, fixed: 3 };
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,40}$/;
+
+const MAX_COUPONS = 5;
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+
+const normalizeCode = code => String(code).trim().toUpperCase();
+
+/**
+ * Read the coupon codes of a checkout: a single code string or a list of codes
+ * @returns {string[]|null} - Upper-case codes without duplicates, or null when invalid
+ */
+function parseCouponCodes(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  const codes = Array.isArray(value) ? value : [value];
+  if (codes.length > MAX_COUPONS || !codes.every(code => typeof code === 'string' && CODE_PATTERN.test(normalizeCode(code)))) {
+    return null;
+  }
+  return [...new Set(codes.map(normalizeCode))];
+}
+
+/**
+ * Check a promotion before it is saved
+ * @param {Object} promotion - Every field of the promotion (after merging any changes)
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validatePromotion(promotion) {
+  const {
+    name, code, type, value, max_discount: maxDiscount, buy_quantity: buyQuantity, get_quantity: getQuantity,
+    bundle_items: bundleItems, categories, brands, skus, min_spend: minSpend, starts_at: startsAt, ends_at: endsAt,
+    usage_limit: usageLimit, per_customer_limit: perCustomerLimit, stackable, priority, active
+  } = promotion;
+
+  if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+    return 'name must be a non-empty string of at most 100 characters';
+  }
+  if (code !== null && code !== undefined && (typeof code !== 'string' || !CODE_PATTERN.test(normalizeCode(code)))) {
+    return 'code must be 3 to 40 letters, digits, dashes or underscores';
+  }
+  if (!PROMOTION_TYPES.includes(type)) {
+    return `type must be one of: ${PROMOTION_TYPES.join(', ')}`;
+  }
+  if (typeof value !== 'number' || !isFinite(value)) {
+    return 'value must be a number';
+  }
+  if ((type === 'percentage' || type === 'buy_x_get_y') && (value <= 0 || value > 100)) {
+    return `value of a ${type} promotion is a percentage between 0 and 100`;
+  }
+  if (type === 'fixed' && value <= 0) {
+    return 'value of a fixed promotion must be greater than 0';
+  }
+  if (type === 'bundle' && value < 0) {
+    return 'value of a bundle promotion is the bundle price and cannot be negative';
+  }
+  if (maxDiscount !== null && maxDiscount !== undefined && (typeof maxDiscount !== 'number' || !(maxDiscount > 0))) {
+    return 'max_discount must be greater than 0';
+  }
+  if (type === 'buy_x_get_y' && (!isPositiveInteger(buyQuantity) || !isPositiveInteger(getQuantity))) {
+    return 'buy_quantity and get_quantity must be positive integers';
+  }
+  if (type === 'bundle') {
+    if (!Array.isArray(bundleItems) || bundleItems.length < 2 || bundleItems.length > 20) {
+      return 'bundle_items must list 2 to 20 items';
+    }
+    for (const [index, item] of bundleItems.entries()) {
+      if (!item || typeof item.sku !== 'string' || item.sku.trim() === '' || !isPositiveInteger(item.quantity)) {
+        return `bundle_items[${index}] must have a sku and a positive integer quantity`;
+      }
+    }
+    if (new Set(bundleItems.map(item => item.sku)).size !== bundleItems.length) {
+      return 'bundle_items must not repeat a sku';
+    }
+  }
+  for (const [field, list] of Object.entries({ categories, brands, skus })) {
+    if (list !== undefined && !isStringList(list)) {
+      return `${field} must be a list of non-empty strings`;
+    }
+  }
+  if (minSpend !== undefined && (typeof minSpend !== 'number' || !(minSpend >= 0))) {
+    return 'min_spend must be 0 or more';
+  }
+  const start = startsAt ? new Date(startsAt) : null;
+  const end = endsAt ? new Date(endsAt) : null;
+  if ((start && isNaN(start)) || (end && isNaN(end))) {
+    return 'starts_at and ends_at must be valid dates';
+  }
+  if (start && end && end <= start) {
+    return 'ends_at must be after starts_at';
+  }
+  for (const [field, limit] of Object.entries({ usage_limit: usageLimit, per_customer_limit: perCustomerLimit })) {
+    if (limit !== null && limit !== undefined && !isPositiveInteger(limit)) {
+      return `${field} must be a positive integer`;
+    }
+  }
+  if (stackable !== undefined && typeof stackable !== 'boolean') {
+    return 'stackable must be true or false';
+  }
+  if (active !== undefined && typeof active !== 'boolean') {
+    return 'active must be true or false';
+  }
+  if (priority !== undefined && !Number.isInteger(priority)) {
+    return 'priority must be an integer';
+  }
+  return null;
+}
+
+/**
+ * Whether a promotion can be used right now
+ * @param {Object} promotion - Promotion with `uses` and `customer_uses` counts
+ * @returns {string|null} - Why it cannot be used, or null
+ */
+function checkAvailability(promotion, now = new Date()) {
+  if (!promotion.active) {
+    return 'is no longer active';
+  }
+  if (promotion.starts_at && new Date(promotion.starts_at) > now) {
+    return `is not valid until ${new Date(promotion.starts_at).toISOString()}`;
+  }
+  if (promotion.ends_at && new Date(promotion.ends_at) <= now) {
+    return 'has expired';
+  }
+  if (promotion.usage_limit && promotion.uses >= promotion.usage_limit) {
+    return 'has reached its usage limit';
+  }
+  if (promotion.per_customer_limit && promotion.customer_uses >= promotion.per_customer_limit) {
+    return 'has already been used the maximum number of times by this customer';
+  }
+  return null;
+}
+
+function matchesScope(promotion, line) {
+  const categories = promotion.categories || [];
+  const brands = promotion.brands || [];
+  const skus = promotion.skus || [];
+  if (categories.length === 0 && brands.length === 0 && skus.length === 0) {
+    return true;
+  }
+  const lower = value => String(value || '').trim().toLowerCase();
+  return categories.some(category => lower(category) === lower(line.category)) ||
+    brands.some(brand => lower(brand) === lower(line.brand)) ||
+    skus.includes(line.sku);
+}
+
+// Spread `amount` over lines in proportion to their weights, rounded to centavos
+function allocate(amount, weights) {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const allocations = weights.map(weight => (total > 0 ? round(amount * weight / total) : 0));
+  // Put the rounding difference on the largest line
+  const difference = round(amount - allocations.reduce((sum, value) => sum + value, 0));
+  if (difference !== 0 && total > 0) {
+    const largest = weights.indexOf(Math.max(...weights));
+    allocations[largest] = round(allocations[largest] + difference);
+  }
+  return allocations;
+}
+
+/**
+ * Discount of one promotion on what is left of each line
+ * @param {Object} promotion - Promotion row
+ * @param {Object[]} lines - [{ sku, category, brand, quantity }]
+ * @param {number[]} remaining - Amount left to pay on each line
+ * @returns {Object} - { amount, allocations } or { error }
+ */
+function computeDiscount(promotion, lines, remaining) {
+  const value = parseFloat(promotion.value);
+  const eligible = lines
+    .map((line, index) => index)
+    .filter(index => remaining[index] > 0 && (promotion.type === 'bundle'
+      ? (promotion.bundle_items || []).some(item => item.sku === lines[index].sku)
+      : matchesScope(promotion, lines[index])));
+  if (eligible.length === 0) {
+    return { error: 'does not apply to any item in the cart' };
+  }
+
+  const eligibleSubtotal = round(eligible.reduce((sum, index) => sum + remaining[index], 0));
+  const minSpend = parseFloat(promotion.min_spend) || 0;
+  if (eligibleSubtotal < minSpend) {
+    return { error: `requires a minimum spend of ${minSpend.toFixed(2)} on eligible items` };
+  }
+
+  // Discount per eligible line, before the max_discount cap
+  let discounts = new Array(lines.length).fill(0);
+
+  if (promotion.type === 'percentage' || promotion.type === 'fixed') {
+    const amount = promotion.type === 'percentage'
+      ? eligibleSubtotal * value / 100
+      : Math.min(value, eligibleSubtotal);
+    const weights = lines.map((line, index) => (eligible.includes(index) ? remaining[index] : 0));
+    discounts = allocate(round(amount), weights);
+  } else if (promotion.type === 'buy_x_get_y') {
+    const groupSize = promotion.buy_quantity + promotion.get_quantity;
+    const units = eligible
+      .flatMap(index => Array.from({ length: lines[index].quantity }, () => ({ index, price: remaining[index] / lines[index].quantity })))
+      .sort((a, b) => a.price - b.price);
+    const discounted = Math.floor(units.length / groupSize) * promotion.get_quantity;
+    if (discounted === 0) {
+      return { error: `requires ${groupSize} eligible items in the cart` };
+    }
+    units.slice(0, discounted).forEach(unit => {
+      discounts[unit.index] += unit.price * value / 100;
+    });
+    discounts = discounts.map(amount => round(amount));
+  } else if (promotion.type === 'bundle') {
+    const inCart = sku => eligible
+      .filter(index => lines[index].sku === sku)
+      .reduce((sum, index) => sum + lines[index].quantity, 0);
+    const sets = Math.min(...promotion.bundle_items.map(item => Math.floor(inCart(item.sku) / item.quantity)));
+    if (sets === 0) {
+      return { error: 'requires every item of the bundle in the cart' };
+    }
+    // Regular price of the units that make up the complete sets, per line
+    const setUnits = new Map(promotion.bundle_items.map(item => [item.sku, item.quantity * sets]));
+    const weights = lines.map((line, index) => {
+      if (!eligible.includes(index) || !setUnits.get(line.sku)) return 0;
+      const units = Math.min(setUnits.get(line.sku), line.quantity);
+      setUnits.set(line.sku, setUnits.get(line.sku) - units);
+      return remaining[index] / line.quantity * units;
+    });
+    const regular = weights.reduce((sum, weight) => sum + weight, 0);
+    const amount = round(regular - value * sets);
+    if (amount <= 0) {
+      return { error: 'does not lower the price of the items in the cart' };
+    }
+    discounts = allocate(amount, weights);
+  }
+
+  let amount = round(discounts.reduce((sum, discount) => sum + discount, 0));
+  const maxDiscount = parseFloat(promotion.max_discount);
+  if (maxDiscount > 0 && amount > maxDiscount) {
+    discounts = allocate(maxDiscount, discounts);
+    amount = round(maxDiscount);
+  }
+  if (amount <= 0) {
+    return { error: 'does not lower the price of the items in the cart' };
+  }
+  // Never more than is left on a line
+  const allocations = discounts.map((discount, index) => Math.min(discount, remaining[index]));
+  return { amount: round(allocations.reduce((sum, discount) => sum + discount, 0)), allocations };
+}
+
+/**
+ * Apply promotions one after another
+ * @param {Object[]} promotions - Promotion rows
+ * @param {Object[]} lines - [{ sku, category, brand, unit_price, quantity }]
+ * @returns {Object} - { subtotal, discount, total, applied: [{ promotion, amount, allocations }], skipped: [{ promotion, reason }] }
+ */
+function applyPromotions(promotions, lines) {
+  const remaining = lines.map(line => round(parseFloat(line.unit_price) * line.quantity));
+  const subtotal = round(remaining.reduce((sum, amount) => sum + amount, 0));
+  const ordered = [...promotions].sort((a, b) =>
+    TYPE_ORDER[a.type] - TYPE_ORDER[b.type] || (b.priority || 0) - (a.priority || 0) || a.id - b.id);
+
+  const applied = [];
+  const skipped = [];
+  for (const promotion of ordered) {
+    const result = computeDiscount(promotion, lines, remaining);
+    if (result.error) {
+      skipped.push({ promotion, reason: result.error });
+      continue;
+    }
+    result.allocations.forEach((discount, index) => {
+      remaining[index] = round(remaining[index] - discount);
+    });
+    applied.push({ promotion, amount: result.amount, allocations: result.allocations });
+  }
+
+  const discount = round(applied.reduce((sum, item) => sum + item.amount, 0));
+  return { subtotal, discount, total: round(subtotal - discount), applied, skipped };
+}
+
+const label = promotion => (promotion.code ? `Coupon ${promotion.code}` : `Promotion "${promotion.name}"`);
+
+/**
+ * Pick the promotions for a cart under the stacking rules
+ * @param {Object[]} coupons - Promotions of the codes the customer entered (already available)
+ * @param {Object[]} automatic - Available promotions without a code
+ * @param {Object[]} lines - Cart lines, as for applyPromotions()
+ * @returns {Object} - Result of applyPromotions(), or { error }
+ */
+function selectPromotions(coupons, automatic, lines) {
+  const exclusive = coupons.find(coupon => !coupon.stackable);
+  if (exclusive && coupons.length > 1) {
+    return { error: `${label(exclusive)} cannot be combined with other coupons` };
+  }
+
+  let result;
+  if (coupons.length > 0) {
+    result = applyPromotions(exclusive ? coupons : [...coupons, ...automatic.filter(promotion => promotion.stackable)], lines);
+    const rejected = result.skipped.find(item => coupons.includes(item.promotion));
+    if (rejected) {
+      return { error: `${label(rejected.promotion)} ${rejected.reason}` };
+    }
+    return result;
+  }
+
+  // Without coupons: the stackable promotions together, or the best promotion on its own
+  const options = [
+    automatic.filter(promotion => promotion.stackable),
+    ...automatic.filter(promotion => !promotion.stackable).map(promotion => [promotion])
+  ];
+  options.forEach(option => {
+    const priced = applyPromotions(option, lines);
+    if (!result || priced.discount > result.discount) {
+      result = priced;
+    }
+  });
+  return result;
+}
+
+module.exports = {
+  PROMOTION_TYPES,
+  MAX_COUPONS,
+  parseCouponCodes,
+  normalizeCode,
+  validatePromotion,
+  checkAvailability,
+  matchesScope,
+  computeDiscount,
+  applyPromotions,
+  selectPromotions
+};
@@ -0,0 +1,174 @@
+const db = require('../db/db');
+const { PAID_STATUSES } = require('../db/salesData');
+const { normalQuantile } = require('./predictionIntervals');
+
+const DEFAULTS = {
+  leadTimeDays: 14,
+  serviceLevel: 95,
+  reviewPeriodDays: 30,
+  lookbackDays: 90
+};
+
+// Ordered from most to least urgent
+const STATUSES = ['reorder_now', 'reorder_soon', 'ok', 'no_sales'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = value => Number(value.toFixed(2));
+
+const toDateString = date => date.toISOString().split('T')[0];
+
+class ReorderSuggestion {
+  static get DEFAULTS() {
+    return DEFAULTS;
+  }
+
+  static get STATUSES() {
+    return STATUSES;
+  }
+
+  // Per-variant stock plus unit sales statistics over the last `lookbackDays` days
+  static async getVariantDemand(lookbackDays) {
+    try {
+      const result = await db.query(`
+        WITH daily AS (
+          SELECT
+            oi.product_id AS variant_id,
+            DATE(o.created_at) AS day,
+            SUM(oi.quantity) AS units
+          FROM order_items oi
+          JOIN orders o ON oi.order_id = o.id
+          WHERE o.payment_status = ANY($1::text[])
+            AND o.created_at >= CURRENT_DATE - make_interval(days => $2)
+          GROUP BY oi.product_id, DATE(o.created_at)
+        )
+        SELECT
+          p.id AS product_id,
+          p.product_name,
+          p.category,
+          p.brand,
+          pv.id AS variant_id,
+          pv.sku,
+          pv.variant_name,
+          pv.quantity,
+          COALESCE(SUM(d.units), 0) AS units_sold,
+          COALESCE(SUM(d.units * d.units), 0) AS units_squared,
+          COUNT(d.day) AS days_with_sales
+        FROM product_variants pv
+        JOIN products p ON pv.product_ref = p.id
+        LEFT JOIN daily d ON d.variant_id = pv.id
+        GROUP BY p.id, p.product_name, p.category, p.brand, pv.id, pv.sku, pv.variant_name, pv.quantity
+        ORDER BY p.id, pv.id
+      `, [PAID_STATUSES, lookbackDays]);
+
+      return result.rows.map(row => ({
+        ...row,
+        quantity: parseInt(row.quantity) || 0,
+        units_sold: parseInt(row.units_sold),
+        units_squared: parseInt(row.units_squared),
+        days_with_sales: parseInt(row.days_with_sales)
+      }));
+    } catch (error) {
+      console.error('Error getting variant demand:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compute the reorder recommendation for one variant.
+   * Safety stock covers demand variability over the lead time at the given service level,
+   * the reorder point is lead-time demand plus safety stock, and the suggested quantity
+   * brings stock back up to cover the lead time plus one review period.
+   */
+  static suggest(variant, settings, today = new Date()) {
+    const { leadTimeDays, serviceLevel, reviewPeriodDays, lookbackDays } = settings;
+
+    // Days without sales count as zero demand
+    const dailyVelocity = variant.units_sold / lookbackDays;
+    const variance = Math.max(0, variant.units_squared / lookbackDays - dailyVelocity * dailyVelocity);
+    const dailyStdDev = Math.sqrt(variance);
+
+    const z = normalQuantile(serviceLevel / 100);
+    const safetyStock = z * dailyStdDev * Math.sqrt(leadTimeDays);
+    const reorderPoint = dailyVelocity * leadTimeDays + safetyStock;
+    const orderUpToLevel = dailyVelocity * (leadTimeDays + reviewPeriodDays) + safetyStock;
+
+    const suggestion = {
+      product_id: variant.product_id,
+      product_name: variant.product_name,
+      category: variant.category,
+      brand: variant.brand,
+      variant_id: variant.variant_id,
+      sku: variant.sku,
+      variant_name: variant.variant_name,
+      on_hand: variant.quantity,
+      units_sold: variant.units_sold,
+      daily_velocity: round(dailyVelocity),
+      safety_stock: Math.ceil(safetyStock),
+      reorder_point: Math.ceil(reorderPoint),
+      days_of_stock: null,
+      reorder_date: null,
+      suggested_quantity: 0,
+      status: 'no_sales'
+    };
+
+    if (dailyVelocity === 0) {
+      return suggestion;
+    }
+
+    // Stock reaches the reorder point after this many days at the current velocity
+    const daysUntilReorder = Math.max(0, Math.floor((variant.quantity - reorderPoint) / dailyVelocity));
+    const reorderDate = new Date(today.getTime() + daysUntilReorder * DAY_MS);
+
+    suggestion.days_of_stock = Math.floor(variant.quantity / dailyVelocity);
+    suggestion.reorder_date = toDateString(reorderDate);
+    suggestion.suggested_quantity = Math.max(0, Math.ceil(orderUpToLevel - Math.min(variant.quantity, reorderPoint)));
+
+    if (daysUntilReorder === 0) {
+      suggestion.status = 'reorder_now';
+    } else if (daysUntilReorder <= leadTimeDays) {
+      suggestion.status = 'reorder_soon';
+    } else {
+      suggestion.status = 'ok';
+    }
+    return suggestion;
+  }
+
+  /**
+   * Reorder suggestions for every variant, most urgent first
+   * @param {Object} options - { leadTimeDays, serviceLevel (percent), reviewPeriodDays, lookbackDays, status, category }
+   * @returns {Promise<Object>} - { settings, generated_at, suggestions }
+   */
+  static async getSuggestions(options = {}) {
+    const settings = { ...DEFAULTS };
+    Object.keys(DEFAULTS).forEach(key => {
+      if (options[key] !== undefined) settings[key] = options[key];
+    });
+
+    const variants = await this.getVariantDemand(settings.lookbackDays);
+    const today = new Date();
+
+    let suggestions = variants.map(variant => this.suggest(variant, settings, today));
+    if (options.category) {
+      const category = options.category.toLowerCase();
+      suggestions = suggestions.filter(item => item.category && item.category.toLowerCase() === category);
+    }
+    if (options.status) {
+      suggestions = suggestions.filter(item => item.status === options.status);
+    }
+
+    suggestions.sort((a, b) =>
+      STATUSES.indexOf(a.status) - STATUSES.indexOf(b.status) ||
+      (a.reorder_date || '').localeCompare(b.reorder_date || '') ||
+      b.daily_velocity - a.daily_velocity
+    );
+
+    return {
+      settings,
+      generated_at: today.toISOString(),
+      suggestions
+    };
+  }
+}
+
+module.exports = ReorderSuggestion;
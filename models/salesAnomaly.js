@@ -0,0 +1,376 @@
+const db = require('../db/db');
+
+const DEFAULTS = {
+  days: 30,
+  window: 28,
+  threshold: 3.5,
+  orderFence: 3
+};
+
+// daily_revenue and daily_orders are compared with a rolling window of previous days;
+// order_amount compares single sales with the order sizes of that window
+const METRICS = ['daily_revenue', 'daily_orders', 'order_amount'];
+
+const STATUSES = ['open', 'acknowledged', 'dismissed'];
+
+// Days of history a day needs before it is scored, and orders before an order is scored
+const MIN_HISTORY_DAYS = 14;
+const MIN_HISTORY_ORDERS = 10;
+
+const round = value => Number(value.toFixed(2));
+
+const median = sorted => (sorted.length % 2 === 1
+  ? sorted[(sorted.length - 1) / 2]
+  : (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2);
+
+// Quantile with linear interpolation between the closest ranks
+function quantile(sorted, p) {
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+const ascending = values => values.slice().sort((a, b) => a - b);
+
+// Dates are returned as plain YYYY-MM-DD strings so they do not shift with the server timezone
+const COLUMNS = `
+  id, metric, to_char(anomaly_date, 'YYYY-MM-DD') AS anomaly_date, order_id, order_number,
+  value, expected, score, direction, status, note, reviewed_by, reviewed_at, detected_at, updated_at
+`;
+
+let tableReady = null;
+
+// Unusual daily revenue, order counts and single-order sizes in the `sales` table
+class SalesAnomaly {
+  static get DEFAULTS() {
+    return DEFAULTS;
+  }
+
+  static get METRICS() {
+    return METRICS;
+  }
+
+  static get STATUSES() {
+    return STATUSES;
+  }
+
+  // Create the anomalies table on first use. A day (or an order) has one flag per metric,
+  // so detecting again updates the flag without touching its review status.
+  static ensureTable() {
+    if (!tableReady) {
+      tableReady = db.query(`
+        CREATE TABLE IF NOT EXISTS anomalies (
+          id SERIAL PRIMARY KEY,
+          metric VARCHAR(30) NOT NULL
+            CHECK (metric IN ('daily_revenue', 'daily_orders', 'order_amount')),
+          anomaly_date DATE NOT NULL,
+          order_id INTEGER,
+          order_number VARCHAR(50),
+          value NUMERIC(14, 2) NOT NULL,
+          expected NUMERIC(14, 2) NOT NULL,
+          score NUMERIC(10, 2) NOT NULL,
+          direction VARCHAR(10) NOT NULL CHECK (direction IN ('high', 'low')),
+          status VARCHAR(20) NOT NULL DEFAULT 'open'
+            CHECK (status IN ('open', 'acknowledged', 'dismissed')),
+          note TEXT,
+          reviewed_by INTEGER,
+          reviewed_at TIMESTAMP,
+          detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS anomalies_metric_date_order_idx
+          ON anomalies (metric, anomaly_date, (COALESCE(order_id, 0)));
+      `).catch(error => {
+        tableReady = null;
+        throw error;
+      });
+    }
+    return tableReady;
+  }
+
+  // Net revenue (after return refunds) and order count for every complete day from `days`
+  // days ago to yesterday. Days without sales count as zero, starting from the first recorded sale.
+  static async getDailyTotals(days) {
+    try {
+      const result = await db.query(`
+        WITH daily AS (
+          SELECT date::date AS day, SUM(amount) AS revenue, COUNT(*) FILTER (WHERE status IS DISTINCT FROM 'refunded') AS orders
+          FROM sales
+          WHERE date >= CURRENT_DATE - make_interval(days => $1) AND date < CURRENT_DATE
+          GROUP BY date::date
+        )
+        SELECT
+          to_char(d.day, 'YYYY-MM-DD') AS date,
+          COALESCE(daily.revenue, 0) AS revenue,
+          COALESCE(daily.orders, 0) AS orders
+        FROM generate_series(
+          GREATEST(CURRENT_DATE - make_interval(days => $1), (SELECT MIN(date)::date FROM sales)),
+          CURRENT_DATE - 1,
+          interval '1 day'
+        ) AS d(day)
+        LEFT JOIN daily ON daily.day = d.day::date
+        ORDER BY d.day
+      `, [days]);
+
+      return result.rows.map(row => ({
+        date: row.date,
+        revenue: parseFloat(row.revenue),
+        orders: parseInt(row.orders)
+      }));
+    } catch (error) {
+      console.error('Error getting daily sales totals:', error);
+      throw error;
+    }
+  }
+
+  // Single sales from `days` days ago to yesterday, oldest first
+  static async getOrderAmounts(days) {
+    try {
+      const result = await db.query(`
+        SELECT order_id, order_number, to_char(date::date, 'YYYY-MM-DD') AS date, amount
+        FROM sales
+        WHERE date >= CURRENT_DATE - make_interval(days => $1) AND date < CURRENT_DATE
+          AND status IS DISTINCT FROM 'refunded'
+        ORDER BY date
+      `, [days]);
+
+      return result.rows.map(row => ({ ...row, amount: parseFloat(row.amount) }));
+    } catch (error) {
+      console.error('Error getting sale amounts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Score the last `evaluate` days of a daily series against the `window` days before each.
+   * The expected value is the median of the same weekday in the window (or of the whole
+   * window when it has fewer than three of them); the spread is the window's scaled median
+   * absolute deviation, never less than 5% of the expected value.
+   * @param {Object[]} days - { date, value } for consecutive days
+   * @returns {Object[]} - Flags with |score| above the threshold
+   */
+  static scoreDailySeries(days, metric, { evaluate, window, threshold }) {
+    const flags = [];
+    for (let i = Math.max(0, days.length - evaluate); i < days.length; i++) {
+      const history = days.slice(Math.max(0, i - window), i);
+      if (history.length < MIN_HISTORY_DAYS) continue;
+
+      const values = ascending(history.map(day => day.value));
+      const center = median(values);
+      const sameWeekday = ascending(history.filter((day, j) => (history.length - j) % 7 === 0).map(day => day.value));
+      const expected = sameWeekday.length >= 3 ? median(sameWeekday) : center;
+
+      let spread = 1.4826 * median(ascending(values.map(value => Math.abs(value - center))));
+      if (spread === 0) {
+        // More than half the window shares one value; fall back to the mean absolute deviation
+        spread = 1.2533 * values.reduce((sum, value) => sum + Math.abs(value - center), 0) / values.length;
+      }
+      spread = Math.max(spread, Math.abs(expected) * 0.05);
+      if (spread === 0) continue;
+
+      const score = (days[i].value - expected) / spread;
+      if (Math.abs(score) > threshold) {
+        flags.push({
+          metric,
+          anomaly_date: days[i].date,
+          order_id: null,
+          order_number: null,
+          value: round(days[i].value),
+          expected: round(expected),
+          score: round(score),
+          direction: score > 0 ? 'high' : 'low'
+        });
+      }
+    }
+    return flags;
+  }
+
+  /**
+   * Flag single sales on the evaluated days that fall outside `fence` interquartile ranges
+   * of the order sizes in the `window` days before their day
+   * @param {Object[]} orders - { order_id, order_number, date, amount }, oldest first
+   * @param {string[]} evaluatedDates - Days to check (YYYY-MM-DD)
+   */
+  static scoreOrderAmounts(orders, evaluatedDates, { window, fence }) {
+    const flags = [];
+    evaluatedDates.forEach(date => {
+      const windowStart = new Date(`${date}T00:00:00Z`);
+      windowStart.setUTCDate(windowStart.getUTCDate() - window);
+      const start = windowStart.toISOString().split('T')[0];
+
+      const history = ascending(orders.filter(order => order.date >= start && order.date < date).map(order => order.amount));
+      if (history.length < MIN_HISTORY_ORDERS) return;
+
+      const center = median(history);
+      const q1 = quantile(history, 0.25);
+      const q3 = quantile(history, 0.75);
+      const iqr = Math.max(q3 - q1, center * 0.05);
+      if (iqr === 0) return;
+
+      orders.filter(order => order.date === date).forEach(order => {
+        if (order.amount <= q3 + fence * iqr && order.amount >= q1 - fence * iqr) return;
+        const score = (order.amount - center) / iqr;
+        flags.push({
+          metric: 'order_amount',
+          anomaly_date: date,
+          order_id: order.order_id,
+          order_number: order.order_number,
+          value: order.amount,
+          expected: round(center),
+          score: round(score),
+          direction: score > 0 ? 'high' : 'low'
+        });
+      });
+    });
+    return flags;
+  }
+
+  /**
+   * Detect anomalies over the last `days` complete days and store them.
+   * Open flags in that range that no longer look unusual (for example because late
+   * sales records arrived) are removed; reviewed flags are kept.
+   * @param {Object} options - { days, window, threshold (modified z-score), orderFence (IQRs) }
+   * @returns {Promise<Object>} - { settings, from, to, detected, new_anomalies, resolved }
+   */
+  static async detect(options = {}) {
+    const settings = { ...DEFAULTS };
+    Object.keys(DEFAULTS).forEach(key => {
+      if (options[key] !== undefined) settings[key] = options[key];
+    });
+    const lookback = settings.days + settings.window;
+
+    const totals = await this.getDailyTotals(lookback);
+    const orders = await this.getOrderAmounts(lookback);
+    const scoring = { evaluate: settings.days, window: settings.window, threshold: settings.threshold };
+    const evaluatedDates = totals.slice(Math.max(0, totals.length - settings.days)).map(day => day.date);
+
+    const flags = [
+      ...this.scoreDailySeries(totals.map(day => ({ date: day.date, value: day.revenue })), 'daily_revenue', scoring),
+      ...this.scoreDailySeries(totals.map(day => ({ date: day.date, value: day.orders })), 'daily_orders', scoring),
+      ...this.scoreOrderAmounts(orders, evaluatedDates, { window: settings.window, fence: settings.orderFence })
+    ];
+
+    const summary = {
+      settings,
+      from: evaluatedDates[0] || null,
+      to: evaluatedDates[evaluatedDates.length - 1] || null,
+      detected: flags.length,
+      new_anomalies: 0,
+      resolved: 0
+    };
+    if (evaluatedDates.length === 0) {
+      return summary;
+    }
+
+    try {
+      await this.ensureTable();
+      return await db.transaction(async client => {
+        const ids = [];
+        for (const flag of flags) {
+          const result = await client.query(
+            `INSERT INTO anomalies
+              (metric, anomaly_date, order_id, order_number, value, expected, score, direction)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            ON CONFLICT (metric, anomaly_date, (COALESCE(order_id, 0))) DO UPDATE SET
+              value = EXCLUDED.value,
+              expected = EXCLUDED.expected,
+              score = EXCLUDED.score,
+              direction = EXCLUDED.direction,
+              updated_at = CURRENT_TIMESTAMP
+            RETURNING id, (xmax = 0) AS inserted`,
+            [flag.metric, flag.anomaly_date, flag.order_id, flag.order_number, flag.value, flag.expected, flag.score, flag.direction]
+          );
+          ids.push(result.rows[0].id);
+          if (result.rows[0].inserted) summary.new_anomalies++;
+        }
+
+        const resolved = await client.query(
+          `DELETE FROM anomalies
+          WHERE status = 'open' AND anomaly_date BETWEEN $1 AND $2 AND id <> ALL($3::int[])`,
+          [summary.from, summary.to, ids]
+        );
+        summary.resolved = resolved.rowCount;
+        return summary;
+      });
+    } catch (error) {
+      console.error('Error storing sales anomalies:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List stored anomalies, newest day first
+   * @param {Object} filters - { status, metric, from, to (YYYY-MM-DD), limit }
+   */
+  static async findAll({ status, metric, from, to, limit = 100 } = {}) {
+    try {
+      await this.ensureTable();
+      const conditions = [];
+      const params = [];
+      if (status) {
+        params.push(status);
+        conditions.push(`status = $${params.length}`);
+      }
+      if (metric) {
+        params.push(metric);
+        conditions.push(`metric = $${params.length}`);
+      }
+      if (from) {
+        params.push(from);
+        conditions.push(`anomaly_date >= $${params.length}`);
+      }
+      if (to) {
+        params.push(to);
+        conditions.push(`anomaly_date <= $${params.length}`);
+      }
+      params.push(limit);
+
+      const result = await db.query(
+        `SELECT ${COLUMNS}
+        FROM anomalies
+        ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+        ORDER BY anomaly_date DESC, ABS(score) DESC
+        LIMIT $${params.length}`,
+        params
+      );
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      console.error('Error finding sales anomalies:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Acknowledge or dismiss an anomaly
+   * @returns {Promise<Object|null>} - The updated anomaly, or null when it does not exist
+   */
+  static async updateStatus(anomalyId, status, { userId = null, note = null } = {}) {
+    try {
+      await this.ensureTable();
+      const result = await db.query(
+        `UPDATE anomalies
+        SET status = $2, note = COALESCE($3, note), reviewed_by = $4,
+          reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING ${COLUMNS}`,
+        [anomalyId, status, note, userId]
+      );
+      return result.rows.length > 0 ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      console.error('Error updating sales anomaly:', error);
+      throw error;
+    }
+  }
+
+  static format(row) {
+    return {
+      ...row,
+      value: parseFloat(row.value),
+      expected: parseFloat(row.expected),
+      score: parseFloat(row.score)
+    };
+  }
+}
+
+module.exports = SalesAnomaly;
@@ -0,0 +1,157 @@
+// What-if adjustments applied to a monthly sales forecast.
+//
+//   percent   - scale sales by `value` percent (e.g. -10 for a 10% drop) from `start` to `end`
+//   absolute  - add `value` pesos per month from `start` to `end`
+//   category  - change one category's share of sales by `value` percent from `start` to `end`
+//   override  - set `values` ({ 'YYYY-MM': sales }); months up to the last actual month replace
+//               the history the forecast is made from
+//
+// Months are 'YYYY-MM' strings; `end` is optional and leaves the adjustment open-ended.
+// Adjustments apply in the order given, each to the result of the previous ones.
+
+const ADJUSTMENT_TYPES = ['percent', 'absolute', 'category', 'override'];
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const monthKey = (year, month) => `${year}-${String(month).padStart(2, '0')}`;
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+/**
+ * Check a list of adjustments
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateAdjustments(adjustments) {
+  if (!Array.isArray(adjustments) || adjustments.length === 0 || adjustments.length > 50) {
+    return 'adjustments must be a list of 1 to 50 adjustments';
+  }
+
+  for (const [index, adjustment] of adjustments.entries()) {
+    const label = `adjustments[${index}]`;
+    if (!adjustment || typeof adjustment !== 'object') {
+      return `${label} must be an object`;
+    }
+    const { name, type, value, start, end, category, values } = adjustment;
+    if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+      return `${label}.name must be a non-empty string`;
+    }
+    if (!ADJUSTMENT_TYPES.includes(type)) {
+      return `${label}.type must be one of: ${ADJUSTMENT_TYPES.join(', ')}`;
+    }
+
+    if (type === 'override') {
+      const entries = values && typeof values === 'object' ? Object.entries(values) : [];
+      if (entries.length === 0) {
+        return `${label}.values must map months (YYYY-MM) to sales`;
+      }
+      if (entries.some(([month, sales]) => !MONTH_PATTERN.test(month) || typeof sales !== 'number' || sales < 0)) {
+        return `${label}.values must map months (YYYY-MM) to non-negative sales`;
+      }
+      continue;
+    }
+
+    if (typeof value !== 'number' || !isFinite(value)) {
+      return `${label}.value must be a number`;
+    }
+    if (type !== 'absolute' && value <= -100) {
+      return `${label}.value must be greater than -100 percent`;
+    }
+    if (!MONTH_PATTERN.test(start || '')) {
+      return `${label}.start must be a month in YYYY-MM format`;
+    }
+    if (end !== undefined && end !== null && (!MONTH_PATTERN.test(end) || end < start)) {
+      return `${label}.end must be a month in YYYY-MM format, not before start`;
+    }
+    if (type === 'category' && (typeof category !== 'string' || category.trim() === '')) {
+      return `${label}.category is required`;
+    }
+  }
+  return null;
+}
+
+// Override months up to the last actual month; they change the history instead of the forecast
+function historicalOverrides(adjustments, lastActual) {
+  const lastKey = monthKey(lastActual.year, lastActual.month);
+  const overrides = {};
+  adjustments
+    .filter(adjustment => adjustment.type === 'override')
+    .forEach(adjustment => {
+      Object.entries(adjustment.values).forEach(([month, sales]) => {
+        if (month <= lastKey) overrides[month] = sales;
+      });
+    });
+  return overrides;
+}
+
+/**
+ * Apply adjustments to a scenario base, month by month
+ * @param {Object[]} baseline - Baseline forecast rows { year, month, predicted_sales }
+ * @param {Object[]} scenarioBase - Forecast the adjustments start from (the baseline, or a
+ *   re-forecast from overridden actuals), aligned with baseline
+ * @param {Object[]} adjustments - Validated adjustments
+ * @param {Object} categoryShares - Map of lower-cased category name to its share of sales
+ * @returns {Object} - { series, totals }
+ */
+function applyAdjustments(baseline, scenarioBase, adjustments, categoryShares = {}) {
+  const series = baseline.map((row, i) => {
+    const key = monthKey(row.year, row.month);
+    let value = Math.max(0, scenarioBase[i].predicted_sales);
+    const applied = [];
+    if (value !== row.predicted_sales) {
+      applied.push({ name: 'overridden actuals', effect: round(value - row.predicted_sales) });
+    }
+
+    adjustments.forEach((adjustment, index) => {
+      const name = adjustment.name || `${adjustment.type} #${index + 1}`;
+      let next = value;
+      if (adjustment.type === 'override') {
+        if (adjustment.values[key] === undefined) return;
+        next = adjustment.values[key];
+      } else {
+        if (key < adjustment.start || (adjustment.end && key > adjustment.end)) return;
+        if (adjustment.type === 'percent') {
+          next = value * (1 + adjustment.value / 100);
+        } else if (adjustment.type === 'absolute') {
+          next = value + adjustment.value;
+        } else {
+          const share = categoryShares[adjustment.category.toLowerCase()] || 0;
+          next = value + value * share * adjustment.value / 100;
+        }
+      }
+      applied.push({ name, effect: round(next - value) });
+      value = Math.max(0, next);
+    });
+
+    const delta = value - row.predicted_sales;
+    return {
+      year: row.year,
+      month: row.month,
+      month_name: row.month_name,
+      baseline_sales: round(row.predicted_sales),
+      scenario_sales: round(value),
+      delta: round(delta),
+      delta_percent: row.predicted_sales !== 0 ? round((delta / row.predicted_sales) * 100) : null,
+      adjustments: applied
+    };
+  });
+
+  const baselineTotal = series.reduce((sum, row) => sum + row.baseline_sales, 0);
+  const scenarioTotal = series.reduce((sum, row) => sum + row.scenario_sales, 0);
+  return {
+    series,
+    totals: {
+      baseline_sales: round(baselineTotal),
+      scenario_sales: round(scenarioTotal),
+      delta: round(scenarioTotal - baselineTotal),
+      delta_percent: baselineTotal !== 0 ? round(((scenarioTotal - baselineTotal) / baselineTotal) * 100) : null
+    }
+  };
+}
+
+module.exports = {
+  ADJUSTMENT_TYPES,
+  monthKey,
+  validateAdjustments,
+  historicalOverrides,
+  applyAdjustments
+};
@@ -0,0 +1,188 @@
+const db = require('../db/db');
+const OrderLifecycle = require('./orderLifecycle');
+
+// Hours an unpaid order holds its stock, per payment method (lower case). Override with
+// RESERVATION_TTL_HOURS, a JSON object such as {"default": 48, "cash": 72, "gcash": 2}.
+const DEFAULT_TTL_HOURS = {
+  default: 48
+};
+
+const DEFAULTS = {
+  sweepIntervalMinutes: 5,
+  sweepBatchSize: 100
+};
+
+// Paid statuses whose items are still waiting for pickup or delivery
+const ALLOCATED_STATUSES = ['Paid', 'Paid (Discounted)'];
+
+// Units sold to orders but not yet handed over, per variant
+const HELD_QUANTITIES_SQL = `
+  SELECT
+    pv.id AS variant_id,
+    pv.product_ref,
+    COALESCE(SUM(oi.quantity) FILTER (WHERE o.payment_status = ANY($1::text[])), 0) AS reserved,
+    COALESCE(SUM(oi.quantity) FILTER (WHERE o.payment_status = ANY($2::text[])), 0) AS allocated
+  FROM order_items oi
+  JOIN orders o ON o.id = oi.order_id
+  JOIN product_variants pv ON pv.id = oi.product_id
+  WHERE COALESCE(o.pickup_status, 'Processing') NOT IN ('Claimed', 'Cancelled')
+`;
+
+let columnReady = null;
+
+function loadTtlHours() {
+  if (!process.env.RESERVATION_TTL_HOURS) {
+    return DEFAULT_TTL_HOURS;
+  }
+  try {
+    const configured = JSON.parse(process.env.RESERVATION_TTL_HOURS);
+    const ttl = { ...DEFAULT_TTL_HOURS };
+    Object.entries(configured).forEach(([method, hours]) => {
+      if (typeof hours === 'number' && hours > 0) ttl[method.toLowerCase()] = hours;
+    });
+    return ttl;
+  } catch (error) {
+    console.error('Invalid RESERVATION_TTL_HOURS, using the default reservation times:', error.message);
+    return DEFAULT_TTL_HOURS;
+  }
+}
+
+const TTL_HOURS = loadTtlHours();
+
+// Stock held by orders. Placing an order takes its items out of `quantity` straight away, so
+// `quantity` is what is available to sell. Unpaid orders only hold their items until their
+// `reserved_until` time, which depends on the payment method; the reservation sweeper cancels
+// them after that, which puts the items back in stock. Stock levels per variant:
+//   available  - product_variants.quantity
+//   reserved   - in unpaid orders
+//   allocated  - in paid orders not yet claimed or delivered
+//   on hand    - available + reserved + allocated
+class StockReservation {
+  static get DEFAULTS() {
+    return DEFAULTS;
+  }
+
+  static get TTL_HOURS() {
+    return TTL_HOURS;
+  }
+
+  // Add the reservation expiry column to orders on first use. Orders placed before it
+  // existed have no expiry and are never cancelled automatically.
+  static ensureColumn() {
+    if (!columnReady) {
+      columnReady = db.query(`
+        ALTER TABLE orders ADD COLUMN IF NOT EXISTS reserved_until TIMESTAMP;
+        CREATE INDEX IF NOT EXISTS idx_orders_reserved_until ON orders (reserved_until)
+          WHERE reserved_until IS NOT NULL;
+      `).catch(error => {
+        columnReady = null;
+        throw error;
+      });
+    }
+    return columnReady;
+  }
+
+  static ttlHours(paymentMethod) {
+    const method = String(paymentMethod || '').trim().toLowerCase();
+    return TTL_HOURS[method] || TTL_HOURS.default;
+  }
+
+  // When an order placed now with `paymentMethod` stops holding its stock
+  static expiresAt(paymentMethod, from = new Date()) {
+    return new Date(from.getTime() + this.ttlHours(paymentMethod) * 60 * 60 * 1000);
+  }
+
+  // Unpaid orders whose reservation has run out, oldest first. Orders out for delivery
+  // are left alone, since their items are no longer in the store.
+  static async findExpired(limit = DEFAULTS.sweepBatchSize) {
+    try {
+      await this.ensureColumn();
+      const result = await db.query(
+        `SELECT order_number, payment_method, reserved_until
+         FROM orders
+         WHERE reserved_until < NOW()
+           AND payment_status = ANY($1::text[])
+           AND COALESCE(pickup_status, 'Processing') <> 'On Delivery'
+         ORDER BY reserved_until
+         LIMIT $2`,
+        [OrderLifecycle.UNPAID_STATUSES, limit]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error finding expired reservations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reserved and allocated units of the variants being shown, given by id or by product
+   * @param {Object} ids - { variantIds, productIds }
+   * @returns {Promise<Map>} - variant_id -> { product_ref, reserved, allocated }
+   */
+  static async getHeldQuantities({ variantIds = [], productIds = [] } = {}) {
+    try {
+      if (variantIds.length === 0 && productIds.length === 0) {
+        return new Map();
+      }
+      const result = await db.query(
+        `${HELD_QUANTITIES_SQL}
+           AND (pv.id = ANY($3::int[]) OR pv.product_ref = ANY($4::int[]))
+         GROUP BY pv.id, pv.product_ref`,
+        [OrderLifecycle.UNPAID_STATUSES, ALLOCATED_STATUSES, variantIds, productIds]
+      );
+      return new Map(result.rows.map(row => [row.variant_id, {
+        product_ref: row.product_ref,
+        reserved: parseInt(row.reserved),
+        allocated: parseInt(row.allocated)
+      }]));
+    } catch (error) {
+      console.error('Error getting held stock quantities:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add available, reserved, allocated and on-hand quantities to variant rows
+   * @param {Object[]} variants - Rows with `quantity` and `id` (or `variant_id`)
+   * @param {Map} held - From getHeldQuantities()
+   */
+  static withVariantStock(variants, held) {
+    return variants.map(variant => {
+      const { reserved = 0, allocated = 0 } = held.get(variant.variant_id || variant.id) || {};
+      const available = parseInt(variant.quantity) || 0;
+      return {
+        ...variant,
+        available_quantity: available,
+        reserved_quantity: reserved,
+        allocated_quantity: allocated,
+        on_hand_quantity: available + reserved + allocated
+      };
+    });
+  }
+
+  /**
+   * Add the same quantities, summed over each product's variants, to product rows
+   * @param {Object[]} products - Rows with `total_quantity` and `product_id`
+   * @param {Map} held - From getHeldQuantities()
+   */
+  static withProductStock(products, held) {
+    const byProduct = new Map();
+    held.forEach(({ product_ref: productRef, reserved, allocated }) => {
+      const totals = byProduct.get(productRef) || { reserved: 0, allocated: 0 };
+      byProduct.set(productRef, { reserved: totals.reserved + reserved, allocated: totals.allocated + allocated });
+    });
+    return products.map(product => {
+      const { reserved = 0, allocated = 0 } = byProduct.get(product.product_id) || {};
+      const available = parseInt(product.total_quantity) || 0;
+      return {
+        ...product,
+        available_quantity: available,
+        reserved_quantity: reserved,
+        allocated_quantity: allocated,
+        on_hand_quantity: available + reserved + allocated
+      };
+    });
+  }
+}
+
+module.exports = StockReservation;
@@ -0,0 +1,178 @@
+const db = require('../db/db');
+
+const STATUSES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const UNFINISHED_STATUSES = [STATUSES.QUEUED, STATUSES.RUNNING];
+
+let tableReady = null;
+
+class TrainingJob {
+  // Create the jobs table on first use. The partial unique index allows at most
+  // one queued/running job at a time, which is what blocks concurrent trainings.
+  static ensureTable() {
+    if (!tableReady) {
+      tableReady = db.query(`
+        CREATE TABLE IF NOT EXISTS training_jobs (
+          id SERIAL PRIMARY KEY,
+          status VARCHAR(20) NOT NULL DEFAULT 'queued'
+            CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+          engine VARCHAR(50) NOT NULL,
+          params JSONB,
+          progress JSONB,
+          model_id INTEGER,
+          model_name VARCHAR(255),
+          error TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          started_at TIMESTAMP,
+          finished_at TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS training_jobs_single_unfinished_idx
+          ON training_jobs ((true)) WHERE status IN ('queued', 'running');
+      `).catch(error => {
+        tableReady = null;
+        throw error;
+      });
+    }
+    return tableReady;
+  }
+
+  // Returns null when another training job is already queued or running
+  static async create({ engine, params = {} }) {
+    try {
+      await this.ensureTable();
+      const result = await db.query(
+        `INSERT INTO training_jobs (engine, params)
+         VALUES ($1, $2)
+         RETURNING *`,
+        [engine, JSON.stringify(params)]
+      );
+      return result.rows[0];
+    } catch (error) {
+      // unique_violation on the single-unfinished-job index
+      if (error.code === '23505') {
+        return null;
+      }
+      console.error('Error creating training job:', error);
+      throw error;
+    }
+  }
+
+  static async findById(jobId) {
+    try {
+      await this.ensureTable();
+      const result = await db.query('SELECT * FROM training_jobs WHERE id = $1', [jobId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding training job:', error);
+      throw error;
+    }
+  }
+
+  static async findAll(limit = 20) {
+    try {
+      await this.ensureTable();
+      const result = await db.query(
+        'SELECT * FROM training_jobs ORDER BY created_at DESC LIMIT $1',
+        [limit]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error finding training jobs:', error);
+      throw error;
+    }
+  }
+
+  static async findUnfinished() {
+    try {
+      await this.ensureTable();
+      const result = await db.query(
+        'SELECT * FROM training_jobs WHERE status = ANY($1::text[]) ORDER BY created_at DESC LIMIT 1',
+        [UNFINISHED_STATUSES]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding unfinished training job:', error);
+      throw error;
+    }
+  }
+
+  static async markRunning(jobId) {
+    return this.update(jobId, `status = 'running', started_at = CURRENT_TIMESTAMP`);
+  }
+
+  static async updateProgress(jobId, progress) {
+    return this.update(jobId, 'progress = $2', [JSON.stringify(progress)]);
+  }
+
+  static async markCompleted(jobId, { model_id = null, model_name = null, progress = null }) {
+    return this.update(
+      jobId,
+      `status = 'completed', model_id = $2, model_name = $3, progress = COALESCE($4, progress),
+       finished_at = CURRENT_TIMESTAMP`,
+      [model_id, model_name, progress && JSON.stringify(progress)]
+    );
+  }
+
+  static async markFailed(jobId, errorMessage) {
+    return this.update(
+      jobId,
+      `status = 'failed', error = $2, finished_at = CURRENT_TIMESTAMP`,
+      [errorMessage]
+    );
+  }
+
+  static async markCancelled(jobId) {
+    return this.update(jobId, `status = 'cancelled', finished_at = CURRENT_TIMESTAMP`);
+  }
+
+  // Jobs left queued/running by a previous process can never finish; fail them on startup
+  static async failInterruptedJobs() {
+    try {
+      await this.ensureTable();
+      const result = await db.query(
+        `UPDATE training_jobs
+         SET status = 'failed', error = 'Interrupted by server restart',
+             finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE status = ANY($1::text[])
+         RETURNING id`,
+        [UNFINISHED_STATUSES]
+      );
+      return result.rows.map(row => row.id);
+    } catch (error) {
+      console.error('Error failing interrupted training jobs:', error);
+      throw error;
+    }
+  }
+
+  // Only unfinished jobs are updated, so a late worker message cannot overwrite a cancellation
+  static async update(jobId, setClause, params = []) {
+    try {
+      await this.ensureTable();
+      const result = await db.query(
+        `UPDATE training_jobs
+         SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = ANY($${params.length + 2}::text[])
+         RETURNING *`,
+        [jobId, ...params, UNFINISHED_STATUSES]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error updating training job:', error);
+      throw error;
+    }
+  }
+
+  // Make STATUSES accessible from the class
+  static get STATUSES() {
+    return STATUSES;
+  }
+}
+
+module.exports = TrainingJob;
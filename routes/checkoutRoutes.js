@@ -1,11 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const Order = require('../models/order');
+const { parseCouponCodes } = require('../models/promotionRules');
 const authMiddleware = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
 const { sendOrderReceipt } = require('../services/emailService');
 
-// Create a new order (authenticated users only)
-router.post('/', authMiddleware, async (req, res) => {
+// Create a new order (authenticated users only). Retries with the same Idempotency-Key
+// header get the first response back instead of a second order.
+router.post('/', authMiddleware, idempotency, async (req, res) => {
   try {
     const user_id = req.user.id;
     const { payment_method, pickup_method = "processing", purpose, items } = req.body;
@@ -14,15 +17,22 @@ router.post('/', authMiddleware, async (req, res) => {
       return res.status(400).json({ message: 'Missing required fields' });
     }
 
+    // One coupon_code or a list of coupon_codes
+    const coupon_codes = parseCouponCodes(req.body.coupon_codes !== undefined ? req.body.coupon_codes : req.body.coupon_code);
+    if (!coupon_codes) {
+      return res.status(400).json({ error: 'Invalid coupon code' });
+    }
+
     // Ensure pickup_method is set to "processing" by default
     const orderData = { 
       user_id, 
       payment_method, 
       pickup_method: pickup_method || "processing", 
       purpose, 
-      items 
+      items,
+      coupon_codes
     };
-    const order = await Order.create(orderData);
+    const order = await Order.create(orderData, { idempotency: req.idempotency });
     res.status(201).json(order);
   } catch (err) {
     console.error('Checkout error:', err);
@@ -30,12 +40,20 @@ router.post('/', authMiddleware, async (req, res) => {
     if (err.message && err.message.startsWith('Insufficient stock')) {
       return res.status(400).json({ error: err.message });
     }
+    // Coupon that is unknown, expired, used up or does not apply to the cart
+    if (err.code === 'INVALID_COUPON') {
+      return res.status(400).json({ error: err.message });
+    }
+    // A retry of this request took over its Idempotency-Key; that retry places the order
+    if (err.code === 'IDEMPOTENCY_KEY_LOST') {
+      return res.status(409).json({ error: err.message });
+    }
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Guest checkout route (no authentication required)
-router.post('/guest-checkout', async (req, res) => {
+// Guest checkout route (no authentication required, Idempotency-Key honoured)
+router.post('/guest-checkout', idempotency, async (req, res) => {
   try {
     const { payment_method, pickup_method = "processing", purpose, items, customer_info } = req.body;
 
@@ -48,14 +66,20 @@ router.post('/guest-checkout', async (req, res) => {
       return res.status(400).json({ message: 'Customer name, phone, and email are required' });
     }
 
+    const coupon_codes = parseCouponCodes(req.body.coupon_codes !== undefined ? req.body.coupon_codes : req.body.coupon_code);
+    if (!coupon_codes) {
+      return res.status(400).json({ error: 'Invalid coupon code' });
+    }
+
     // Use the admin order creation method which allows creating orders with customer info
     const order = await Order.createByAdmin({
       payment_method,
       pickup_method: pickup_method || "processing",
       purpose,
       items,
-      customer_info
-    });
+      customer_info,
+      coupon_codes
+    }, { idempotency: req.idempotency });
 
     // Send email receipt
     try {
@@ -71,6 +95,14 @@ router.post('/guest-checkout', async (req, res) => {
     if (err.message && err.message.startsWith('Insufficient stock')) {
       return res.status(400).json({ error: err.message });
     }
+    // Coupon that is unknown, expired, used up or does not apply to the cart
+    if (err.code === 'INVALID_COUPON') {
+      return res.status(400).json({ error: err.message });
+    }
+    // A retry of this request took over its Idempotency-Key; that retry places the order
+    if (err.code === 'IDEMPOTENCY_KEY_LOST') {
+      return res.status(409).json({ error: err.message });
+    }
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -0,0 +1,106 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { adminAuth } = require('../middleware/adminAuth');
+const CustomerChurn = require('../models/customerChurn');
+const CustomerAcquisition = require('../models/customerAcquisition');
+const CustomerValue = require('../models/customerValue');
+
+// Read the CLV segment and horizon shared by the lifetime value endpoints
+function parseValueOptions(query) {
+  const { SEGMENTS, DEFAULTS } = CustomerValue;
+  const segment = query.segment || 'customers';
+  const horizonMonths = query.horizon_months !== undefined ? parseInt(query.horizon_months) : DEFAULTS.horizonMonths;
+  if (!SEGMENTS.includes(segment)) {
+    return { error: 'Invalid segment. Must be one of: ' + SEGMENTS.join(', ') };
+  }
+  if (isNaN(horizonMonths) || horizonMonths < 1 || horizonMonths > 60) {
+    return { error: 'horizon_months must be between 1 and 60' };
+  }
+  return { segment, horizonMonths };
+}
+
+// Customers likely to have stopped buying, with their churn probability, RFM scores and
+// the reasons behind it (optional ?min_probability=, ?risk= and ?limit=)
+router.get('/at-risk', auth, adminAuth, async (req, res) => {
+  try {
+    const { DEFAULTS, RISK_LEVELS } = CustomerChurn;
+    const minProbability = req.query.min_probability !== undefined ? parseFloat(req.query.min_probability) : DEFAULTS.minProbability;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : DEFAULTS.limit;
+    const { risk } = req.query;
+
+    if (isNaN(minProbability) || minProbability < 0 || minProbability > 1) {
+      return res.status(400).json({ error: 'min_probability must be between 0 and 1' });
+    }
+    if (isNaN(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json({ error: 'limit must be between 1 and 500' });
+    }
+    if (risk && !RISK_LEVELS.includes(risk)) {
+      return res.status(400).json({ error: 'Invalid risk. Must be one of: ' + RISK_LEVELS.join(', ') });
+    }
+
+    const result = await CustomerChurn.getAtRisk({ minProbability, risk, limit });
+    res.json({ success: true, ...result, count: result.customers.length });
+  } catch (err) {
+    console.error('Error finding at-risk customers:', err);
+    res.status(500).json({ error: 'Failed to find at-risk customers', message: err.message });
+  }
+});
+
+// Purchase retention curve per signup cohort (optional ?months= of cohorts, default 12)
+router.get('/retention', async (req, res) => {
+  try {
+    const months = req.query.months !== undefined ? parseInt(req.query.months) : 12;
+    if (isNaN(months) || months < 1 || months > 60) {
+      return res.status(400).json({ error: 'months must be between 1 and 60' });
+    }
+
+    const result = await CustomerAcquisition.getCohortRetention({ months });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Error getting cohort retention:', err);
+    res.status(500).json({ error: 'Failed to get cohort retention', message: err.message });
+  }
+});
+
+// Customers (or companies, ?segment=companies) with the highest projected lifetime value
+router.get('/lifetime-value/top', auth, adminAuth, async (req, res) => {
+  try {
+    const { segment, horizonMonths, error } = parseValueOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : CustomerValue.DEFAULTS.limit;
+    if (isNaN(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json({ error: 'limit must be between 1 and 500' });
+    }
+
+    const result = await CustomerValue.getTop(segment, { horizonMonths, limit });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Error ranking customer lifetime value:', err);
+    res.status(500).json({ error: 'Failed to rank customer lifetime value', message: err.message });
+  }
+});
+
+// How projected lifetime value is spread across customers or companies
+router.get('/lifetime-value/distribution', auth, adminAuth, async (req, res) => {
+  try {
+    const { segment, horizonMonths, error } = parseValueOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const buckets = req.query.buckets !== undefined ? parseInt(req.query.buckets) : CustomerValue.DEFAULTS.buckets;
+    if (isNaN(buckets) || buckets < 2 || buckets > 50) {
+      return res.status(400).json({ error: 'buckets must be between 2 and 50' });
+    }
+
+    const result = await CustomerValue.getDistribution(segment, { horizonMonths, buckets });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Error getting customer lifetime value distribution:', err);
+    res.status(500).json({ error: 'Failed to get customer lifetime value distribution', message: err.message });
+  }
+});
+
+module.exports = router;
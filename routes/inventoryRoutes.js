@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const ReorderSuggestion = require('../models/reorderSuggestion');
+
+const CSV_COLUMNS = [
+  'sku',
+  'product_name',
+  'variant_name',
+  'category',
+  'brand',
+  'on_hand',
+  'daily_velocity',
+  'safety_stock',
+  'reorder_point',
+  'days_of_stock',
+  'reorder_date',
+  'suggested_quantity',
+  'status'
+];
+
+// Quote a CSV field when it contains a delimiter, quote or line break
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => csvField(row[column])).join(','));
+  });
+  return lines.join('\r\n');
+}
+
+// Reorder date and quantity per SKU from stock on hand, recent sales velocity,
+// lead time and safety stock. Add ?format=csv to download the list as CSV.
+router.get('/reorder-suggestions', async (req, res) => {
+  try {
+    const { DEFAULTS, STATUSES } = ReorderSuggestion;
+    const leadTimeDays = req.query.lead_time_days !== undefined ? parseInt(req.query.lead_time_days) : DEFAULTS.leadTimeDays;
+    const serviceLevel = req.query.service_level !== undefined ? parseFloat(req.query.service_level) : DEFAULTS.serviceLevel;
+    const reviewPeriodDays = req.query.review_period_days !== undefined ? parseInt(req.query.review_period_days) : DEFAULTS.reviewPeriodDays;
+    const lookbackDays = req.query.lookback_days !== undefined ? parseInt(req.query.lookback_days) : DEFAULTS.lookbackDays;
+    const { status, category, format = 'json' } = req.query;
+
+    if ([leadTimeDays, reviewPeriodDays, lookbackDays].some(value => isNaN(value) || value < 1)) {
+      return res.status(400).json({ error: 'lead_time_days, review_period_days and lookback_days must be positive integers' });
+    }
+    if (isNaN(serviceLevel) || serviceLevel < 50 || serviceLevel >= 100) {
+      return res.status(400).json({ error: 'service_level must be a percentage between 50 and 99.9' });
+    }
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status. Must be one of: ' + STATUSES.join(', ') });
+    }
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json or csv' });
+    }
+
+    const result = await ReorderSuggestion.getSuggestions({
+      leadTimeDays,
+      serviceLevel,
+      reviewPeriodDays,
+      lookbackDays,
+      status,
+      category
+    });
+
+    if (format === 'csv') {
+      const filename = `reorder-suggestions-${result.generated_at.split('T')[0]}.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(toCsv(result.suggestions, CSV_COLUMNS));
+    }
+
+    res.json({
+      success: true,
+      settings: {
+        lead_time_days: result.settings.leadTimeDays,
+        service_level: result.settings.serviceLevel,
+        review_period_days: result.settings.reviewPeriodDays,
+        lookback_days: result.settings.lookbackDays
+      },
+      generated_at: result.generated_at,
+      count: result.suggestions.length,
+      suggestions: result.suggestions
+    });
+  } catch (err) {
+    console.error('Error generating reorder suggestions:', err);
+    res.status(500).json({ error: 'Failed to generate reorder suggestions', message: err.message });
+  }
+});
+
+module.exports = router;
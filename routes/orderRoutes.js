@@ -2,7 +2,9 @@ const express = require('express');
 const router = express.Router();
 const Order = require('../models/order');
 const auth = require('../middleware/auth'); // Import auth middleware
-const { discountAuth } = require('../middleware/adminAuth'); // Import discount auth middleware
+const idempotency = require('../middleware/idempotency');
+const { parseCouponCodes } = require('../models/promotionRules');
+const { discountAuth, orderStatusAuth } = require('../middleware/adminAuth'); // Import discount and order status auth middleware
 
 // Get ongoing orders count - specific route must come before parameterized routes
 router.get('/ongoing-count', async (req, res) => {
@@ -103,34 +105,31 @@ router.delete('/:orderId/discount', auth, discountAuth, async (req, res) => {
   }
 });
 
-// Update order status (admin only)
-router.put('/:orderId/status', async (req, res) => {
+// Update order status (staff only). The order lifecycle decides which changes are allowed.
+router.put('/:orderId/status', auth, orderStatusAuth, async (req, res) => {
   try {
-    const { status, field } = req.body;
-    // Updated to include the new pickup status options
-    const validStatuses = ['Paid', 'Processing', 'Cancelled', 'Preparing', 'On Delivery', 'Claimed', 'Refunded', 'Paid (Discounted)', 'Discounted'];
-    
-    if (!status || !validStatuses.includes(status)) {
-      return res.status(400).json({ 
-        message: 'Invalid status. Must be one of: ' + validStatuses.join(', ') 
-      });
+    const { status, field, note } = req.body;
+
+    if (!status || typeof status !== 'string') {
+      return res.status(400).json({ message: 'Status is required' });
     }
-    
-    // Determine which field to update based on the 'field' parameter from the frontend
-    // The Order.updateStatus method expects 'paymentStatus' or 'pickupStatus'
-    let updateField = 'paymentStatus'; // Default to payment status field name expected by the model
-    if (field === 'pickupStatus') {
-      updateField = 'pickupStatus'; // Use the field name expected by the model
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({ message: 'Note must be a string' });
     }
-    
-    // Call the model method with the correct field identifier
-    const order = await Order.updateStatus(req.params.orderId, status, updateField);
-    
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
+
+    // The frontend sends 'pickupStatus' for the fulfilment status and anything else for payment
+    const updateField = field === 'pickupStatus' ? 'pickupStatus' : 'paymentStatus';
+
+    const result = await Order.updateStatus(req.params.orderId, status, updateField, {
+      actor: { id: req.user.id, role: req.user.role },
+      note: note ? note.trim() : null
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message });
     }
-    
-    res.json(order);
+
+    res.json(result.order);
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Internal server error' });
@@ -185,8 +184,8 @@ router.delete('/:orderId', auth, async (req, res) => {
   }
 });
 
-// Create a new order (admin only)
-router.post('/admin/orders', async (req, res) => {
+// Create a new order (admin only, Idempotency-Key honoured)
+router.post('/admin/orders', idempotency, async (req, res) => {
   try {
     const { 
       user_id, 
@@ -201,6 +200,11 @@ router.post('/admin/orders', async (req, res) => {
       return res.status(400).json({ message: 'Missing required fields' });
     }
 
+    const coupon_codes = parseCouponCodes(req.body.coupon_codes !== undefined ? req.body.coupon_codes : req.body.coupon_code);
+    if (!coupon_codes) {
+      return res.status(400).json({ error: 'Invalid coupon code' });
+    }
+
     // Create the order using admin creation method
     const order = await Order.createByAdmin({
       user_id, 
@@ -208,8 +212,9 @@ router.post('/admin/orders', async (req, res) => {
       pickup_method, 
       purpose, 
       items,
-      customer_info
-    });
+      customer_info,
+      coupon_codes
+    }, { idempotency: req.idempotency });
     
     res.status(201).json(order);
   } catch (err) {
@@ -218,6 +223,13 @@ router.post('/admin/orders', async (req, res) => {
     if (err.message && err.message.startsWith('Insufficient stock')) {
       return res.status(400).json({ error: err.message });
     }
+    if (err.code === 'INVALID_COUPON') {
+      return res.status(400).json({ error: err.message });
+    }
+    // A retry of this request took over its Idempotency-Key; that retry places the order
+    if (err.code === 'IDEMPOTENCY_KEY_LOST') {
+      return res.status(409).json({ error: err.message });
+    }
     if (err.message && err.message.includes('not found')) {
       return res.status(404).json({ error: err.message });
     }
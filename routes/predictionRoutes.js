@@ -1,18 +1,328 @@
 const express = require('express');
 const router = express.Router();
-const { getMonthlySalesData, normalizeSalesData } = require('../db/salesData');
+const auth = require('../middleware/auth');
+const { adminAuth } = require('../middleware/adminAuth');
+const ForecastModel = require('../models/forecastModel');
+const TrainingJob = require('../models/trainingJob');
+const ForecastRun = require('../models/forecastRun');
+const ForecastEvent = require('../models/forecastEvent');
+const ForecastScenario = require('../models/forecastScenario');
+const { buildCalendar } = require('../models/forecastEngines/calendarFeatures');
 const { 
-  trainAndForecastGRU, 
+  startTrainingJob, 
+  cancelTrainingJob, 
+  subscribeToJob, 
+  isJobActive 
+} = require('../services/trainingJobService');
+const { 
+  getSalesData, 
+  getDailySalesRecords, 
+  getMonthlyUnitSalesData, 
+  getCategorySalesShares, 
+  normalizeSalesData 
+} = require('../db/salesData');
+const { IMPUTATION_METHODS, isImputationMethod } = require('../utils/imputation');
+const { 
+  GRANULARITIES, 
+  isGranularity, 
+  addPeriods, 
+  describePeriod, 
+  periodStartOf, 
+  periodsBetween, 
+  isSameOrAfter 
+} = require('../utils/periods');
+const { 
+  DEFAULT_ENGINE,
+  getEngine,
+  listEngines,
   forecastSales, 
-  saveModel, 
   loadModel, 
+  loadActiveModel,
   getSavedModels 
 } = require('../models/predictionModel');
+const { runBacktest } = require('../models/backtest');
+const { DEFAULT_OUTLIER_THRESHOLD, buildDataQualityReport } = require('../models/dataQuality');
+const { RANK_METRICS, STRATEGIES, defaultSearchSpace } = require('../models/hyperparameterSearch');
+const { COMBINE_METHODS, forecastMember, forecastEnsemble } = require('../models/ensembleForecast');
+const { 
+  monthKey, 
+  validateAdjustments, 
+  historicalOverrides, 
+  applyAdjustments 
+} = require('../models/scenarioSimulation');
+const { 
+  parseNormalizationSpec, 
+  normalizeValue, 
+  denormalizeValue, 
+  normalizationFromMetadata 
+} = require('../utils/normalization');
+const { buildDemandSeries, forecastDemand } = require('../models/demandForecast');
+const { explainForecast } = require('../models/forecastExplanation');
+const {
+  STORED_RESIDUALS,
+  collectHorizonResiduals,
+  storedHorizonResiduals,
+  residualSpreadByHorizon,
+  applyPredictionIntervals,
+  parseConfidenceLevels
+} = require('../models/predictionIntervals');
+
+// Read the forecasting engine selection from a query string or JSON body
+function parseEngineSelection(source) {
+  const engine = source.engine || DEFAULT_ENGINE;
+  if (!getEngine(engine)) {
+    const available = listEngines().map(item => item.name).join(', ');
+    return { error: `Unknown engine "${engine}". Must be one of: ${available}` };
+  }
+  
+  let engineOptions = source.engine_options || {};
+  if (typeof engineOptions === 'string') {
+    try {
+      engineOptions = JSON.parse(engineOptions);
+    } catch (e) {
+      return { error: 'engine_options must be a valid JSON object' };
+    }
+  }
+  
+  return { engine, engineOptions };
+}
+
+// Read the series granularity (day, week or month) from a query string or JSON body
+function parseGranularity(source, engine) {
+  const granularity = source.granularity || 'month';
+  if (!isGranularity(granularity)) {
+    return { error: 'granularity must be one of: ' + Object.keys(GRANULARITIES).join(', ') };
+  }
+  // Calendar features describe months, so those engines only work on monthly series
+  if (engine && getEngine(engine).regressors && granularity !== 'month') {
+    return { error: `The ${engine} engine only supports monthly granularity` };
+  }
+  return { granularity };
+}
+
+// Read how missing periods are filled; defaults to the granularity's method
+function parseImputation(source, granularity) {
+  const imputation = source.imputation || GRANULARITIES[granularity].defaultImputation;
+  if (!isImputationMethod(imputation)) {
+    return { error: 'imputation must be one of: ' + IMPUTATION_METHODS.join(', ') };
+  }
+  return { imputation };
+}
+
+// Seasonal engines default to one season of the series granularity (7 days, 52 weeks or 12 months)
+function withSeasonLength(engine, engineOptions, granularity) {
+  if (!getEngine(engine).seasonal || engineOptions.seasonLength !== undefined) {
+    return engineOptions;
+  }
+  return { ...engineOptions, seasonLength: GRANULARITIES[granularity].seasonLength };
+}
 
-// Return information about all saved models
+// Fields stored in model metadata to identify a period of the training data
+const periodMarker = row => ({ year: row.year, month: row.month, period_start: row.period_start });
+
+// Whether a model trained up to `trainedUntil` already covers `lastPoint`
+// (models saved before granularity support only carry year and month)
+function coversPeriod(trainedUntil, lastPoint) {
+  if (!trainedUntil) return false;
+  if (trainedUntil.period_start) {
+    return isSameOrAfter(trainedUntil.period_start, lastPoint.period_start);
+  }
+  return trainedUntil.year > lastPoint.year || 
+    (trainedUntil.year === lastPoint.year && trainedUntil.month >= lastPoint.month);
+}
+
+// Label `count` forecast values following the period that starts on `lastPeriodStart`.
+// `denormalize` receives each value with its horizon step (0-based).
+function labelForecast(forecast, lastPeriodStart, granularity, denormalize) {
+  return forecast.map((predictedNormalized, index) => ({
+    ...describePeriod(addPeriods(lastPeriodStart, granularity, index + 1), granularity),
+    normalized_prediction: predictedNormalized,
+    predicted_sales: Math.round(denormalize(predictedNormalized, index))
+  }));
+}
+
+// Read a normalization (scheme name or transform options); deseasonalizing
+// defaults to one season of the series granularity
+function parseNormalization(value, granularity) {
+  const { spec, error } = parseNormalizationSpec(value);
+  if (error) {
+    return { error };
+  }
+  return { spec: { ...spec, seasonLength: spec.seasonLength || GRANULARITIES[granularity].seasonLength } };
+}
+
+// Hold out the last `periods` of a normalized series, forecast them from the rest and compare.
+// `rows` are the sales rows behind the series; `denormalize(value, index)` maps the normalized
+// value at series position `index` back to sales. Returns null when the series is too short.
+function validateForecast(net, series, rows, periods, { context, denormalize, granularity }) {
+  if (series.length <= periods) {
+    return null;
+  }
+  
+  const trainingSeries = series.slice(0, series.length - periods);
+  const actualValidation = series.slice(series.length - periods);
+  const forecastValidation = forecastSales(net, trainingSeries, periods, context);
+  let mse = 0;
+  let mape = 0;
+  
+  // Enhanced validation details with complete information for chart visualization
+  const details = forecastValidation.map((predicted, i) => {
+    const actualIndex = series.length - periods + i;
+    const actual = actualValidation[i];
+    const error = predicted - actual;
+    mse += error * error;
+    if (actual !== 0) mape += Math.abs(error / actual);
+    
+    return {
+      actual,
+      predicted,
+      // Winsorized values do not map back to the recorded sales, so report those directly
+      actual_sales: Math.round(rows[actualIndex].total_sales),
+      predicted_sales: Math.round(denormalize(predicted, actualIndex)),
+      // Include date information needed for chart visualization
+      ...describePeriod(rows[actualIndex].period_start, granularity)
+    };
+  });
+  
+  return {
+    mse: (mse / periods).toFixed(4),
+    mape: ((mape / periods) * 100).toFixed(2),
+    details
+  };
+}
+
+// Engines that take regressors are trained with the calendar of their series: its first
+// month and the recorded forecast events. Planned scenario events only count when requested.
+async function withCalendar(engine, engineOptions, salesData, includeScenarios = false) {
+  if (!getEngine(engine).regressors) {
+    return engineOptions;
+  }
+  const events = await ForecastEvent.findAll({ includeScenarios });
+  return { ...engineOptions, calendar: buildCalendar(salesData[0], events) };
+}
+
+// Read the `tune` option of a training request: true for the defaults, or an object with
+// strategy, max_trials, seed, folds, horizon, rank_by, iterations (per trial) and a `space`
+// of hidden_layers, learning_rate, lookback and normalization values to search
+function parseTuning(tune, granularity) {
+  const options = tune === true ? {} : tune;
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return { error: 'tune must be true or an object' };
+  }
+
+  const space = defaultSearchSpace(GRANULARITIES[granularity].seasonLength);
+  const requestedSpace = options.space || {};
+  const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+  const dimensions = [
+    ['hidden_layers', 'hiddenLayers', value => Array.isArray(value) && value.length > 0 && value.every(isPositiveInteger),
+      'hidden_layers must be a list of layer size lists, e.g. [[10], [20, 20]]'],
+    ['learning_rate', 'learningRate', value => typeof value === 'number' && value > 0 && value <= 1,
+      'learning_rate values must be numbers between 0 and 1'],
+    ['lookback', 'lookback', value => value === null || (Number.isInteger(value) && value >= 2),
+      'lookback values must be integers of at least 2, or null for the whole series'],
+    ['normalization', 'normalization', value => !parseNormalizationSpec(value).error,
+      'normalization values must be scheme names or normalization objects']
+  ];
+  for (const [field, key, isValid, message] of dimensions) {
+    if (requestedSpace[field] === undefined) continue;
+    const values = requestedSpace[field];
+    if (!Array.isArray(values) || values.length === 0 || !values.every(isValid)) {
+      return { error: `tune.space.${message}` };
+    }
+    space[key] = key === 'normalization' 
+      ? values.map(value => parseNormalization(value, granularity).spec) 
+      : values;
+  }
+
+  const strategy = options.strategy || 'random';
+  if (!STRATEGIES.includes(strategy)) {
+    return { error: 'tune.strategy must be one of: ' + STRATEGIES.join(', ') };
+  }
+  const rankBy = options.rank_by || 'rmse';
+  if (!RANK_METRICS.includes(rankBy)) {
+    return { error: 'tune.rank_by must be one of: ' + RANK_METRICS.join(', ') };
+  }
+
+  const integers = {
+    max_trials: [20, 1, 200],
+    folds: [3, 1, 24],
+    horizon: [3, 1, GRANULARITIES[granularity].maxHorizon],
+    iterations: [2000, 1, 100000]
+  };
+  const values = {};
+  for (const [field, [fallback, min, max]] of Object.entries(integers)) {
+    const value = options[field] !== undefined ? options[field] : fallback;
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `tune.${field} must be an integer between ${min} and ${max}` };
+    }
+    values[field] = value;
+  }
+  if (options.seed !== undefined && !Number.isInteger(options.seed)) {
+    return { error: 'tune.seed must be an integer' };
+  }
+
+  return {
+    search: {
+      space,
+      strategy,
+      maxTrials: values.max_trials,
+      seed: options.seed,
+      folds: values.folds,
+      horizon: values.horizon,
+      seasonLength: GRANULARITIES[granularity].seasonLength,
+      rankBy
+    },
+    trialIterations: values.iterations
+  };
+}
+
+// Check a forecast event payload; `partial` allows omitting fields for updates
+function validateForecastEvent(body, partial = false) {
+  const { name, event_type, start_date, end_date, recurring, is_scenario } = body;
+  const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+  
+  if (!partial || name !== undefined) {
+    if (!name || typeof name !== 'string') return 'name is required';
+  }
+  if (!partial || event_type !== undefined) {
+    if (!ForecastEvent.TYPES.includes(event_type)) {
+      return 'event_type must be one of: ' + ForecastEvent.TYPES.join(', ');
+    }
+  }
+  if (!partial || start_date !== undefined) {
+    if (!isDate(start_date)) return 'start_date must be a date in YYYY-MM-DD format';
+  }
+  if (end_date !== undefined && !isDate(end_date)) {
+    return 'end_date must be a date in YYYY-MM-DD format';
+  }
+  if (start_date && end_date && end_date < start_date) {
+    return 'end_date cannot be before start_date';
+  }
+  if ([recurring, is_scenario].some(value => value !== undefined && typeof value !== 'boolean')) {
+    return 'recurring and is_scenario must be booleans';
+  }
+  return null;
+}
+
+// List the available forecasting engines
+router.get('/engines', (req, res) => {
+  res.json({ success: true, default: DEFAULT_ENGINE, engines: listEngines() });
+});
+
+// Return information about all models in the registry (optional ?status=, ?engine= and ?granularity= filters)
 router.get('/models', async (req, res) => {
   try {
-    const models = getSavedModels();
+    const { status, engine, granularity } = req.query;
+    if (status && !Object.values(ForecastModel.STATUSES).includes(status)) {
+      return res.status(400).json({ 
+        error: 'Invalid status. Must be one of: ' + Object.values(ForecastModel.STATUSES).join(', ') 
+      });
+    }
+    
+    const models = await getSavedModels({ status, engine, granularity });
+    if (!models.success) {
+      return res.status(500).json({ error: 'Failed to get model information', message: models.error });
+    }
     return res.json(models);
   } catch (err) {
     console.error('Error getting model information:', err);
@@ -20,81 +330,229 @@ router.get('/models', async (req, res) => {
   }
 });
 
-// Manually train and save a model
+// Inspect a single model by id or name (?include_model=true also returns the model JSON)
+router.get('/models/:modelRef', async (req, res) => {
+  try {
+    const includeModel = req.query.include_model === 'true';
+    const model = await ForecastModel.findById(req.params.modelRef, includeModel);
+    
+    if (!model) {
+      return res.status(404).json({ message: 'Model not found' });
+    }
+    
+    return res.json({ success: true, model });
+  } catch (err) {
+    console.error(`Error getting model ${req.params.modelRef}:`, err);
+    return res.status(500).json({ error: 'Failed to get model', message: err.message });
+  }
+});
+
+// Promote a model to be the active model for its engine (admin only)
+router.post('/models/:modelRef/promote', auth, adminAuth, async (req, res) => {
+  try {
+    const result = await ForecastModel.promote(req.params.modelRef);
+    
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    
+    return res.status(result.status).json({ success: true, model: result.model });
+  } catch (err) {
+    console.error(`Error promoting model ${req.params.modelRef}:`, err);
+    return res.status(500).json({ error: 'Failed to promote model', message: err.message });
+  }
+});
+
+// Archive a model (admin only)
+router.post('/models/:modelRef/archive', auth, adminAuth, async (req, res) => {
+  try {
+    const result = await ForecastModel.archive(req.params.modelRef);
+    
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    
+    return res.status(result.status).json({ success: true, model: result.model });
+  } catch (err) {
+    console.error(`Error archiving model ${req.params.modelRef}:`, err);
+    return res.status(500).json({ error: 'Failed to archive model', message: err.message });
+  }
+});
+
+// Delete a model that is not active (admin only)
+router.delete('/models/:modelRef', auth, adminAuth, async (req, res) => {
+  try {
+    const result = await ForecastModel.delete(req.params.modelRef);
+    
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    
+    return res.status(result.status).json({ success: true, message: 'Model deleted successfully', model: result.model });
+  } catch (err) {
+    console.error(`Error deleting model ${req.params.modelRef}:`, err);
+    return res.status(500).json({ error: 'Failed to delete model', message: err.message });
+  }
+});
+
+// Relay a running job's events to an SSE response until the job finishes or the client leaves.
+// The job keeps running when the client disconnects; it can re-attach through /jobs/:jobId/events.
+function streamJobEvents(req, res, jobId) {
+  const unsubscribe = subscribeToJob(jobId, (event) => {
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+    if (['complete', 'error', 'cancelled'].includes(event.type)) {
+      unsubscribe();
+      res.end();
+    }
+  });
+  
+  if (unsubscribe) {
+    req.on('close', unsubscribe);
+  }
+  return Boolean(unsubscribe);
+}
+
+// Manually train and save a model.
+// Training runs as a background job in a worker thread. By default the job's progress is
+// streamed over SSE; send "stream": false to get the job back immediately and poll /jobs/:jobId.
 router.post('/train', async (req, res) => {
   try {
-    // Set up SSE for real-time progress tracking
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.flushHeaders();
+    const { engine, engineOptions, error: engineError } = parseEngineSelection(req.body);
+    if (engineError) {
+      return res.status(400).json({ error: engineError });
+    }
+    const { granularity, error: granularityError } = parseGranularity(req.body, engine);
+    if (granularityError) {
+      return res.status(400).json({ error: granularityError });
+    }
+    const { imputation, error: imputationError } = parseImputation(req.body, granularity);
+    if (imputationError) {
+      return res.status(400).json({ error: imputationError });
+    }
 
     // Get parameters from request (with defaults)
-    const maxDataPoints = req.body.max_data_points !== undefined ? parseInt(req.body.max_data_points) : 32;
+    const maxDataPoints = req.body.max_data_points !== undefined 
+      ? parseInt(req.body.max_data_points) 
+      : GRANULARITIES[granularity].defaultDataPoints;
     const iterationsCount = req.body.iterations !== undefined ? parseInt(req.body.iterations) : 29999;
     const errorThreshold = req.body.error_threshold !== undefined ? parseFloat(req.body.error_threshold) : 0.0001;
+    const learningRate = req.body.learning_rate !== undefined ? parseFloat(req.body.learning_rate) : undefined;
+    if (learningRate !== undefined && (isNaN(learningRate) || learningRate <= 0 || learningRate > 1)) {
+      return res.status(400).json({ error: 'learning_rate must be a number between 0 and 1' });
+    }
+    const { spec: normalizationSpec, error: normalizationError } = parseNormalization(req.body.normalization || 'minmax', granularity);
+    if (normalizationError) {
+      return res.status(400).json({ error: normalizationError });
+    }
+    
+    // Tuning mode searches hidden sizes, learning rate, lookback and normalization before training
+    let tuning = null;
+    if (req.body.tune !== undefined && req.body.tune !== false) {
+      const { error: tuningError, ...tuningSettings } = parseTuning(req.body.tune, granularity);
+      if (tuningError) {
+        return res.status(400).json({ error: tuningError });
+      }
+      tuning = tuningSettings;
+    }
     
     // Fetch and normalize sales data
-    const allSalesData = await getMonthlySalesData();
+    const allSalesData = await getSalesData(granularity, { imputation });
     const salesData = allSalesData.length > maxDataPoints 
       ? allSalesData.slice(allSalesData.length - maxDataPoints) 
       : allSalesData;
     
-    const { normalizedSales, minSales, maxSales, range } = normalizeSalesData(salesData);
-    const series = normalizedSales.map(item => item.normalized_sales);
+    if (salesData.length === 0) {
+      return res.status(400).json({ error: 'No sales data available for training' });
+    }
     
-    // Configure training with progress callback
-    const trainingOptions = {
-      iterations: iterationsCount,
-      errorThresh: errorThreshold,
-      log: true,
-      logPeriod: 1000,
-      callback: (stats) => {
-        if (stats.iterations % 1000 === 0 || stats.iterations === 1) {
-          const update = {
-            type: 'progress',
-            iterations: stats.iterations,
-            error: stats.error,
-            errorThreshold: errorThreshold
-          };
-          res.write(`data: ${JSON.stringify(update)}\n\n`);
-        }
-      }
-    };
+    if (normalizationSpec.deseasonalize && salesData.length < normalizationSpec.seasonLength) {
+      return res.status(400).json({ 
+        error: `At least one full season (${normalizationSpec.seasonLength} periods) of data is required to deseasonalize` 
+      });
+    }
+    if (tuning && salesData.length < tuning.search.horizon + tuning.search.folds + 1) {
+      return res.status(400).json({ 
+        error: 'Not enough data for tuning', 
+        message: `At least ${tuning.search.horizon + tuning.search.folds + 1} periods are required, found ${salesData.length}` 
+      });
+    }
     
-    // Start training
-    res.write(`data: ${JSON.stringify({ type: 'start', message: 'Starting model training' })}\n\n`);
-    const net = trainAndForecastGRU(series, trainingOptions);
+    const { normalizedSales, minSales, maxSales, range, normalization } = normalizeSalesData(salesData, normalizationSpec);
+    const series = normalizedSales.map(item => item.normalized_sales);
+    const trainingEngineOptions = await withCalendar(
+      engine, 
+      withSeasonLength(engine, engineOptions, granularity), 
+      salesData
+    );
     
-    // Save model with metadata
+    // Model metadata; the final error and iteration count are added when the job completes.
+    // Tuned models replace the options, normalization and training window with the winner's.
     const modelMetadata = {
+      engine,
+      engineOptions,
+      granularity,
       dataPoints: salesData.length,
       minSales,
       maxSales, 
       range,
+      normalization,
+      imputation,
       trainingParams: {
         iterations: iterationsCount,
         errorThreshold,
-        finalError: net.trainOpts.error,
-        actualIterations: net.trainOpts.iterations
+        learningRate
       },
-      lastSalesDate: {
-        year: salesData[salesData.length - 1].year,
-        month: salesData[salesData.length - 1].month
-      }
+      firstSalesDate: periodMarker(salesData[0]),
+      lastSalesDate: periodMarker(salesData[salesData.length - 1])
     };
     
-    const saveResult = saveModel(net, modelMetadata);
+    // Trained models are saved as candidates unless promotion is requested explicitly
+    const jobResult = await startTrainingJob({
+      series,
+      engine,
+      engineOptions: trainingEngineOptions,
+      trainingOptions: {
+        iterations: iterationsCount,
+        errorThresh: errorThreshold,
+        learningRate
+      },
+      metadata: modelMetadata,
+      saveOptions: {
+        promote: req.body.promote === true,
+        promoteIfNoActive: true
+      },
+      tuning: tuning && { ...tuning, salesData }
+    });
+    
+    if (!jobResult.success) {
+      return res.status(jobResult.status).json({ message: jobResult.message, job: jobResult.job });
+    }
+    
+    if (req.body.stream === false) {
+      return res.status(202).json({ success: true, job: jobResult.job });
+    }
+    
+    // Set up SSE for real-time progress tracking
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
     
-    // Send completion
     res.write(`data: ${JSON.stringify({ 
-      type: 'complete', 
-      modelSaved: saveResult.success,
-      modelPath: saveResult.modelPath,
-      metadata: modelMetadata
+      type: 'start', 
+      message: tuning ? 'Starting hyperparameter search' : 'Starting model training', 
+      engine, 
+      granularity, 
+      tuning: tuning ? { strategy: tuning.search.strategy, max_trials: tuning.search.maxTrials } : null,
+      job_id: jobResult.job.id 
     })}\n\n`);
     
-    res.end();
+    if (!streamJobEvents(req, res, jobResult.job.id)) {
+      // The job already finished before we could attach
+      const job = await TrainingJob.findById(jobResult.job.id);
+      res.write(`data: ${JSON.stringify({ type: 'status', job })}\n\n`);
+      res.end();
+    }
   } catch (err) {
     console.error('Error training model:', err);
     if (!res.headersSent) {
@@ -110,17 +568,481 @@ router.post('/train', async (req, res) => {
   }
 });
 
+// List recent training jobs
+router.get('/jobs', async (req, res) => {
+  try {
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 20;
+    if (isNaN(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: 'limit must be between 1 and 100' });
+    }
+    
+    const jobs = await TrainingJob.findAll(limit);
+    return res.json({ success: true, jobs });
+  } catch (err) {
+    console.error('Error getting training jobs:', err);
+    return res.status(500).json({ error: 'Failed to get training jobs', message: err.message });
+  }
+});
+
+// Get the status and progress of a training job
+router.get('/jobs/:jobId', async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.jobId, 10);
+    if (isNaN(jobId)) {
+      return res.status(400).json({ message: 'Invalid job ID format' });
+    }
+    
+    const job = await TrainingJob.findById(jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Training job not found' });
+    }
+    
+    return res.json({ success: true, job: { ...job, attached: isJobActive(jobId) } });
+  } catch (err) {
+    console.error(`Error getting training job ${req.params.jobId}:`, err);
+    return res.status(500).json({ error: 'Failed to get training job', message: err.message });
+  }
+});
+
+// Re-attach to a training job's SSE stream. Sends the current status first, then live
+// progress until the job finishes. Finished jobs get their final status and the stream ends.
+router.get('/jobs/:jobId/events', async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.jobId, 10);
+    if (isNaN(jobId)) {
+      return res.status(400).json({ message: 'Invalid job ID format' });
+    }
+    
+    const job = await TrainingJob.findById(jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Training job not found' });
+    }
+    
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+    
+    res.write(`data: ${JSON.stringify({ type: 'status', job })}\n\n`);
+    
+    if (!streamJobEvents(req, res, jobId)) {
+      res.end();
+    }
+  } catch (err) {
+    console.error(`Error streaming training job ${req.params.jobId}:`, err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Internal server error', message: err.message });
+    } else {
+      res.write(`data: ${JSON.stringify({ type: 'error', message: err.message })}\n\n`);
+      res.end();
+    }
+  }
+});
+
+// Cancel a running training job (admin only)
+router.delete('/jobs/:jobId', auth, adminAuth, async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.jobId, 10);
+    if (isNaN(jobId)) {
+      return res.status(400).json({ message: 'Invalid job ID format' });
+    }
+    
+    const result = await cancelTrainingJob(jobId);
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    
+    return res.status(result.status).json({ success: true, message: 'Training job cancelled', job: result.job });
+  } catch (err) {
+    console.error(`Error cancelling training job ${req.params.jobId}:`, err);
+    return res.status(500).json({ error: 'Failed to cancel training job', message: err.message });
+  }
+});
+
+// Backtests run in the request, so they are limited to statistical engines and a bounded
+// number of fits. The GRU retrains from scratch on every fold; tune it through /train instead.
+const BACKTEST_LIMITS = {
+  defaultEngine: 'holt-winters',
+  excludedEngines: ['gru'],
+  maxEngines: 6,
+  maxFolds: 60
+};
+
+// Walk-forward (rolling-origin) backtest of one or more engines/hyperparameter sets (admin only)
+router.post('/backtest', auth, adminAuth, async (req, res) => {
+  try {
+    const { granularity, error: granularityError } = parseGranularity(req.body);
+    if (granularityError) {
+      return res.status(400).json({ error: granularityError });
+    }
+    const { imputation, error: imputationError } = parseImputation(req.body, granularity);
+    if (imputationError) {
+      return res.status(400).json({ error: imputationError });
+    }
+    const defaults = GRANULARITIES[granularity];
+    
+    const maxDataPoints = req.body.max_data_points !== undefined ? parseInt(req.body.max_data_points) : defaults.defaultDataPoints;
+    const initialWindow = req.body.initial_window !== undefined ? parseInt(req.body.initial_window) : 12;
+    const horizon = req.body.horizon !== undefined ? parseInt(req.body.horizon) : 3;
+    const step = req.body.step !== undefined ? parseInt(req.body.step) : 1;
+    const seasonLength = req.body.season_length !== undefined ? parseInt(req.body.season_length) : defaults.seasonLength;
+    const rankBy = req.body.rank_by || 'mase';
+    
+    if ([maxDataPoints, initialWindow, horizon, step, seasonLength].some(value => isNaN(value) || value < 1)) {
+      return res.status(400).json({ 
+        error: 'max_data_points, initial_window, horizon, step and season_length must be positive integers' 
+      });
+    }
+    if (!['mae', 'rmse', 'mape', 'smape', 'mase'].includes(rankBy)) {
+      return res.status(400).json({ error: 'rank_by must be one of: mae, rmse, mape, smape, mase' });
+    }
+    const { spec: normalizationSpec, error: normalizationError } = parseNormalization(req.body.normalization || 'minmax', granularity);
+    if (normalizationError) {
+      return res.status(400).json({ error: normalizationError });
+    }
+    if (normalizationSpec.deseasonalize && initialWindow < normalizationSpec.seasonLength) {
+      return res.status(400).json({ 
+        error: `initial_window must cover a full season (${normalizationSpec.seasonLength} periods) to deseasonalize` 
+      });
+    }
+    
+    // Each entry is an engine name or { engine, engine_options }
+    const requested = Array.isArray(req.body.engines) && req.body.engines.length > 0 
+      ? req.body.engines 
+      : [BACKTEST_LIMITS.defaultEngine];
+    if (requested.length > BACKTEST_LIMITS.maxEngines) {
+      return res.status(400).json({ error: `At most ${BACKTEST_LIMITS.maxEngines} engines can be backtested at once` });
+    }
+    const candidates = [];
+    for (const entry of requested) {
+      const selection = parseEngineSelection(typeof entry === 'string' ? { engine: entry } : entry);
+      if (selection.error) {
+        return res.status(400).json({ error: selection.error });
+      }
+      if (BACKTEST_LIMITS.excludedEngines.includes(selection.engine)) {
+        return res.status(400).json({ 
+          error: `The ${selection.engine} engine cannot be backtested here; use /train with tune to evaluate it` 
+        });
+      }
+      const { error: unsupportedError } = parseGranularity({ granularity }, selection.engine);
+      if (unsupportedError) {
+        return res.status(400).json({ error: unsupportedError });
+      }
+      candidates.push(selection);
+    }
+    
+    const allSalesData = await getSalesData(granularity, { imputation });
+    const salesData = allSalesData.length > maxDataPoints 
+      ? allSalesData.slice(allSalesData.length - maxDataPoints) 
+      : allSalesData;
+    
+    if (salesData.length < initialWindow + horizon) {
+      return res.status(400).json({ 
+        error: 'Not enough data for backtesting', 
+        message: `At least ${initialWindow + horizon} periods are required (initial_window + horizon), found ${salesData.length}` 
+      });
+    }
+    const foldCount = Math.floor((salesData.length - initialWindow - horizon) / step) + 1;
+    if (foldCount > BACKTEST_LIMITS.maxFolds) {
+      return res.status(400).json({ 
+        error: 'Too many backtest folds', 
+        message: `These settings make ${foldCount} folds; at most ${BACKTEST_LIMITS.maxFolds} are allowed. Raise initial_window or step, or lower max_data_points` 
+      });
+    }
+    
+    const results = [];
+    for (const { engine, engineOptions } of candidates) {
+      const backtestOptions = await withCalendar(
+        engine, 
+        withSeasonLength(engine, engineOptions, granularity), 
+        salesData
+      );
+      const result = runBacktest(
+        salesData, 
+        { engine, engineOptions: backtestOptions, normalization: normalizationSpec }, 
+        { initialWindow, horizon, step, seasonLength }
+      );
+      // Report the options as requested rather than with the injected calendar
+      results.push({ ...result, engine_options: engineOptions });
+    }
+    
+    // Rank candidates by the chosen aggregate metric (lower is better)
+    const ranked = results
+      .filter(result => result.aggregate[rankBy] !== null)
+      .sort((a, b) => a.aggregate[rankBy] - b.aggregate[rankBy]);
+    
+    return res.json({
+      success: true,
+      data_points: salesData.length,
+      settings: {
+        granularity,
+        initial_window: initialWindow,
+        horizon,
+        step,
+        season_length: seasonLength,
+        rank_by: rankBy,
+        normalization: normalizationSpec,
+        imputation
+      },
+      results,
+      best: ranked.length > 0 ? {
+        engine: ranked[0].engine,
+        label: ranked[0].label,
+        engine_options: ranked[0].engine_options,
+        [rankBy]: ranked[0].aggregate[rankBy]
+      } : null
+    });
+  } catch (err) {
+    console.error('Error running backtest:', err);
+    return res.status(500).json({ error: 'Failed to run backtest', message: err.message });
+  }
+});
+
+// Forecast with several saved models and/or engines and combine them (?models=, ?engines=).
+// Saved models forecast with their trained net; engines are trained on the spot, except gru,
+// which uses its active model. ?combine= is mean (default), median, or
+// weighted by the inverse of each member's RMSE over the last validation_periods.
+router.get('/ensemble', async (req, res) => {
+  try {
+    const { granularity, error: granularityError } = parseGranularity(req.query);
+    if (granularityError) {
+      return res.status(400).json({ error: granularityError });
+    }
+    const { imputation, error: imputationError } = parseImputation(req.query, granularity);
+    if (imputationError) {
+      return res.status(400).json({ error: imputationError });
+    }
+    const defaults = GRANULARITIES[granularity];
+    
+    const method = req.query.combine || 'mean';
+    if (!COMBINE_METHODS.includes(method)) {
+      return res.status(400).json({ error: 'combine must be one of: ' + COMBINE_METHODS.join(', ') });
+    }
+    
+    const aheadParam = req.query.periods_ahead !== undefined ? req.query.periods_ahead : req.query.months_ahead;
+    const periodsAhead = aheadParam !== undefined ? parseInt(aheadParam) : defaults.defaultHorizon;
+    if (isNaN(periodsAhead) || periodsAhead < 1 || periodsAhead > defaults.maxHorizon) {
+      return res.status(400).json({ error: `periods_ahead must be between 1 and ${defaults.maxHorizon} for ${granularity} granularity` });
+    }
+    const validationPeriods = req.query.validation_periods !== undefined 
+      ? parseInt(req.query.validation_periods) 
+      : defaults.validationPeriods;
+    if (isNaN(validationPeriods) || validationPeriods < 0 || (method === 'weighted' && validationPeriods === 0)) {
+      return res.status(400).json({ 
+        error: method === 'weighted' 
+          ? 'validation_periods must be a positive integer for weighted ensembles' 
+          : 'validation_periods must be a non-negative integer' 
+      });
+    }
+    const maxDataPoints = req.query.max_data_points !== undefined ? parseInt(req.query.max_data_points) : defaults.defaultDataPoints;
+    if (isNaN(maxDataPoints) || maxDataPoints < 1) {
+      return res.status(400).json({ error: 'max_data_points must be a positive integer' });
+    }
+    
+    const splitList = value => [...new Set(String(value || '').split(',').map(item => item.trim()).filter(Boolean))];
+    const modelRefs = splitList(req.query.models);
+    const engineNames = splitList(req.query.engines);
+    if (modelRefs.length + engineNames.length < 2 || modelRefs.length + engineNames.length > 10) {
+      return res.status(400).json({ error: 'An ensemble needs between 2 and 10 members from models and engines' });
+    }
+    for (const name of engineNames) {
+      const { error: engineError } = parseEngineSelection({ engine: name });
+      const { error: unsupportedError } = engineError ? {} : parseGranularity({ granularity }, name);
+      if (engineError || unsupportedError) {
+        return res.status(400).json({ error: engineError || unsupportedError });
+      }
+    }
+    
+    const allSalesData = await getSalesData(granularity, { imputation });
+    const salesData = allSalesData.length > maxDataPoints 
+      ? allSalesData.slice(allSalesData.length - maxDataPoints) 
+      : allSalesData;
+    if (salesData.length - validationPeriods < 3) {
+      return res.status(400).json({ 
+        error: 'Not enough data for an ensemble forecast', 
+        message: `At least ${validationPeriods + 3} periods are required, found ${salesData.length}` 
+      });
+    }
+    
+    // Saved models keep their trained net and the normalization they were trained with
+    const savedMember = (loadResult, source) => ({
+      key: loadResult.metadata.name,
+      label: getEngine(loadResult.metadata.engine).label,
+      engine: loadResult.metadata.engine,
+      net: loadResult.model,
+      normalization: normalizationFromMetadata(loadResult.metadata),
+      source,
+      model: {
+        id: loadResult.metadata.id,
+        name: loadResult.metadata.name,
+        status: loadResult.metadata.status,
+        // Trained before the latest period of the data
+        stale: !coversPeriod(loadResult.metadata.lastSalesDate, salesData[salesData.length - 1])
+      }
+    });
+    
+    const members = [];
+    for (const ref of modelRefs) {
+      const loadResult = await loadModel(ref);
+      if (!loadResult.success) {
+        return res.status(404).json({ error: 'Model not found', message: loadResult.error });
+      }
+      if ((loadResult.metadata.granularity || 'month') !== granularity) {
+        return res.status(400).json({ 
+          error: `Model ${loadResult.metadata.name} was trained on ${loadResult.metadata.granularity || 'month'} data, not ${granularity}` 
+        });
+      }
+      members.push(savedMember(loadResult, 'saved-model'));
+    }
+    for (const engine of engineNames) {
+      // Training a network per request is too slow, so the gru member is the active model
+      if (engine === 'gru') {
+        const loadResult = await loadActiveModel(engine, granularity);
+        if (!loadResult.success) {
+          return res.status(400).json({ error: `No active gru model for ${granularity} granularity; train or promote one first` });
+        }
+        members.push(savedMember(loadResult, 'active-model'));
+        continue;
+      }
+      members.push({
+        key: engine,
+        label: getEngine(engine).label,
+        engine,
+        engineOptions: await withCalendar(engine, withSeasonLength(engine, {}, granularity), salesData),
+        source: 'trained'
+      });
+    }
+    
+    // Engines with regressors forecast with the current event list (plus scenario events on request)
+    const scenario = req.query.scenario === 'true';
+    const context = members.some(member => getEngine(member.engine).regressors)
+      ? buildCalendar(salesData[0], await ForecastEvent.findAll({ includeScenarios: scenario }))
+      : undefined;
+    
+    const ensemble = forecastEnsemble(members, salesData, {
+      horizon: periodsAhead,
+      validationPeriods,
+      method,
+      seasonLength: defaults.seasonLength,
+      context
+    });
+    
+    const lastPeriodStart = salesData[salesData.length - 1].period_start;
+    return res.json({
+      success: true,
+      granularity,
+      combine: method,
+      periods_ahead: periodsAhead,
+      validation_periods: validationPeriods,
+      data_points: salesData.length,
+      scenario,
+      members: ensemble.members,
+      validation: ensemble.validation,
+      predictions: ensemble.forecast.map((step, index) => ({
+        ...describePeriod(addPeriods(lastPeriodStart, granularity, index + 1), granularity),
+        predicted_sales: Math.round(step.value),
+        contributions: step.contributions
+      }))
+    });
+  } catch (err) {
+    console.error('Error creating ensemble forecast:', err);
+    return res.status(500).json({ error: 'Failed to create ensemble forecast', message: err.message });
+  }
+});
+
+// Unit demand forecast per category or per SKU. Each series picks its own engine
+// unless ?engine= is given: Croston for intermittent demand, otherwise Holt-Winters
+// or a moving average depending on how much history the series has.
+function demandForecastHandler(level) {
+  return async (req, res) => {
+    try {
+      const monthsAhead = req.query.months_ahead !== undefined ? parseInt(req.query.months_ahead) : 3;
+      if (isNaN(monthsAhead) || monthsAhead < 1 || monthsAhead > 24) {
+        return res.status(400).json({ error: 'months_ahead must be an integer between 1 and 24' });
+      }
+      
+      let engine = 'auto';
+      let engineOptions = {};
+      if (req.query.engine && req.query.engine !== 'auto') {
+        const selection = parseEngineSelection(req.query);
+        if (selection.error) {
+          return res.status(400).json({ error: selection.error });
+        }
+        // Training a neural network per series is far too slow for a request
+        if (selection.engine === 'gru') {
+          return res.status(400).json({ error: 'The gru engine is not supported for demand forecasting' });
+        }
+        ({ engine, engineOptions } = selection);
+      }
+      
+      const { category, sku } = req.query;
+      let rows = await getMonthlyUnitSalesData();
+      if (category) {
+        rows = rows.filter(row => row.category && row.category.toLowerCase() === category.toLowerCase());
+      }
+      if (sku && level === 'sku') {
+        rows = rows.filter(row => row.sku === sku);
+      }
+      
+      const series = buildDemandSeries(rows, level);
+      const forecasts = forecastDemand(series, {
+        monthsAhead,
+        engine,
+        engineOptions,
+        includeHistory: req.query.include_history === 'true'
+      });
+      
+      return res.json({
+        success: true,
+        level,
+        months_ahead: monthsAhead,
+        engine,
+        count: forecasts.length,
+        forecasts
+      });
+    } catch (err) {
+      console.error(`Error forecasting ${level} demand:`, err);
+      return res.status(500).json({ error: 'Failed to forecast demand', message: err.message });
+    }
+  };
+}
+
+// Forecasted units per product category (optional ?category= filter)
+router.get('/demand/categories', demandForecastHandler('category'));
+
+// Forecasted units per SKU/variant (optional ?category= and ?sku= filters)
+router.get('/demand/skus', demandForecastHandler('sku'));
+
 // Predict future sales using GRU neural network
 router.get('/sales', async (req, res) => {
   try {
-    // Get request parameters
-    let monthsAhead = req.query.months_ahead !== undefined ? parseInt(req.query.months_ahead) : null;
-    if (monthsAhead !== null && (isNaN(monthsAhead) || monthsAhead < 1 || monthsAhead > 60)) {
-      return res.status(400).json({ error: 'months_ahead must be between 1 and 60' });
+    // Forecasting engine to use (defaults to the GRU network)
+    const { engine, engineOptions, error: engineError } = parseEngineSelection(req.query);
+    if (engineError) {
+      return res.status(400).json({ error: engineError });
+    }
+    
+    // Length of one step of the series: day, week or month (default)
+    const { granularity, error: granularityError } = parseGranularity(req.query, engine);
+    if (granularityError) {
+      return res.status(400).json({ error: granularityError });
+    }
+    const { imputation, error: imputationError } = parseImputation(req.query, granularity);
+    if (imputationError) {
+      return res.status(400).json({ error: imputationError });
+    }
+    const defaults = GRANULARITIES[granularity];
+    
+    // Get request parameters; periods_ahead counts steps of the chosen granularity
+    // (months_ahead is kept for monthly clients)
+    const aheadParam = req.query.periods_ahead !== undefined ? req.query.periods_ahead : req.query.months_ahead;
+    let periodsAhead = aheadParam !== undefined ? parseInt(aheadParam) : null;
+    if (periodsAhead !== null && (isNaN(periodsAhead) || periodsAhead < 1 || periodsAhead > defaults.maxHorizon)) {
+      return res.status(400).json({ error: `periods_ahead must be between 1 and ${defaults.maxHorizon} for ${granularity} granularity` });
     }
 
     // Get max_data_points parameter, with a minimum enforced value of 12
-    let maxDataPoints = req.query.max_data_points !== undefined ? parseInt(req.query.max_data_points) : 32;
+    let maxDataPoints = req.query.max_data_points !== undefined ? parseInt(req.query.max_data_points) : defaults.defaultDataPoints;
     if (isNaN(maxDataPoints) || maxDataPoints < 12) {
       maxDataPoints = 12; // Enforce minimum of 12 data points
     }
@@ -128,6 +1050,18 @@ router.get('/sales', async (req, res) => {
     // Force training parameter - if true, always train a new model
     const forceTraining = req.query.force_training === 'true';
     
+    // Confidence levels (in percent) for the prediction intervals
+    const { levels: confidenceLevels, error: confidenceError } = parseConfidenceLevels(req.query.confidence_levels);
+    if (confidenceError) {
+      return res.status(400).json({ error: confidenceError });
+    }
+    
+    // Scenario mode feeds planned (scenario) events into engines that take regressors
+    const scenario = req.query.scenario === 'true';
+    
+    // Explain mode adds the trend/seasonal decomposition behind the forecast
+    const explain = req.query.explain === 'true';
+    
     // Set up SSE
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
@@ -135,7 +1069,7 @@ router.get('/sales', async (req, res) => {
     res.flushHeaders();
     
     // Fetch and normalize sales data
-    const allSalesData = await getMonthlySalesData();
+    const allSalesData = await getSalesData(granularity, { imputation });
     // Limit to the requested number of data points
     const salesData = allSalesData.length > maxDataPoints 
       ? allSalesData.slice(allSalesData.length - maxDataPoints) 
@@ -145,8 +1079,7 @@ router.get('/sales', async (req, res) => {
     if (Array.isArray(salesData) && salesData.length > 0) {
       const tableData = salesData.map((row, idx) => ({
         '#': idx + 1,
-        Year: row.year,
-        Month: row.month,
+        Period: row.label,
         'Total Sales': row.total_sales
       }));
       console.table(tableData);
@@ -155,170 +1088,211 @@ router.get('/sales', async (req, res) => {
       console.log('No sales data found.');
     }
     
-    const { normalizedSales, minSales, maxSales, range } = normalizeSalesData(salesData);
-    const series = normalizedSales.map(item => item.normalized_sales);
+    let { normalizedSales, minSales, maxSales, range, normalization } = normalizeSalesData(salesData);
+    let series = normalizedSales.map(item => item.normalized_sales);
+    
+    // Calendar inputs: models are trained on recorded events only, while forecasts use the
+    // current event list (plus planned scenario events in scenario mode)
+    const trainingEngineOptions = await withCalendar(
+      engine, 
+      withSeasonLength(engine, engineOptions, granularity), 
+      salesData
+    );
+    const forecastContext = getEngine(engine).regressors
+      ? (await withCalendar(engine, engineOptions, salesData, scenario)).calendar
+      : undefined;
 
     // Check if we should use an existing model or train a new one
     let net;
     let modelSource = 'new-training';
+    // Registry entry of the model serving this forecast ({ id, name }) and its metadata
+    let modelRecord = null;
+    let servingMetadata = null;
+    
+    // Whether the serving model was trained before the latest period of the data
+    let stale = false;
     
     if (!forceTraining) {
-      // Try to load the latest model
-      const loadResult = loadModel();
+      // Only the promoted model for this engine and granularity serves forecasts. One trained
+      // before the latest data is still used, flagged stale, until a newer model is promoted;
+      // unreviewed candidates are never served in its place.
+      const loadResult = await loadActiveModel(engine, granularity);
       
       if (loadResult.success) {
-        // Check if model is still valid for current data
         const modelMetadata = loadResult.metadata;
+        stale = !coversPeriod(modelMetadata.lastSalesDate, salesData[salesData.length - 1]);
         
-        // A model is considered valid if:
-        // 1. It has metadata
-        // 2. The last sales date in the model matches or is later than our current data
-        const isModelValid = modelMetadata && 
-          modelMetadata.lastSalesDate && 
-          (modelMetadata.lastSalesDate.year > salesData[salesData.length - 1].year || 
-          (modelMetadata.lastSalesDate.year === salesData[salesData.length - 1].year && 
-           modelMetadata.lastSalesDate.month >= salesData[salesData.length - 1].month));
+        net = loadResult.model;
+        modelSource = 'active-model';
+        modelRecord = { id: modelMetadata.id, name: modelMetadata.name };
+        servingMetadata = modelMetadata;
         
-        if (isModelValid) {
-          net = loadResult.model;
-          modelSource = 'loaded-from-file';
-          
-          // Send model load notification
-          res.write(`data: ${JSON.stringify({
-            type: 'model-loaded',
-            message: 'Using saved model for predictions',
-            metadata: loadResult.metadata
-          })}\n\n`);
-        }
+        // Feed the model data transformed the way it was trained, refit to the current data
+        ({ normalizedSales, normalization } = normalizeSalesData(salesData, normalizationFromMetadata(modelMetadata)));
+        series = normalizedSales.map(item => item.normalized_sales);
+        
+        // Send model load notification
+        res.write(`data: ${JSON.stringify({
+          type: 'model-loaded',
+          message: stale
+            ? 'Using the active model; it was trained before the latest data, so train and promote a newer one'
+            : 'Using saved model for predictions',
+          stale,
+          metadata: loadResult.metadata
+        })}\n\n`);
       }
     }
     
     // If we don't have a valid model yet, train a new one
     if (!net) {
-      // Training options with progress reporting
-      const trainingOptions = {
-        iterations: 100000,
-        errorThresh: 0.0001,
-        log: true,
-        logPeriod: 1000,
-        callback: (stats) => {
-          if (stats.iterations % 1000 === 0 || stats.iterations === 1) {
-            const update = {
-              type: 'progress',
-              iterations: stats.iterations,
-              error: stats.error,
-              errorThreshold: 0.013
-            };
-            res.write(`data: ${JSON.stringify(update)}\n\n`);
-          }
-        }
-      };
-      
-      // Train the model
-      net = trainAndForecastGRU(series, trainingOptions);
-      
-      // Save the trained model with metadata
+      // Model metadata; the final error and iteration count are added when the job completes
       const modelMetadata = {
+        engine,
+        engineOptions,
+        granularity,
         dataPoints: salesData.length,
         minSales,
         maxSales, 
         range,
+        normalization,
+        imputation,
         trainingParams: {
-          errorThreshold: trainingOptions.errorThresh,
-          finalError: net.trainOpts.error,
-          actualIterations: net.trainOpts.iterations
+          errorThreshold: 0.0001
         },
-        lastSalesDate: {
-          year: salesData[salesData.length - 1].year,
-          month: salesData[salesData.length - 1].month
-        }
+        firstSalesDate: periodMarker(salesData[0]),
+        lastSalesDate: periodMarker(salesData[salesData.length - 1])
       };
       
-      saveModel(net, modelMetadata);
-    }
-
-    // Validation
-    const validationMonths = monthsAhead || 6;
-    if (series.length > validationMonths) {
-      const trainingSeriesForValidation = series.slice(0, series.length - validationMonths);
-      const actualValidation = series.slice(series.length - validationMonths);
-      const forecastValidation = forecastSales(net, trainingSeriesForValidation, validationMonths);
-      let mse = 0;
-      let mape = 0;
+      // Train in a worker thread so the server keeps answering requests. If this client
+      // disconnects, the job still finishes and saves its model for the next request.
+      const jobResult = await startTrainingJob({
+        series,
+        engine,
+        engineOptions: trainingEngineOptions,
+        trainingOptions: {
+          iterations: 100000,
+          errorThresh: 0.0001
+        },
+        metadata: modelMetadata,
+        saveOptions: { promoteIfNoActive: true }
+      });
       
-      // Enhanced validation details with complete information for chart visualization
-      const validationDetails = [];
+      if (!jobResult.success) {
+        res.write(`data: ${JSON.stringify({
+          type: 'error',
+          message: `${jobResult.message}. Wait for it to finish or follow it at /api/predictions/jobs/${jobResult.job ? jobResult.job.id : ''}/events`,
+          job: jobResult.job
+        })}\n\n`);
+        return res.end();
+      }
       
-      forecastValidation.forEach((predicted, i) => {
-        const actualIndex = series.length - validationMonths + i;
-        const actual = actualValidation[i];
-        const error = predicted - actual;
-        mse += error * error;
-        if (actual !== 0) mape += Math.abs(error / actual);
-        
-        // Add comprehensive information for each validation point
-        validationDetails.push({
-          actual,
-          predicted,
-          actual_sales: Math.round(actual * range + minSales),
-          predicted_sales: Math.round(predicted * range + minSales),
-          // Include date information needed for chart visualization
-          year: normalizedSales[actualIndex].year,
-          month: normalizedSales[actualIndex].month,
-          month_name: normalizedSales[actualIndex].month_name
-        });
-      });
+      res.write(`data: ${JSON.stringify({ type: 'training-started', job_id: jobResult.job.id })}\n\n`);
       
-      mse /= actualValidation.length;
-      mape = (mape / actualValidation.length) * 100;
+      // Relay training progress while we wait for the job
+      const unsubscribe = subscribeToJob(jobResult.job.id, (event) => {
+        if (event.type === 'progress') {
+          res.write(`data: ${JSON.stringify(event)}\n\n`);
+        }
+      });
+      const outcome = await jobResult.completion;
+      if (unsubscribe) unsubscribe();
       
-      const validationUpdate = {
-        type: 'validation',
-        mse: mse.toFixed(4),
-        mape: mape.toFixed(2),
-        details: validationDetails
-      };
-      res.write(`data: ${JSON.stringify(validationUpdate)}\n\n`);
+      if (!outcome.success) {
+        throw new Error(outcome.error);
+      }
+      net = outcome.net;
+      modelRecord = { id: outcome.model.id, name: outcome.model.name };
+      servingMetadata = outcome.metadata;
+    }
+
+    // Validation
+    const validationMonths = periodsAhead || defaults.validationPeriods;
+    const validation = validateForecast(net, series, normalizedSales, validationMonths, {
+      context: forecastContext,
+      denormalize: (value, index) => denormalizeValue(value, normalization, index),
+      granularity
+    });
+    if (validation) {
+      res.write(`data: ${JSON.stringify({ type: 'validation', ...validation })}\n\n`);
     }
 
     // Forecast
-    let forecastHorizon = monthsAhead || Math.min(24, salesData.length);
-    const forecast = forecastSales(net, series, forecastHorizon);
-    let predictions = [];
-    let lastDataPoint = {
-      year: salesData[salesData.length - 1].year,
-      month: salesData[salesData.length - 1].month
-    };
-    forecast.forEach((predictedNormalized, index) => {
-      let nextMonth = lastDataPoint.month + 1;
-      let nextYear = lastDataPoint.year;
-      if (nextMonth > 12) {
-        nextMonth = 1;
-        nextYear++;
-      }
-      const predictedSales = predictedNormalized * range + minSales;
-      predictions.push({
-        year: nextYear,
-        month: nextMonth,
-        month_name: new Date(nextYear, nextMonth - 1, 1).toLocaleString('default', { month: 'long' }),
-        normalized_prediction: predictedNormalized,
-        predicted_sales: Math.round(predictedSales)
-      });
-      lastDataPoint = { year: nextYear, month: nextMonth };
+    let forecastHorizon = periodsAhead || Math.min(defaults.defaultHorizon, salesData.length);
+    const forecast = forecastSales(net, series, forecastHorizon, forecastContext);
+    let predictions = labelForecast(
+      forecast, 
+      salesData[salesData.length - 1].period_start, 
+      granularity, 
+      (value, step) => denormalizeValue(value, normalization, series.length + step)
+    );
+
+    // Prediction intervals from the spread of rolling-origin forecast residuals. Slow engines use
+    // the out-of-sample residuals their training job stored; models saved before that reuse the net.
+    const storedResiduals = STORED_RESIDUALS.engines.includes(engine)
+      ? storedHorizonResiduals(servingMetadata, forecastHorizon)
+      : null;
+    const residuals = storedResiduals || collectHorizonResiduals(series, net, { 
+      engine, 
+      engineOptions: trainingEngineOptions, 
+      horizon: forecastHorizon 
     });
+    const spreads = residualSpreadByHorizon(residuals);
+    predictions = applyPredictionIntervals(
+      predictions, 
+      spreads, 
+      (value, step) => denormalizeValue(value, normalization, series.length + step), 
+      confidenceLevels
+    );
+
+    // Snapshot the forecast so it can be scored once the months close.
+    // Scenario forecasts are what-ifs, so they are not scored against actuals;
+    // actuals are only recorded per month, so daily and weekly forecasts are not saved either.
+    let forecastRun = null;
+    if (!scenario && granularity === 'month') {
+      try {
+        forecastRun = await ForecastRun.create({
+          modelId: modelRecord.id,
+          modelName: modelRecord.name,
+          engine,
+          source: modelSource,
+          lastActual: {
+            year: salesData[salesData.length - 1].year,
+            month: salesData[salesData.length - 1].month
+          },
+          predictions
+        });
+      } catch (snapshotError) {
+        // The forecast is still useful without its snapshot
+        console.error('Error saving forecast snapshot:', snapshotError);
+      }
+    }
 
     // Send final prediction result 
     const finalResult = {
       type: 'complete',
+      forecast_run_id: forecastRun ? forecastRun.id : null,
       predictions,
+      interval_info: {
+        method: 'rolling-origin residuals (normal approximation)',
+        confidence_levels: confidenceLevels,
+        out_of_sample: storedResiduals !== null || !STORED_RESIDUALS.engines.includes(engine),
+        residual_counts: residuals.map(values => values.length)
+      },
       normalization: {
+        scheme: normalization.scheme,
+        transform: normalization.transform || 'none',
         min_sales: minSales,
         max_sales: maxSales,
         range: range
       },
       model_info: {
-        type: 'GRUTimeStep Neural Network',
+        type: getEngine(engine).label,
+        engine,
+        granularity,
         source: modelSource,
+        stale,
+        scenario,
+        calendar_events: forecastContext ? forecastContext.events.length : null,
         training_data_points: salesData.length,
         final_error: net.trainOpts.error,
         error_threshold: net.trainOpts.errorThresh,
@@ -334,6 +1308,12 @@ router.get('/sales', async (req, res) => {
         normalized_sales: d.normalized_sales
       }))
     };
+    if (explain) {
+      finalResult.explanation = explainForecast(salesData, predictions, {
+        granularity,
+        seasonLength: engineOptions.seasonLength || defaults.seasonLength
+      });
+    }
     res.write(`data: ${JSON.stringify(finalResult)}\n\n`);
     res.end();
   } catch (err) {
@@ -351,22 +1331,26 @@ router.get('/sales', async (req, res) => {
   }
 });
 
-// New endpoint to load a specific model by filename and use it for prediction
+// Forecast with a specific saved model. The model's input window is rebuilt from
+// historical_sales: the same number of periods it was trained on, ending at ?as_of= (default:
+// the latest period), normalized with the transform stored at training time. Forecasts from
+// a past as_of carry the actual sales where they are known. ?include_validation=true adds the
+// validation block /sales produces, over the last validation_periods of the input window.
 router.get('/predict-with-model/:modelName', async (req, res) => {
   try {
     // Get the model name from the URL parameter
     const modelName = req.params.modelName;
     
-    // Get months ahead parameter
-    let monthsAhead = req.query.months_ahead !== undefined ? 
-      parseInt(req.query.months_ahead) : 6;
+    // Get periods ahead parameter (months_ahead is kept for monthly clients)
+    const aheadParam = req.query.periods_ahead !== undefined ? req.query.periods_ahead : req.query.months_ahead;
+    let periodsAhead = aheadParam !== undefined ? parseInt(aheadParam) : 6;
     
-    if (isNaN(monthsAhead) || monthsAhead < 1 || monthsAhead > 60) {
-      return res.status(400).json({ error: 'months_ahead must be between 1 and 60' });
+    if (isNaN(periodsAhead) || periodsAhead < 1) {
+      return res.status(400).json({ error: 'periods_ahead must be a positive integer' });
     }
     
     // Try to load the specified model
-    const loadResult = loadModel(modelName);
+    const loadResult = await loadModel(modelName);
     
     if (!loadResult.success) {
       return res.status(404).json({ 
@@ -380,50 +1364,88 @@ router.get('/predict-with-model/:modelName', async (req, res) => {
     const metadata = loadResult.metadata;
     
     // We need the normalization parameters from the metadata
-    if (!metadata || !metadata.minSales || !metadata.maxSales || !metadata.range) {
+    const normalization = normalizationFromMetadata(metadata);
+    if (!isFinite(normalization.offset) || !normalization.scale) {
       return res.status(400).json({ 
         error: 'Invalid model metadata', 
         message: 'The model does not contain required normalization parameters' 
       });
     }
     
-    // Get the latest sales data to determine the starting point for prediction
-    const allSalesData = await getMonthlySalesData();
-    const lastDataPoint = allSalesData[allSalesData.length - 1];
+    // The model forecasts in steps of the granularity it was trained on
+    const granularity = metadata.granularity || 'month';
+    const defaults = GRANULARITIES[granularity];
+    if (periodsAhead > defaults.maxHorizon) {
+      return res.status(400).json({ error: `periods_ahead must be between 1 and ${defaults.maxHorizon} for ${granularity} granularity` });
+    }
     
-    // Generate predictions
-    // We need to use empty array since we're not using the input data for prediction
-    const forecast = forecastSales(net, [], monthsAhead);
+    const includeValidation = req.query.include_validation === 'true';
+    const validationPeriods = req.query.validation_periods !== undefined 
+      ? parseInt(req.query.validation_periods) 
+      : defaults.validationPeriods;
+    if (isNaN(validationPeriods) || validationPeriods < 1) {
+      return res.status(400).json({ error: 'validation_periods must be a positive integer' });
+    }
     
-    // Format predictions
-    let predictions = [];
-    let currentPoint = {
-      year: lastDataPoint.year,
-      month: lastDataPoint.month
-    };
+    const allSalesData = await getSalesData(granularity, { imputation: metadata.imputation });
+    if (allSalesData.length === 0) {
+      return res.status(400).json({ error: 'No sales data available for prediction' });
+    }
     
-    forecast.forEach((predictedNormalized) => {
-      let nextMonth = currentPoint.month + 1;
-      let nextYear = currentPoint.year;
-      if (nextMonth > 12) {
-        nextMonth = 1;
-        nextYear++;
+    // as_of is any date inside the last period to condition on (YYYY-MM also works for months)
+    let asOfIndex = allSalesData.length - 1;
+    if (req.query.as_of !== undefined) {
+      const asOfDate = /^\d{4}-\d{2}$/.test(req.query.as_of) ? `${req.query.as_of}-01` : req.query.as_of;
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(asOfDate) || isNaN(Date.parse(asOfDate))) {
+        return res.status(400).json({ error: 'as_of must be a date in YYYY-MM-DD (or YYYY-MM) format' });
       }
-      
-      // Denormalize the prediction
-      const predictedSales = predictedNormalized * metadata.range + metadata.minSales;
-      
-      predictions.push({
-        year: nextYear,
-        month: nextMonth,
-        month_name: new Date(nextYear, nextMonth - 1, 1).toLocaleString('default', { month: 'long' }),
-        normalized_prediction: predictedNormalized,
-        predicted_sales: Math.round(predictedSales)
-      });
-      
-      currentPoint = { year: nextYear, month: nextMonth };
+      const asOfPeriod = periodStartOf(new Date(`${asOfDate}T00:00:00Z`), granularity);
+      asOfIndex = allSalesData.findIndex(row => row.period_start === asOfPeriod);
+      if (asOfIndex === -1) {
+        return res.status(400).json({ 
+          error: `as_of must fall between ${allSalesData[0].period_start} and ${allSalesData[allSalesData.length - 1].period_start}` 
+        });
+      }
+    }
+    
+    // Input window: as many periods as the model was trained on, ending at as_of
+    const windowLength = metadata.dataPoints || asOfIndex + 1;
+    const inputRows = allSalesData.slice(Math.max(0, asOfIndex + 1 - windowLength), asOfIndex + 1);
+    if (inputRows.length < 2) {
+      return res.status(400).json({ error: 'At least 2 periods of history up to as_of are required' });
+    }
+    
+    // Trend and seasonal components are indexed from the first period of the training window
+    const trainingStart = metadata.firstSalesDate 
+      ? metadata.firstSalesDate.period_start || 
+        `${metadata.firstSalesDate.year}-${String(metadata.firstSalesDate.month).padStart(2, '0')}-01`
+      : null;
+    const offset = trainingStart ? periodsBetween(trainingStart, inputRows[0].period_start, granularity) : 0;
+    const series = inputRows.map((row, i) => normalizeValue(row.total_sales, normalization, offset + i));
+    const denormalize = (value, index) => denormalizeValue(value, normalization, offset + index);
+    
+    // Engines with regressors refit on the input, so their calendar starts with the input window
+    const context = getEngine(metadata.engine).regressors
+      ? buildCalendar(inputRows[0], await ForecastEvent.findAll({ includeScenarios: false }))
+      : undefined;
+    
+    const forecast = forecastSales(net, series, periodsAhead, context);
+    const asOf = inputRows[inputRows.length - 1];
+    const predictions = labelForecast(
+      forecast, 
+      asOf.period_start, 
+      granularity, 
+      (value, step) => denormalize(value, series.length + step)
+    ).map((prediction, i) => {
+      // Periods after a past as_of may already have actual sales
+      const actual = allSalesData[asOfIndex + 1 + i];
+      return { ...prediction, actual_sales: actual ? Math.round(actual.total_sales) : null };
     });
     
+    const validation = includeValidation
+      ? validateForecast(net, series, inputRows, validationPeriods, { context, denormalize, granularity })
+      : undefined;
+    
     // Return the predictions
     return res.json({
       success: true,
@@ -431,7 +1453,15 @@ router.get('/predict-with-model/:modelName', async (req, res) => {
         name: modelName,
         metadata: metadata
       },
-      predictions: predictions
+      as_of: { period_start: asOf.period_start, label: asOf.label },
+      input_window: {
+        first_period: inputRows[0].period_start,
+        last_period: asOf.period_start,
+        periods: inputRows.length,
+        trained_periods: metadata.dataPoints || null
+      },
+      predictions: predictions,
+      validation
     });
     
   } catch (err) {
@@ -443,6 +1473,414 @@ router.get('/predict-with-model/:modelName', async (req, res) => {
   }
 });
 
+// Data-quality report of the historical sales series: gaps (with the values imputation
+// would fill in), staleness, duplicate dates, outliers and partially covered months
+router.get('/data-quality', async (req, res) => {
+  try {
+    const { granularity, error: granularityError } = parseGranularity(req.query);
+    if (granularityError) {
+      return res.status(400).json({ error: granularityError });
+    }
+    const { imputation, error: imputationError } = parseImputation(req.query, granularity);
+    if (imputationError) {
+      return res.status(400).json({ error: imputationError });
+    }
+    const outlierThreshold = req.query.outlier_threshold !== undefined 
+      ? parseFloat(req.query.outlier_threshold) 
+      : DEFAULT_OUTLIER_THRESHOLD;
+    if (isNaN(outlierThreshold) || outlierThreshold <= 0) {
+      return res.status(400).json({ error: 'outlier_threshold must be a positive number' });
+    }
+    
+    const [series, dailyRecords] = await Promise.all([
+      getSalesData(granularity, { imputation }),
+      getDailySalesRecords()
+    ]);
+    const report = buildDataQualityReport({ series, dailyRecords, granularity, imputation, outlierThreshold });
+    return res.json({ success: true, ...report });
+  } catch (err) {
+    console.error('Error building data-quality report:', err);
+    return res.status(500).json({ error: 'Failed to build data-quality report', message: err.message });
+  }
+});
+
+// List saved forecast runs, newest first (optional ?engine= and ?limit=)
+router.get('/forecast-runs', async (req, res) => {
+  try {
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 50;
+    if (isNaN(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json({ error: 'limit must be between 1 and 500' });
+    }
+    
+    const runs = await ForecastRun.findAll({ engine: req.query.engine, limit });
+    return res.json({ success: true, runs });
+  } catch (err) {
+    console.error('Error listing forecast runs:', err);
+    return res.status(500).json({ error: 'Failed to list forecast runs', message: err.message });
+  }
+});
+
+// A forecast run with its predicted and (where known) actual sales per month
+router.get('/forecast-runs/:runId', async (req, res) => {
+  try {
+    const runId = parseInt(req.params.runId);
+    if (isNaN(runId)) {
+      return res.status(400).json({ error: 'Invalid forecast run ID' });
+    }
+    
+    const run = await ForecastRun.findById(runId);
+    if (!run) {
+      return res.status(404).json({ error: 'Forecast run not found' });
+    }
+    return res.json({ success: true, run });
+  } catch (err) {
+    console.error('Error getting forecast run:', err);
+    return res.status(500).json({ error: 'Failed to get forecast run', message: err.message });
+  }
+});
+
+// What-if scenario on a monthly forecast. The baseline is a saved forecast run ({ run_id })
+// or a fresh forecast ({ engine, engine_options, months_ahead }); the gru engine uses its
+// active model. Saved unless save is false.
+router.post('/scenarios', auth, adminAuth, async (req, res) => {
+  try {
+    const { name, description = null, baseline = {}, adjustments, save = true } = req.body;
+    if (typeof name !== 'string' || name.trim() === '') {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (!baseline || typeof baseline !== 'object') {
+      return res.status(400).json({ error: 'baseline must be an object with run_id, or engine and months_ahead' });
+    }
+    const adjustmentError = validateAdjustments(adjustments);
+    if (adjustmentError) {
+      return res.status(400).json({ error: adjustmentError });
+    }
+    
+    // Category shocks scale by the category's share of recent paid revenue
+    const categoryShares = {};
+    const categories = [...new Set(adjustments.filter(item => item.type === 'category').map(item => item.category))];
+    if (categories.length > 0) {
+      const shares = await getCategorySalesShares();
+      shares.forEach(item => { categoryShares[String(item.category).toLowerCase()] = item.share; });
+      const unknown = categories.find(category => categoryShares[category.toLowerCase()] === undefined);
+      if (unknown) {
+        return res.status(400).json({ error: `No paid sales in the last 12 months for category "${unknown}"` });
+      }
+    }
+    
+    let baselineRows;
+    let scenarioBase;
+    let lastActual;
+    let engine;
+    let runId = null;
+    
+    if (baseline.run_id !== undefined) {
+      runId = parseInt(baseline.run_id);
+      if (isNaN(runId)) {
+        return res.status(400).json({ error: 'baseline.run_id must be a forecast run ID' });
+      }
+      const run = await ForecastRun.findById(runId);
+      if (!run) {
+        return res.status(404).json({ error: 'Forecast run not found' });
+      }
+      lastActual = { year: run.last_actual_year, month: run.last_actual_month };
+      // A stored run cannot be re-forecast from different history
+      if (Object.keys(historicalOverrides(adjustments, lastActual)).length > 0) {
+        return res.status(400).json({ 
+          error: `Overriding actuals (months up to ${monthKey(lastActual.year, lastActual.month)}) needs a fresh forecast baseline` 
+        });
+      }
+      engine = run.engine;
+      baselineRows = run.values;
+      scenarioBase = baselineRows;
+    } else {
+      const { engine: selectedEngine, engineOptions, error: engineError } = parseEngineSelection(baseline);
+      const { error: granularityError } = engineError ? {} : parseGranularity({ granularity: 'month' }, selectedEngine);
+      if (engineError || granularityError) {
+        return res.status(400).json({ error: engineError || granularityError });
+      }
+      engine = selectedEngine;
+      const monthsAhead = baseline.months_ahead !== undefined ? parseInt(baseline.months_ahead) : 12;
+      if (isNaN(monthsAhead) || monthsAhead < 1 || monthsAhead > 24) {
+        return res.status(400).json({ error: 'baseline.months_ahead must be between 1 and 24' });
+      }
+      
+      const salesData = await getSalesData('month');
+      if (salesData.length < 3) {
+        return res.status(400).json({ error: 'Not enough data for a scenario forecast', message: `At least 3 months are required, found ${salesData.length}` });
+      }
+      const lastRow = salesData[salesData.length - 1];
+      lastActual = { year: lastRow.year, month: lastRow.month };
+      
+      let member;
+      if (engine === 'gru') {
+        // Training a network per request is too slow, so the gru baseline is the active model
+        const loadResult = await loadActiveModel(engine, 'month');
+        if (!loadResult.success) {
+          return res.status(400).json({ error: 'No active gru model for month granularity; train or promote one first' });
+        }
+        member = { engine, net: loadResult.model, normalization: normalizationFromMetadata(loadResult.metadata) };
+      } else {
+        member = { engine, engineOptions: await withCalendar(engine, withSeasonLength(engine, engineOptions, 'month'), salesData) };
+      }
+      const context = getEngine(engine).regressors
+        ? buildCalendar(salesData[0], await ForecastEvent.findAll({ includeScenarios: false }))
+        : undefined;
+      const forecastFrom = data => forecastMember(member, data, { horizon: monthsAhead, validationPeriods: 0, context })
+        .forecast.map((value, index) => ({
+          ...describePeriod(addPeriods(lastRow.period_start, 'month', index + 1), 'month'),
+          predicted_sales: Math.round(value)
+        }));
+      
+      baselineRows = forecastFrom(salesData);
+      scenarioBase = baselineRows;
+      
+      // Overridden actuals change the history, so the scenario is forecast again from it
+      const overrides = historicalOverrides(adjustments, lastActual);
+      if (Object.keys(overrides).length > 0) {
+        const missing = Object.keys(overrides).find(key => !salesData.some(row => monthKey(row.year, row.month) === key));
+        if (missing) {
+          return res.status(400).json({ error: `No sales data for ${missing} to override` });
+        }
+        scenarioBase = forecastFrom(salesData.map(row => {
+          const key = monthKey(row.year, row.month);
+          return overrides[key] !== undefined ? { ...row, total_sales: overrides[key] } : row;
+        }));
+      }
+    }
+    
+    const { series, totals } = applyAdjustments(baselineRows, scenarioBase, adjustments, categoryShares);
+    const scenario = {
+      name: name.trim(),
+      description,
+      baseline_type: runId !== null ? 'run' : 'forecast',
+      run_id: runId,
+      engine,
+      last_actual: lastActual,
+      adjustments,
+      series,
+      totals
+    };
+    
+    if (save === false) {
+      return res.json({ success: true, saved: false, scenario });
+    }
+    const saved = await ForecastScenario.create({
+      name: scenario.name,
+      description,
+      baselineType: scenario.baseline_type,
+      runId,
+      engine,
+      adjustments,
+      series,
+      totals
+    });
+    return res.status(201).json({ success: true, saved: true, scenario: { id: saved.id, created_at: saved.created_at, ...scenario } });
+  } catch (err) {
+    console.error('Error simulating forecast scenario:', err);
+    return res.status(500).json({ error: 'Failed to simulate forecast scenario', message: err.message });
+  }
+});
+
+// List saved scenarios with their totals, newest first (optional ?limit=)
+router.get('/scenarios', async (req, res) => {
+  try {
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 50;
+    if (isNaN(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json({ error: 'limit must be between 1 and 500' });
+    }
+    
+    const scenarios = await ForecastScenario.findAll({ limit });
+    return res.json({ success: true, scenarios });
+  } catch (err) {
+    console.error('Error listing forecast scenarios:', err);
+    return res.status(500).json({ error: 'Failed to list forecast scenarios', message: err.message });
+  }
+});
+
+// Saved scenarios side by side per month (?ids=1,2,3)
+router.get('/scenarios/compare', async (req, res) => {
+  try {
+    const ids = [...new Set(String(req.query.ids || '').split(',').map(id => parseInt(id.trim())))];
+    if (ids.length < 2 || ids.length > 10 || ids.some(isNaN)) {
+      return res.status(400).json({ error: 'ids must list between 2 and 10 scenario IDs' });
+    }
+    
+    const scenarios = await ForecastScenario.findByIds(ids);
+    const missing = ids.filter(id => !scenarios.some(scenario => scenario.id === id));
+    if (missing.length > 0) {
+      return res.status(404).json({ error: 'Forecast scenario not found', message: `Unknown scenario IDs: ${missing.join(', ')}` });
+    }
+    
+    const months = new Map();
+    scenarios.forEach(scenario => {
+      scenario.series.forEach(row => {
+        const key = monthKey(row.year, row.month);
+        if (!months.has(key)) {
+          months.set(key, { year: row.year, month: row.month, month_name: row.month_name, scenarios: {} });
+        }
+        months.get(key).scenarios[scenario.id] = {
+          baseline_sales: row.baseline_sales,
+          scenario_sales: row.scenario_sales,
+          delta: row.delta
+        };
+      });
+    });
+    
+    return res.json({
+      success: true,
+      scenarios: scenarios.map(({ series, adjustments, ...scenario }) => scenario),
+      months: [...months.keys()].sort().map(key => months.get(key))
+    });
+  } catch (err) {
+    console.error('Error comparing forecast scenarios:', err);
+    return res.status(500).json({ error: 'Failed to compare forecast scenarios', message: err.message });
+  }
+});
+
+// A saved scenario with its adjustments and per-month series
+router.get('/scenarios/:scenarioId', async (req, res) => {
+  try {
+    const scenarioId = parseInt(req.params.scenarioId);
+    if (isNaN(scenarioId)) {
+      return res.status(400).json({ error: 'Invalid scenario ID' });
+    }
+    
+    const scenario = await ForecastScenario.findById(scenarioId);
+    if (!scenario) {
+      return res.status(404).json({ error: 'Forecast scenario not found' });
+    }
+    return res.json({ success: true, scenario });
+  } catch (err) {
+    console.error('Error getting forecast scenario:', err);
+    return res.status(500).json({ error: 'Failed to get forecast scenario', message: err.message });
+  }
+});
+
+router.delete('/scenarios/:scenarioId', auth, adminAuth, async (req, res) => {
+  try {
+    const scenarioId = parseInt(req.params.scenarioId);
+    if (isNaN(scenarioId)) {
+      return res.status(400).json({ error: 'Invalid scenario ID' });
+    }
+    
+    const deleted = await ForecastScenario.delete(scenarioId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Forecast scenario not found' });
+    }
+    return res.json({ success: true, message: 'Forecast scenario deleted' });
+  } catch (err) {
+    console.error('Error deleting forecast scenario:', err);
+    return res.status(500).json({ error: 'Failed to delete forecast scenario', message: err.message });
+  }
+});
+
+// Forecast-vs-actual accuracy drift, with an alert when the recent MAPE passes mape_threshold
+router.get('/accuracy', async (req, res) => {
+  try {
+    const mapeThreshold = req.query.mape_threshold !== undefined ? parseFloat(req.query.mape_threshold) : 20;
+    const window = req.query.window !== undefined ? parseInt(req.query.window) : 3;
+    if (isNaN(mapeThreshold) || mapeThreshold <= 0) {
+      return res.status(400).json({ error: 'mape_threshold must be a positive number' });
+    }
+    if (isNaN(window) || window < 1) {
+      return res.status(400).json({ error: 'window must be a positive integer' });
+    }
+    
+    const accuracy = await ForecastRun.getAccuracy({ engine: req.query.engine, mapeThreshold, window });
+    return res.json({ success: true, engine: req.query.engine || null, ...accuracy });
+  } catch (err) {
+    console.error('Error computing forecast accuracy:', err);
+    return res.status(500).json({ error: 'Failed to compute forecast accuracy', message: err.message });
+  }
+});
+
+// List forecast events (optional ?type=, ?from=, ?to= and ?include_scenarios=false)
+router.get('/events', async (req, res) => {
+  try {
+    const { type, from, to } = req.query;
+    if (type && !ForecastEvent.TYPES.includes(type)) {
+      return res.status(400).json({ error: 'type must be one of: ' + ForecastEvent.TYPES.join(', ') });
+    }
+    
+    const events = await ForecastEvent.findAll({ 
+      type, 
+      from, 
+      to, 
+      includeScenarios: req.query.include_scenarios !== 'false' 
+    });
+    return res.json({ success: true, events });
+  } catch (err) {
+    console.error('Error listing forecast events:', err);
+    return res.status(500).json({ error: 'Failed to list forecast events', message: err.message });
+  }
+});
+
+router.get('/events/:eventId', async (req, res) => {
+  try {
+    const event = await ForecastEvent.findById(parseInt(req.params.eventId) || 0);
+    if (!event) {
+      return res.status(404).json({ error: 'Forecast event not found' });
+    }
+    return res.json({ success: true, event });
+  } catch (err) {
+    console.error('Error getting forecast event:', err);
+    return res.status(500).json({ error: 'Failed to get forecast event', message: err.message });
+  }
+});
+
+// Record a holiday, promo or store closure (admin). Set is_scenario for planned promos.
+router.post('/events', auth, adminAuth, async (req, res) => {
+  try {
+    const validationError = validateForecastEvent(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const event = await ForecastEvent.create(req.body);
+    return res.status(201).json({ success: true, event });
+  } catch (err) {
+    console.error('Error creating forecast event:', err);
+    return res.status(500).json({ error: 'Failed to create forecast event', message: err.message });
+  }
+});
+
+router.put('/events/:eventId', auth, adminAuth, async (req, res) => {
+  try {
+    const eventId = parseInt(req.params.eventId) || 0;
+    const existing = await ForecastEvent.findById(eventId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Forecast event not found' });
+    }
+    
+    // Validate the merged event so a date change cannot end before it starts
+    const validationError = validateForecastEvent(req.body, true) || 
+      validateForecastEvent({ ...existing, ...req.body }, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const event = await ForecastEvent.update(eventId, req.body);
+    return res.json({ success: true, event });
+  } catch (err) {
+    console.error('Error updating forecast event:', err);
+    return res.status(500).json({ error: 'Failed to update forecast event', message: err.message });
+  }
+});
+
+router.delete('/events/:eventId', auth, adminAuth, async (req, res) => {
+  try {
+    const deleted = await ForecastEvent.delete(parseInt(req.params.eventId) || 0);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Forecast event not found' });
+    }
+    return res.json({ success: true, message: 'Forecast event deleted' });
+  } catch (err) {
+    console.error('Error deleting forecast event:', err);
+    return res.status(500).json({ error: 'Failed to delete forecast event', message: err.message });
+  }
+});
+
 // Test endpoint to trigger monthly data aggregation manually
 router.post('/aggregate-monthly-data', async (req, res) => {
   try {
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const Product = require('../models/product');
+const StockReservation = require('../models/stockReservation');
 const { uploadImage, deleteImage } = require('../utils/cloudinary');
 const multer = require('multer');
 const db = require('../db/db'); // Moved up for broader access
@@ -101,7 +102,8 @@ router.get('/variant-search', async (req, res) => {
     `, [searchQuery]);
     
     // Format the response for the AddOrderDialog component
-    const formattedResults = result.rows.map(row => ({
+    const held = await StockReservation.getHeldQuantities({ variantIds: result.rows.map(row => row.variant_id) });
+    const formattedResults = StockReservation.withVariantStock(result.rows.map(row => ({
       variant_id: row.variant_id,
       product_id: row.product_id,
       product_name: row.product_name,
@@ -110,7 +112,7 @@ router.get('/variant-search', async (req, res) => {
       store_price: row.store_price,
       quantity: row.quantity,
       image_url: row.image_url
-    }));
+    })), held);
     
     res.json(formattedResults);
   } catch (err) {
@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { adminAuth } = require('../middleware/adminAuth');
+const Promotion = require('../models/promotion');
+const { parseCouponCodes } = require('../models/promotionRules');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Sign in when a token is sent, so per-customer coupon limits can be checked for the user
+const optionalAuth = (req, res, next) => (req.headers.authorization ? auth(req, res, next) : next());
+
+// Send the { success, status, message, promotion } result of a create or update
+function sendResult(res, result) {
+  if (!result.success) {
+    return res.status(result.status).json({ error: result.message });
+  }
+  res.status(result.status).json({ success: true, promotion: result.promotion });
+}
+
+// Every :promotionId must be a number
+router.param('promotionId', (req, res, next, promotionId) => {
+  if (!/^\d+$/.test(promotionId)) {
+    return res.status(400).json({ error: 'Invalid promotion ID' });
+  }
+  next();
+});
+
+// Price a cart with coupons before checkout: { items: [{ sku, quantity }], coupon_codes, email }.
+// Checkout prices the order again, so a quote is not a reservation of a coupon.
+router.post('/quote', optionalAuth, async (req, res) => {
+  try {
+    const { items, email } = req.body;
+    if (!Array.isArray(items) || items.length === 0 ||
+        !items.every(item => item && typeof item.sku === 'string' && Number.isInteger(item.quantity) && item.quantity > 0)) {
+      return res.status(400).json({ error: 'items must be a list of { sku, quantity } with positive integer quantities' });
+    }
+    const codes = parseCouponCodes(req.body.coupon_codes !== undefined ? req.body.coupon_codes : req.body.coupon_code);
+    if (!codes) {
+      return res.status(400).json({ error: 'Invalid coupon code' });
+    }
+
+    const quote = await Promotion.price(items, {
+      codes,
+      userId: req.user ? req.user.id : null,
+      email: req.user ? null : email
+    });
+    res.json({ success: true, ...quote });
+  } catch (err) {
+    if (err.code === 'INVALID_COUPON' || err.code === 'INVALID_ITEMS') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Error pricing cart:', err);
+    res.status(500).json({ error: 'Failed to price cart', message: err.message });
+  }
+});
+
+// Orders, customers, discounts and net sales per promotion (optional ?from= and ?to= YYYY-MM-DD)
+router.get('/report', auth, adminAuth, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+    if (from && to && from > to) {
+      return res.status(400).json({ error: 'from must not be after to' });
+    }
+
+    const report = await Promotion.getReport({ from, to });
+    res.json({ success: true, from: from || null, to: to || null, ...report });
+  } catch (err) {
+    console.error('Error building promotion report:', err);
+    res.status(500).json({ error: 'Failed to build promotion report', message: err.message });
+  }
+});
+
+// All promotions with their usage (optional ?active=true|false and ?type=)
+router.get('/', auth, adminAuth, async (req, res) => {
+  try {
+    const { active, type } = req.query;
+    if (active !== undefined && active !== 'true' && active !== 'false') {
+      return res.status(400).json({ error: 'active must be true or false' });
+    }
+    if (type && !Promotion.TYPES.includes(type)) {
+      return res.status(400).json({ error: 'Invalid type. Must be one of: ' + Promotion.TYPES.join(', ') });
+    }
+
+    const promotions = await Promotion.findAll({ active: active === undefined ? undefined : active === 'true', type });
+    res.json({ success: true, count: promotions.length, promotions });
+  } catch (err) {
+    console.error('Error fetching promotions:', err);
+    res.status(500).json({ error: 'Failed to fetch promotions', message: err.message });
+  }
+});
+
+router.get('/:promotionId', auth, adminAuth, async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.promotionId);
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+    res.json({ success: true, promotion });
+  } catch (err) {
+    console.error('Error fetching promotion:', err);
+    res.status(500).json({ error: 'Failed to fetch promotion', message: err.message });
+  }
+});
+
+// Orders that used a promotion, newest first (optional ?limit=)
+router.get('/:promotionId/redemptions', auth, adminAuth, async (req, res) => {
+  try {
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 50;
+    if (isNaN(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json({ error: 'limit must be between 1 and 500' });
+    }
+
+    const promotion = await Promotion.findById(req.params.promotionId);
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+    const redemptions = await Promotion.getRedemptions(promotion.id, limit);
+    res.json({ success: true, count: redemptions.length, redemptions });
+  } catch (err) {
+    console.error('Error fetching promotion redemptions:', err);
+    res.status(500).json({ error: 'Failed to fetch promotion redemptions', message: err.message });
+  }
+});
+
+// Create a promotion; without a code it applies automatically to every qualifying cart
+router.post('/', auth, adminAuth, async (req, res) => {
+  try {
+    sendResult(res, await Promotion.create(req.body, req.user));
+  } catch (err) {
+    console.error('Error creating promotion:', err);
+    res.status(500).json({ error: 'Failed to create promotion', message: err.message });
+  }
+});
+
+// Change some fields of a promotion
+router.put('/:promotionId', auth, adminAuth, async (req, res) => {
+  try {
+    sendResult(res, await Promotion.update(parseInt(req.params.promotionId), req.body));
+  } catch (err) {
+    console.error('Error updating promotion:', err);
+    res.status(500).json({ error: 'Failed to update promotion', message: err.message });
+  }
+});
+
+// Delete a promotion; one that orders have used is deactivated instead
+router.delete('/:promotionId', auth, adminAuth, async (req, res) => {
+  try {
+    const result = await Promotion.remove(req.params.promotionId);
+    if (!result.found) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+    res.json({
+      success: true,
+      deleted: result.deleted,
+      message: result.deleted ? 'Promotion deleted' : 'Promotion has been used by orders and was deactivated instead'
+    });
+  } catch (err) {
+    console.error('Error deleting promotion:', err);
+    res.status(500).json({ error: 'Failed to delete promotion', message: err.message });
+  }
+});
+
+module.exports = router;
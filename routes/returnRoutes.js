@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { orderStatusAuth, ORDER_STAFF_ROLES } = require('../middleware/adminAuth');
+const OrderReturn = require('../models/orderReturn');
+
+const isStaff = user => ORDER_STAFF_ROLES.includes(user.role);
+
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+// Send the { success, status, message, return } result of an OrderReturn workflow step
+function sendResult(res, result) {
+  if (!result.success) {
+    return res.status(result.status).json({ error: result.message });
+  }
+  res.status(result.status).json({ success: true, return: result.return });
+}
+
+// Every :returnId must be a number
+router.param('returnId', (req, res, next, returnId) => {
+  if (!/^\d+$/.test(returnId)) {
+    return res.status(400).json({ error: 'Invalid return ID' });
+  }
+  next();
+});
+
+// Returns, newest first: every return for staff, their own for customers
+// (optional ?status=, ?order_number= and ?limit=)
+router.get('/', auth, async (req, res) => {
+  try {
+    const { status, order_number: orderNumber } = req.query;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 50;
+
+    if (status && !Object.values(OrderReturn.STATUSES).includes(status)) {
+      return res.status(400).json({ error: 'Invalid status. Must be one of: ' + Object.values(OrderReturn.STATUSES).join(', ') });
+    }
+    if (isNaN(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json({ error: 'limit must be between 1 and 500' });
+    }
+
+    const returns = await OrderReturn.findAll({
+      status,
+      orderNumber,
+      userId: isStaff(req.user) ? undefined : req.user.id,
+      limit
+    });
+    res.json({ success: true, count: returns.length, returns });
+  } catch (err) {
+    console.error('Error fetching returns:', err);
+    res.status(500).json({ error: 'Failed to fetch returns', message: err.message });
+  }
+});
+
+// A single return with its items
+router.get('/:returnId', auth, async (req, res) => {
+  try {
+    const orderReturn = await OrderReturn.findById(req.params.returnId);
+    if (!orderReturn || (!isStaff(req.user) && orderReturn.user_id !== req.user.id)) {
+      return res.status(404).json({ error: 'Return not found' });
+    }
+    res.json({ success: true, return: orderReturn });
+  } catch (err) {
+    console.error(`Error fetching return ${req.params.returnId}:`, err);
+    res.status(500).json({ error: 'Failed to fetch return', message: err.message });
+  }
+});
+
+// Request a return of items from a paid order (the customer who placed it, or staff)
+// Body: { order_number, reason, items: [{ order_item_id, quantity }] }
+router.post('/', auth, async (req, res) => {
+  try {
+    const { order_number: orderNumber, reason, items } = req.body;
+
+    if (!orderNumber || typeof orderNumber !== 'string') {
+      return res.status(400).json({ error: 'order_number is required' });
+    }
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ error: 'reason is required' });
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'items must be a non-empty array' });
+    }
+    const invalidItem = items.find(item => !item || !isPositiveInteger(item.order_item_id) || !isPositiveInteger(item.quantity));
+    if (invalidItem) {
+      return res.status(400).json({ error: 'Each item needs a positive integer order_item_id and quantity' });
+    }
+    const itemIds = items.map(item => item.order_item_id);
+    if (new Set(itemIds).size !== itemIds.length) {
+      return res.status(400).json({ error: 'Each order item can only be listed once' });
+    }
+
+    const result = await OrderReturn.request({
+      orderNumber,
+      items,
+      reason: reason.trim(),
+      actor: { id: req.user.id, isStaff: isStaff(req.user) }
+    });
+    sendResult(res, result);
+  } catch (err) {
+    console.error('Error requesting return:', err);
+    res.status(500).json({ error: 'Failed to request return', message: err.message });
+  }
+});
+
+// Approve or reject a requested return (staff only). Body: { note }
+function reviewReturn(status) {
+  return async (req, res) => {
+    try {
+      const { note } = req.body;
+      if (note !== undefined && note !== null && typeof note !== 'string') {
+        return res.status(400).json({ error: 'note must be a string' });
+      }
+
+      const result = await OrderReturn.review(req.params.returnId, status, {
+        actor: { id: req.user.id },
+        note: note ? note.trim() : null
+      });
+      sendResult(res, result);
+    } catch (err) {
+      console.error(`Error reviewing return ${req.params.returnId}:`, err);
+      res.status(500).json({ error: 'Failed to review return', message: err.message });
+    }
+  };
+}
+
+router.post('/:returnId/approve', auth, orderStatusAuth, reviewReturn(OrderReturn.STATUSES.APPROVED));
+router.post('/:returnId/reject', auth, orderStatusAuth, reviewReturn(OrderReturn.STATUSES.REJECTED));
+
+// Receive the items of an approved return and refund the customer (staff only)
+// Body: { refund_amount, refund_method, restock, items: [{ order_item_id, restock }], note }
+router.post('/:returnId/receive', auth, orderStatusAuth, async (req, res) => {
+  try {
+    const { refund_amount: refundAmount, refund_method: refundMethod, restock = false, items = [], note } = req.body;
+
+    if (refundAmount !== undefined && (typeof refundAmount !== 'number' || !isFinite(refundAmount) || refundAmount < 0)) {
+      return res.status(400).json({ error: 'refund_amount must be a non-negative number' });
+    }
+    if (refundMethod !== undefined && !OrderReturn.REFUND_METHODS.includes(refundMethod)) {
+      return res.status(400).json({ error: 'Invalid refund_method. Must be one of: ' + OrderReturn.REFUND_METHODS.join(', ') });
+    }
+    if (typeof restock !== 'boolean') {
+      return res.status(400).json({ error: 'restock must be true or false' });
+    }
+    if (!Array.isArray(items) || items.some(item => !item || !isPositiveInteger(item.order_item_id) || typeof item.restock !== 'boolean')) {
+      return res.status(400).json({ error: 'items must be an array of { order_item_id, restock }' });
+    }
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({ error: 'note must be a string' });
+    }
+
+    const result = await OrderReturn.receive(req.params.returnId, {
+      refundAmount,
+      refundMethod,
+      restock,
+      items,
+      note: note ? note.trim() : null,
+      actor: { id: req.user.id }
+    });
+    sendResult(res, result);
+  } catch (err) {
+    console.error(`Error receiving return ${req.params.returnId}:`, err);
+    res.status(500).json({ error: 'Failed to receive return', message: err.message });
+  }
+});
+
+module.exports = router;
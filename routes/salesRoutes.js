@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db/db');
+const auth = require('../middleware/auth');
+const { adminAuth } = require('../middleware/adminAuth');
 const CustomerAcquisition = require('../models/customerAcquisition');
+const SalesAnomaly = require('../models/salesAnomaly');
 const generateSalesRecords = require('../scripts/generateDailySalesRecords');
 // Note: brain.js is no longer needed in this file as prediction logic has been moved
 
@@ -26,6 +29,90 @@ router.post('/generate-records', async (req, res) => {
   }
 });
 
+// ==== ANOMALY DETECTION ====
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// List flagged days and orders (optional ?status=, ?metric=, ?from=, ?to=, ?limit=)
+router.get('/anomalies', async (req, res) => {
+  try {
+    const { status, metric, from, to } = req.query;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 100;
+    if (status && !SalesAnomaly.STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status. Must be one of: ' + SalesAnomaly.STATUSES.join(', ') });
+    }
+    if (metric && !SalesAnomaly.METRICS.includes(metric)) {
+      return res.status(400).json({ error: 'Invalid metric. Must be one of: ' + SalesAnomaly.METRICS.join(', ') });
+    }
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+    if (isNaN(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json({ error: 'limit must be between 1 and 500' });
+    }
+
+    const anomalies = await SalesAnomaly.findAll({ status, metric, from, to, limit });
+    res.json({ success: true, count: anomalies.length, anomalies });
+  } catch (err) {
+    console.error('Error fetching sales anomalies:', err);
+    res.status(500).json({ error: 'Failed to fetch sales anomalies', message: err.message });
+  }
+});
+
+// Run detection now instead of waiting for the daily sales records script
+router.post('/anomalies/detect', auth, adminAuth, async (req, res) => {
+  try {
+    const { DEFAULTS } = SalesAnomaly;
+    const days = req.body.days !== undefined ? parseInt(req.body.days) : DEFAULTS.days;
+    const window = req.body.window !== undefined ? parseInt(req.body.window) : DEFAULTS.window;
+    const threshold = req.body.threshold !== undefined ? parseFloat(req.body.threshold) : DEFAULTS.threshold;
+    const orderFence = req.body.order_fence !== undefined ? parseFloat(req.body.order_fence) : DEFAULTS.orderFence;
+    if (isNaN(days) || days < 1 || days > 365) {
+      return res.status(400).json({ error: 'days must be between 1 and 365' });
+    }
+    if (isNaN(window) || window < 14 || window > 180) {
+      return res.status(400).json({ error: 'window must be between 14 and 180 days' });
+    }
+    if (isNaN(threshold) || threshold <= 0 || isNaN(orderFence) || orderFence <= 0) {
+      return res.status(400).json({ error: 'threshold and order_fence must be positive numbers' });
+    }
+
+    const result = await SalesAnomaly.detect({ days, window, threshold, orderFence });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Error detecting sales anomalies:', err);
+    res.status(500).json({ error: 'Failed to detect sales anomalies', message: err.message });
+  }
+});
+
+// Acknowledge (being looked into) or dismiss (not a problem) a flag, with an optional note
+function reviewAnomaly(status) {
+  return async (req, res) => {
+    try {
+      const anomalyId = parseInt(req.params.id);
+      if (isNaN(anomalyId)) {
+        return res.status(400).json({ error: 'Invalid anomaly ID' });
+      }
+      const { note } = req.body;
+      if (note !== undefined && note !== null && typeof note !== 'string') {
+        return res.status(400).json({ error: 'note must be a string' });
+      }
+
+      const anomaly = await SalesAnomaly.updateStatus(anomalyId, status, { userId: req.user.id, note });
+      if (!anomaly) {
+        return res.status(404).json({ error: 'Anomaly not found' });
+      }
+      res.json({ success: true, anomaly });
+    } catch (err) {
+      console.error('Error updating sales anomaly:', err);
+      res.status(500).json({ error: 'Failed to update sales anomaly', message: err.message });
+    }
+  };
+}
+
+router.post('/anomalies/:id/acknowledge', auth, adminAuth, reviewAnomaly('acknowledged'));
+router.post('/anomalies/:id/dismiss', auth, adminAuth, reviewAnomaly('dismissed'));
+
 // ==== NEW SALES TABLE ROUTES ====
 
 // Get all sales records - public access
@@ -469,11 +556,17 @@ router.get('/kpi-summary', async (req, res) => {
   }
 });
 
-// Get customer acquisition vs churn data
+// Customers acquired per signup month (last 6 months) and how many of them are still buying:
+// `count` is the cohort's customers with a paid order in the last 3 months
 router.get('/customer-acquisition-churn', async (req, res) => {
   try {
-    const data = await CustomerAcquisition.getMonthlyAcquisitionChurn();
-    res.json(data);
+    const { cohorts } = await CustomerAcquisition.getCohortRetention({ months: 6 });
+    res.json(cohorts.map(cohort => ({
+      month: cohort.label,
+      count: cohort.recently_active,
+      new_customers: cohort.customers,
+      retention_rate: cohort.customers > 0 ? Number(((cohort.recently_active / cohort.customers) * 100).toFixed(2)) : 0
+    })));
   } catch (err) {
     console.error('Error fetching customer acquisition data:', err);
     res.status(500).json({ error: 'Failed to fetch customer acquisition data' });
@@ -2,11 +2,14 @@
  * Monthly Sales Data Aggregation Script
  * 
  * This script checks if today is the last day of the month.
- * If it is, it aggregates order data from the current month and
- * stores it in the historical_sales table, then triggers model training.
+ * If it is, it aggregates order data (net of refunds) from the current month and
+ * stores it in the historical_sales table, records the month's actual sales
+ * against saved forecasts, then triggers model training.
  */
 
 const db = require('../db/db');
+const { PAID_STATUSES } = require('../db/salesData');
+const ForecastRun = require('../models/forecastRun');
 const https = require('https');
 const http = require('http');
 
@@ -46,22 +49,46 @@ async function aggregateMonthlyOrdersData(year, month, lastDay) {
     
     console.log(`Date range: ${startDate} to ${endDate}`);
 
-    // Query to get total sales from orders for each day of the month
+    // Query to get net sales for each day of the month: paid orders less the refunds
+    // made that day. Both sides use PAID_STATUSES, the statuses a return can be
+    // requested from, so no refund is subtracted for revenue that was never counted.
     const query = `
+      WITH order_totals AS (
+        SELECT 
+          DATE(created_at) AS date,
+          SUM(total_amount) AS total
+        FROM orders
+        WHERE 
+          created_at >= $1 AND 
+          created_at <= $2 AND
+          payment_status = ANY($3::text[])
+        GROUP BY DATE(created_at)
+      ),
+      refund_totals AS (
+        -- Refunds of returns and of whole orders. Orders placed this month count only
+        -- if their revenue is in the order totals above; earlier orders were counted
+        -- in their own month.
+        SELECT 
+          DATE(s.date) AS date,
+          SUM(-s.amount) AS total
+        FROM sales s
+        LEFT JOIN orders ro ON ro.id = s.order_id
+        WHERE 
+          s.date >= $1 AND 
+          s.date < $2::date + 1 AND
+          s.status = 'refunded' AND
+          (ro.id IS NULL OR ro.created_at < $1 OR ro.payment_status = ANY($3::text[]))
+        GROUP BY DATE(s.date)
+      )
       SELECT 
-        DATE(created_at) AS date,
-        SUM(total_amount) AS daily_total
-      FROM orders
-      WHERE 
-        created_at >= $1 AND 
-        created_at <= $2 AND
-        payment_status NOT IN ('Cancelled', 'Refunded') AND
-        payment_status IN ('Paid', 'Paid (Discounted)')
-      GROUP BY DATE(created_at)
+        COALESCE(o.date, r.date) AS date,
+        COALESCE(o.total, 0) - COALESCE(r.total, 0) AS daily_total
+      FROM order_totals o
+      FULL OUTER JOIN refund_totals r ON r.date = o.date
       ORDER BY date
     `;
 
-    const { rows } = await db.query(query, [startDate, endDate]);
+    const { rows } = await db.query(query, [startDate, endDate, PAID_STATUSES]);
     console.log(`Found ${rows.length} days with sales data`);
 
     // Insert data into historical_sales table
@@ -98,6 +125,34 @@ async function aggregateMonthlyOrdersData(year, month, lastDay) {
   }
 }
 
+// Score every saved forecast for the closed month against its actual sales
+async function recordForecastActuals(year, month) {
+  try {
+    const { rows } = await db.query(`
+      SELECT SUM(actualsales) AS total_sales
+      FROM historical_sales
+      WHERE EXTRACT(YEAR FROM date) = $1 AND EXTRACT(MONTH FROM date) = $2
+    `, [year, month]);
+
+    if (rows[0].total_sales === null) {
+      console.log(`No historical sales for ${month}/${year}, skipping forecast scoring.`);
+      return;
+    }
+
+    const actualSales = parseFloat(rows[0].total_sales);
+    const updated = await ForecastRun.recordActuals(year, month, actualSales);
+    console.log(`Recorded actual sales of ${actualSales} against ${updated} forecast(s) for ${month}/${year}.`);
+
+    const { alert } = await ForecastRun.getAccuracy();
+    if (alert.triggered) {
+      console.warn(`Forecast accuracy alert: ${alert.message}`);
+    }
+  } catch (error) {
+    // Scoring forecasts should not block the aggregation or retraining
+    console.error('Error recording forecast actuals:', error);
+  }
+}
+
 // Trigger model training using the existing API endpoint
 function trainModel() {
   return new Promise((resolve, reject) => {
@@ -126,7 +181,7 @@ function trainModel() {
         
         // We don't need to process the streaming response data in detail
         if (res.statusCode >= 200 && res.statusCode < 300) {
-          console.log('Model training initiated successfully');
+          console.log('Model training job started successfully');
           resolve(true);
         } else {
           console.error(`Failed to trigger model training. Status code: ${res.statusCode}`);
@@ -139,7 +194,8 @@ function trainModel() {
         resolve(false);
       });
       
-      req.end();
+      // Training runs as a background job; don't hold the connection open for its progress
+      req.end(JSON.stringify({ stream: false }));
     } catch (error) {
       console.error('Exception in trainModel:', error);
       resolve(false);
@@ -165,6 +221,9 @@ async function main() {
     // Aggregate monthly data
     const processedDays = await aggregateMonthlyOrdersData(year, month, lastDay);
     
+    // Score outstanding forecasts for this month
+    await recordForecastActuals(year, month);
+    
     // If we processed at least one day of data, train the model
     if (processedDays > 0) {
       console.log('New data was added, triggering model training...');
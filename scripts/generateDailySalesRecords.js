@@ -1,5 +1,19 @@
 // Daily script to generate sales records from completed orders
 const db = require('../db/db');
+const SalesAnomaly = require('../models/salesAnomaly');
+
+// Check the days up to yesterday for unusual revenue, order counts and order sizes.
+// A failed check is logged but does not fail record generation.
+async function detectAnomalies() {
+  try {
+    const result = await SalesAnomaly.detect();
+    console.log(`Anomaly detection: ${result.detected} flag(s), ${result.new_anomalies} new, ${result.resolved} resolved`);
+    return result;
+  } catch (error) {
+    console.error('Error detecting sales anomalies:', error);
+    return { error: error.message };
+  }
+}
 
 async function generateSalesRecords() {
   const today = new Date();
@@ -18,12 +32,12 @@ async function generateSalesRecords() {
     console.log('Existing payment statuses:', statusCheckResult.rows.map(row => row.payment_status));
     
     // Find completed orders that don't have corresponding sales records yet
-    // Using ILIKE for case-insensitive comparison
+    // (refund records of returns do not count). Using ILIKE for case-insensitive comparison
     const ordersResult = await db.query(
       `SELECT o.id, o.order_number, o.user_id, o.total_amount, o.payment_method, 
               o.payment_status, o.created_at, o.updated_at
        FROM orders o
-       LEFT JOIN sales s ON o.id = s.order_id
+       LEFT JOIN sales s ON o.id = s.order_id AND s.status IS DISTINCT FROM 'refunded'
        WHERE (o.payment_status ILIKE 'paid' OR o.payment_status ILIKE 'paid (discounted)')
        AND s.id IS NULL
        ORDER BY o.created_at ASC`
@@ -37,6 +51,7 @@ async function generateSalesRecords() {
       return {
         success: true,
         recordsGenerated: 0,
+        anomalies: await detectAnomalies(),
         date: today.toISOString().split('T')[0]
       };
     }
@@ -78,6 +93,7 @@ async function generateSalesRecords() {
     return {
       success: true,
       recordsGenerated: ordersResult.rows.length,
+      anomalies: await detectAnomalies(),
       date: today.toISOString().split('T')[0]
     };
     
@@ -0,0 +1,118 @@
+/**
+ * Saved Model Import Script
+ *
+ * Copies models from the legacy saved_models/ folder into the forecast_models
+ * registry table. Timestamped files are imported as candidates. The model that
+ * latest_model.json points at is promoted when its engine has no active model yet.
+ * Files whose name already exists in the registry are skipped, so the script can be re-run.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const ForecastModel = require('../models/forecastModel');
+const { engineForModelType } = require('../models/forecastEngines');
+
+const MODEL_DIR = path.join(__dirname, '../saved_models');
+const LATEST_FILE = 'latest_model.json';
+
+// Contents of a saved model file, or null when it cannot be read or parsed
+function readSavedModel(file) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(MODEL_DIR, file), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+async function importSavedModels() {
+  if (!fs.existsSync(MODEL_DIR)) {
+    console.log('No saved_models directory found, nothing to import.');
+    return { imported: 0, skipped: 0 };
+  }
+
+  const files = fs.readdirSync(MODEL_DIR).filter(file => file.endsWith('.json'));
+  const latestData = files.includes(LATEST_FILE) ? readSavedModel(LATEST_FILE) : null;
+  const latestCreatedAt = latestData && latestData.metadata ? latestData.metadata.createdAt || null : null;
+
+  // latest_model.json is a copy of one of the timestamped files; only import it on its own
+  // when that original is gone. Unreadable files match nothing; the import loop reports them.
+  const hasOriginal = latestCreatedAt !== null && files.some(file => {
+    if (file === LATEST_FILE) return false;
+    const savedData = readSavedModel(file);
+    return !!(savedData && savedData.metadata && savedData.metadata.createdAt === latestCreatedAt);
+  });
+
+  let imported = 0;
+  let skipped = 0;
+  let latestRecord = null;
+
+  for (const file of files) {
+    if (file === LATEST_FILE && hasOriginal) continue;
+
+    const name = file.replace(/\.json$/, '');
+    if (await ForecastModel.findById(name, false)) {
+      console.log(`Model ${name} already exists in the registry, skipping.`);
+      skipped++;
+      continue;
+    }
+
+    try {
+      const savedData = JSON.parse(fs.readFileSync(path.join(MODEL_DIR, file), 'utf8'));
+      const metadata = savedData.metadata || {};
+      const engine = metadata.engine || engineForModelType(metadata.modelType);
+
+      const record = await ForecastModel.create({
+        name,
+        engine,
+        model_type: metadata.modelType || 'GRUTimeStep',
+        model_json: savedData.model,
+        normalization: {
+          minSales: metadata.minSales,
+          maxSales: metadata.maxSales,
+          range: metadata.range
+        },
+        training_window: {
+          start: metadata.firstSalesDate || null,
+          end: metadata.lastSalesDate || null,
+          dataPoints: metadata.dataPoints
+        },
+        metrics: metadata.trainingParams ? {
+          finalError: metadata.trainingParams.finalError,
+          actualIterations: metadata.trainingParams.actualIterations
+        } : null,
+        metadata: { ...metadata, engine }
+      });
+
+      console.log(`Imported ${file} as model ${record.id}`);
+      imported++;
+
+      if (latestCreatedAt && metadata.createdAt === latestCreatedAt) {
+        latestRecord = record;
+      }
+    } catch (error) {
+      console.error(`Error importing ${file}:`, error.message);
+      skipped++;
+    }
+  }
+
+  if (latestRecord && !(await ForecastModel.findActive(latestRecord.engine))) {
+    await ForecastModel.promote(latestRecord.id);
+    console.log(`Promoted ${latestRecord.name} as the active ${latestRecord.engine} model.`);
+  }
+
+  console.log(`Imported ${imported} model(s), skipped ${skipped}.`);
+  return { imported, skipped };
+}
+
+// If this script is run directly (not imported), execute the function
+if (require.main === module) {
+  importSavedModels()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Unhandled error importing saved models:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = importSavedModels;
@@ -9,6 +9,12 @@ const cartRoutes = require('./routes/cartRoutes');
 const orderRoutes = require('./routes/orderRoutes');
 const checkoutRoutes = require('./routes/checkoutRoutes');
 const predictionRoutes = require('./routes/predictionRoutes');
+const inventoryRoutes = require('./routes/inventoryRoutes');
+const customerRoutes = require('./routes/customerRoutes');
+const returnRoutes = require('./routes/returnRoutes');
+const promotionRoutes = require('./routes/promotionRoutes');
+const TrainingJob = require('./models/trainingJob');
+const { startReservationSweeper } = require('./services/reservationSweeper');
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -21,7 +27,8 @@ app.use(cors({
     'http://localhost:5173'
   ],
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
   credentials: true
 }));
 
@@ -42,8 +49,25 @@ app.use('/api/cart', cartRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/checkout', checkoutRoutes);
 app.use('/api/predictions', predictionRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/promotions', promotionRoutes);
 
 // Start server
 app.listen(port, () => {
   console.log(`Server running on port ${port}`);
+
+  // Training jobs cannot survive a restart; release the training slot they were holding
+  TrainingJob.failInterruptedJobs()
+    .then(jobIds => {
+      if (jobIds.length > 0) {
+        console.log(`Marked interrupted training jobs as failed: ${jobIds.join(', ')}`);
+      }
+    })
+    .catch(err => console.error('Error cleaning up interrupted training jobs:', err));
+
+  // Cancel unpaid orders whose stock reservation has expired (every 5 minutes by default)
+  const sweepMinutes = parseFloat(process.env.RESERVATION_SWEEP_INTERVAL_MINUTES);
+  startReservationSweeper(sweepMinutes > 0 ? sweepMinutes : undefined);
 });
\ No newline at end of file
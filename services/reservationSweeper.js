@@ -0,0 +1,66 @@
+const Order = require('../models/order');
+const StockReservation = require('../models/stockReservation');
+
+let timer = null;
+let sweeping = false;
+
+// Cancel unpaid orders whose stock reservation has expired. Cancelling goes through the
+// order lifecycle, which restocks the items and writes a history entry by 'system'.
+async function releaseExpiredReservations() {
+  // A slow sweep must not overlap the next one
+  if (sweeping) {
+    return { cancelled: [], failed: [] };
+  }
+  sweeping = true;
+  const cancelled = [];
+  const failed = [];
+
+  try {
+    const expired = await StockReservation.findExpired();
+    for (const order of expired) {
+      try {
+        const result = await Order.updateStatus(order.order_number, 'Cancelled', 'paymentStatus', {
+          note: `Reservation expired at ${new Date(order.reserved_until).toISOString()} without payment`
+        });
+        if (result.success) {
+          cancelled.push(order.order_number);
+        } else {
+          failed.push({ order_number: order.order_number, message: result.message });
+        }
+      } catch (error) {
+        failed.push({ order_number: order.order_number, message: error.message });
+      }
+    }
+
+    if (cancelled.length > 0) {
+      console.log(`Cancelled ${cancelled.length} order(s) with expired reservations: ${cancelled.join(', ')}`);
+    }
+    failed.forEach(item => console.error(`Could not cancel expired order ${item.order_number}: ${item.message}`));
+    return { cancelled, failed };
+  } finally {
+    sweeping = false;
+  }
+}
+
+// Sweep now and then every `intervalMinutes`. The timer does not keep the process alive.
+function startReservationSweeper(intervalMinutes = StockReservation.DEFAULTS.sweepIntervalMinutes) {
+  if (timer) return;
+  const sweep = () => releaseExpiredReservations()
+    .catch(error => console.error('Error releasing expired reservations:', error));
+  sweep();
+  timer = setInterval(sweep, intervalMinutes * 60 * 1000);
+  timer.unref();
+}
+
+function stopReservationSweeper() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  releaseExpiredReservations,
+  startReservationSweeper,
+  stopReservationSweeper
+};
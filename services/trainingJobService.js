@@ -0,0 +1,233 @@
+const path = require('path');
+const EventEmitter = require('events');
+const { Worker } = require('worker_threads');
+const TrainingJob = require('../models/trainingJob');
+const { saveModel, restoreModel } = require('../models/predictionModel');
+const { applyConfig } = require('../models/hyperparameterSearch');
+const { STORED_RESIDUALS } = require('../models/predictionIntervals');
+
+const WORKER_PATH = path.join(__dirname, '../workers/trainingWorker.js');
+
+// In-memory handles for jobs running in this process: jobId -> { worker, events, finished, cancelled, reported, completion, resolve }
+const activeJobs = new Map();
+
+// Metadata of a tuned model: the winning configuration replaces the requested options,
+// and the series it was trained on replaces the full training window
+function tunedMetadata(metadata, summary) {
+  const { config, leaderboard, strategy, rankBy, folds, horizon, trials, ...window } = summary;
+  const tuned = applyConfig(config, metadata.engineOptions, metadata.trainingParams);
+  return {
+    ...metadata,
+    ...window,
+    engineOptions: tuned.engineOptions,
+    trainingParams: tuned.trainingOptions,
+    tuning: { strategy, rankBy, folds, horizon, trials, best: config, leaderboard }
+  };
+}
+
+// Start training in a worker thread and persist it as a job.
+// With `tuning` ({ salesData, search, trialIterations }) the worker first runs a hyperparameter
+// search over the raw sales rows and trains the winning configuration instead of `series`.
+// Resolves to { success: false, status: 409 } when another job is already queued or running.
+async function startTrainingJob({ series, engine, engineOptions = {}, trainingOptions = {}, metadata = {}, saveOptions = {}, tuning = null }) {
+  const job = await TrainingJob.create({
+    engine,
+    params: {
+      engineOptions,
+      iterations: trainingOptions.iterations,
+      errorThreshold: trainingOptions.errorThresh,
+      learningRate: trainingOptions.learningRate,
+      dataPoints: tuning ? tuning.salesData.length : series.length,
+      tuning: tuning ? { ...tuning.search, trialIterations: tuning.trialIterations } : undefined,
+      granularity: metadata.granularity || 'month',
+      lastSalesDate: metadata.lastSalesDate || null
+    }
+  });
+
+  if (!job) {
+    const runningJob = await TrainingJob.findUnfinished();
+    return {
+      success: false,
+      status: 409,
+      message: 'A training job is already in progress',
+      job: runningJob
+    };
+  }
+
+  const events = new EventEmitter();
+  // Every attached SSE client adds a listener; there is no reason to warn about that
+  events.setMaxListeners(0);
+
+  // A job that cannot be started would otherwise keep holding the single unfinished slot
+  let worker = null;
+  let handle = null;
+  try {
+    // Only plain, cloneable training options can be sent to the worker
+    const { callback, ...workerTrainingOptions } = trainingOptions;
+    const intervalResiduals = STORED_RESIDUALS.engines.includes(engine)
+      ? { folds: STORED_RESIDUALS.folds, horizon: STORED_RESIDUALS.horizon }
+      : null;
+    worker = new Worker(WORKER_PATH, {
+      workerData: { series, engine, engineOptions, trainingOptions: workerTrainingOptions, tuning, intervalResiduals }
+    });
+
+    handle = { worker, events, finished: false, cancelled: false, reported: false };
+    handle.completion = new Promise(resolve => {
+      handle.resolve = resolve;
+    });
+    activeJobs.set(job.id, handle);
+
+    const emit = (event) => events.emit('event', event);
+
+    const finish = (event, result) => {
+      if (handle.finished) return;
+      handle.finished = true;
+      emit(event);
+      handle.resolve(result);
+      activeJobs.delete(job.id);
+    };
+
+    // Listen before the first await so a fast worker's result and exit are not missed
+    worker.on('message', async (message) => {
+      if (handle.finished || handle.cancelled) return;
+      // The worker exits right after reporting its result, while the result is still being saved
+      if (!['progress', 'trial'].includes(message.type)) handle.reported = true;
+      try {
+        if (message.type === 'trial') {
+          const { trial, total } = message;
+          if (trial.score !== null && (!handle.bestTrial || trial.score < handle.bestTrial.score)) {
+            handle.bestTrial = trial;
+          }
+          emit({ type: 'trial', job_id: job.id, total_trials: total, ...trial });
+          await TrainingJob.updateProgress(job.id, {
+            phase: 'tuning',
+            trialsCompleted: trial.trial,
+            totalTrials: total,
+            bestScore: handle.bestTrial ? handle.bestTrial.score : null
+          });
+        } else if (message.type === 'progress') {
+          const progress = {
+            iterations: message.iterations,
+            error: message.error,
+            errorThreshold: trainingOptions.errorThresh
+          };
+          emit({ type: 'progress', job_id: job.id, ...progress });
+          await TrainingJob.updateProgress(job.id, progress);
+        } else if (message.type === 'complete') {
+          const net = restoreModel(engine, message.model);
+          // brain.js does not serialize training stats, so carry over what the worker reported
+          net.trainOpts = { ...net.trainOpts, ...message.trainOpts };
+          const baseMetadata = message.tuning ? tunedMetadata(metadata, message.tuning) : metadata;
+          const modelMetadata = {
+            ...baseMetadata,
+            trainingParams: {
+              ...(baseMetadata.trainingParams || {}),
+              finalError: message.trainOpts.error,
+              actualIterations: message.trainOpts.iterations
+            },
+            // Out-of-sample residuals for the prediction intervals of slow engines
+            ...(message.residuals ? { intervalResiduals: { folds: intervalResiduals.folds, residuals: message.residuals } } : {})
+          };
+          const saveResult = await saveModel(net, modelMetadata, saveOptions);
+          if (!saveResult.success) {
+            throw new Error(`Model trained but could not be saved: ${saveResult.error}`);
+          }
+
+          const progress = { iterations: message.trainOpts.iterations, error: message.trainOpts.error };
+          const updatedJob = await TrainingJob.markCompleted(job.id, {
+            model_id: saveResult.model.id,
+            model_name: saveResult.model.name,
+            progress
+          });
+
+          finish({
+            type: 'complete',
+            job_id: job.id,
+            modelSaved: true,
+            model: saveResult.model,
+            metadata: modelMetadata
+          }, { success: true, job: updatedJob, net, model: saveResult.model, metadata: modelMetadata });
+        } else if (message.type === 'error') {
+          throw new Error(message.message);
+        }
+      } catch (error) {
+        console.error(`Training job ${job.id} failed:`, error);
+        await TrainingJob.markFailed(job.id, error.message).catch(() => {});
+        finish({ type: 'error', job_id: job.id, message: error.message }, { success: false, error: error.message });
+      }
+    });
+
+    worker.on('error', async (error) => {
+      console.error(`Training worker for job ${job.id} crashed:`, error);
+      await TrainingJob.markFailed(job.id, error.message).catch(() => {});
+      finish({ type: 'error', job_id: job.id, message: error.message }, { success: false, error: error.message });
+    });
+
+    worker.on('exit', async (code) => {
+      if (handle.finished || handle.cancelled || handle.reported) return;
+      // The worker exited without reporting a result
+      const errorMessage = `Training worker exited unexpectedly with code ${code}`;
+      await TrainingJob.markFailed(job.id, errorMessage).catch(() => {});
+      finish({ type: 'error', job_id: job.id, message: errorMessage }, { success: false, error: errorMessage });
+    });
+
+    await TrainingJob.markRunning(job.id);
+
+    return { success: true, job: await TrainingJob.findById(job.id), completion: handle.completion };
+  } catch (error) {
+    console.error(`Training job ${job.id} could not be started:`, error);
+    if (handle) {
+      handle.finished = true;
+      activeJobs.delete(job.id);
+    }
+    if (worker) await worker.terminate().catch(() => {});
+    await TrainingJob.markFailed(job.id, error.message).catch(() => {});
+    throw error;
+  }
+}
+
+// Cancel a queued or running job by terminating its worker
+async function cancelTrainingJob(jobId) {
+  const job = await TrainingJob.findById(jobId);
+  if (!job) {
+    return { success: false, message: 'Training job not found', status: 404 };
+  }
+
+  const handle = activeJobs.get(job.id);
+  if (!handle) {
+    return { success: false, message: `Training job is already ${job.status}`, status: 400 };
+  }
+
+  handle.cancelled = true;
+  const cancelledJob = await TrainingJob.markCancelled(job.id);
+  await handle.worker.terminate();
+  if (!handle.finished) {
+    handle.finished = true;
+    handle.events.emit('event', { type: 'cancelled', job_id: job.id, message: 'Training job cancelled' });
+    handle.resolve({ success: false, cancelled: true, error: 'Training job cancelled' });
+    activeJobs.delete(job.id);
+  }
+
+  return { success: true, job: cancelledJob || await TrainingJob.findById(job.id), status: 200 };
+}
+
+// Subscribe to live events of a job running in this process. Returns an unsubscribe
+// function, or null when the job is not running here (finished or owned by another dyno).
+function subscribeToJob(jobId, listener) {
+  const handle = activeJobs.get(parseInt(jobId, 10));
+  if (!handle) return null;
+
+  handle.events.on('event', listener);
+  return () => handle.events.removeListener('event', listener);
+}
+
+function isJobActive(jobId) {
+  return activeJobs.has(parseInt(jobId, 10));
+}
+
+module.exports = {
+  startTrainingJob,
+  cancelTrainingJob,
+  subscribeToJob,
+  isJobActive
+};
@@ -0,0 +1,67 @@
+// Filling missing periods of a sales series. Missing values are null; recorded values
+// (including recorded zeros) are left untouched.
+//
+//   zero      - missing periods had no sales
+//   previous  - carry the last recorded value forward
+//   linear    - interpolate between the surrounding recorded values
+//   mean      - mean of the recorded values
+//   seasonal  - value one season earlier when it was recorded, otherwise linear
+
+const IMPUTATION_METHODS = ['zero', 'previous', 'linear', 'mean', 'seasonal'];
+
+function isImputationMethod(value) {
+  return IMPUTATION_METHODS.includes(value);
+}
+
+// Linear interpolation at index i from the nearest recorded neighbours
+function interpolate(values, i) {
+  let before = i - 1;
+  while (before >= 0 && values[before] === null) before--;
+  let after = i + 1;
+  while (after < values.length && values[after] === null) after++;
+
+  if (before < 0 && after >= values.length) return 0;
+  if (before < 0) return values[after];
+  if (after >= values.length) return values[before];
+  return values[before] + (values[after] - values[before]) * (i - before) / (after - before);
+}
+
+/**
+ * Fill the missing (null) values of a series
+ * @param {Array<number|null>} values - Series with null for missing periods
+ * @param {string} method - One of IMPUTATION_METHODS
+ * @param {number} seasonLength - Periods per season, used by the seasonal method
+ * @returns {number[]} - Series without missing values
+ */
+function imputeSeries(values, method = 'zero', seasonLength = 12) {
+  const recorded = values.filter(value => value !== null);
+  const recordedMean = recorded.length > 0 ? recorded.reduce((sum, value) => sum + value, 0) / recorded.length : 0;
+
+  let last = null;
+  return values.map((value, i) => {
+    if (value !== null) {
+      last = value;
+      return value;
+    }
+    switch (method) {
+      case 'previous':
+        return last !== null ? last : interpolate(values, i);
+      case 'linear':
+        return interpolate(values, i);
+      case 'mean':
+        return recordedMean;
+      case 'seasonal':
+        return i >= seasonLength && values[i - seasonLength] !== null
+          ? values[i - seasonLength]
+          : interpolate(values, i);
+      default:
+        return 0;
+    }
+  });
+}
+
+module.exports = {
+  IMPUTATION_METHODS,
+  isImputationMethod,
+  imputeSeries
+};
@@ -0,0 +1,256 @@
+// Normalization of sales series. A fitted normalization is a plain object so it can be
+// stored in model metadata and inverted later. Values pass through these steps in order,
+// and denormalizing undoes them in reverse:
+//
+//   winsorize      - clip values to the `winsorize` and 1 - `winsorize` quantiles (not undone)
+//   transform      - 'log' or 'boxcox' (lambda estimated by maximum likelihood unless given)
+//   detrend        - subtract a least-squares linear trend
+//   deseasonalize  - subtract the mean of each position in the season (`seasonLength` periods)
+//   scheme         - 'minmax' scales into [0, 1], optionally leaving `headroom` (a fraction of
+//                    the range) free on both sides; 'zscore' subtracts the mean and divides
+//                    by the standard deviation
+//
+// Trend and seasonal components depend on the position in the series, so normalizeValue and
+// denormalizeValue take the index of the value, counted from the first period it was fitted on.
+// Normalizations saved before these options existed are plain { scheme, offset, scale }.
+
+const SCHEMES = ['minmax', 'zscore'];
+
+const TRANSFORMS = ['none', 'log', 'boxcox'];
+
+function isScheme(value) {
+  return SCHEMES.includes(value);
+}
+
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Quantile with linear interpolation between the closest ranks
+function quantile(sorted, p) {
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function boxCox(value, lambda) {
+  return lambda === 0 ? Math.log(value) : (Math.pow(value, lambda) - 1) / lambda;
+}
+
+function inverseBoxCox(value, lambda) {
+  if (lambda === 0) return Math.exp(value);
+  // Outside the transform's range the inverse does not exist; the closest valid value is 0
+  const base = lambda * value + 1;
+  return base > 0 ? Math.pow(base, 1 / lambda) : 0;
+}
+
+// Box-Cox lambda maximizing the profile log-likelihood over [-1, 2]
+function estimateBoxCoxLambda(values) {
+  const logSum = values.reduce((sum, value) => sum + Math.log(value), 0);
+  let best = { lambda: 1, likelihood: -Infinity };
+  for (let step = -10; step <= 20; step++) {
+    const lambda = step / 10;
+    const transformed = values.map(value => boxCox(value, lambda));
+    const center = mean(transformed);
+    const variance = mean(transformed.map(value => (value - center) ** 2));
+    if (variance <= 0) continue;
+    const likelihood = -values.length / 2 * Math.log(variance) + (lambda - 1) * logSum;
+    if (likelihood > best.likelihood) best = { lambda, likelihood };
+  }
+  return best.lambda;
+}
+
+/**
+ * Check a normalization requested by a client: a scheme name or an object with
+ * scheme, transform, lambda, headroom, winsorize, detrend, deseasonalize and seasonLength
+ * @returns {Object} - { spec } or { error }
+ */
+function parseNormalizationSpec(value) {
+  const spec = typeof value === 'string' ? { scheme: value } : value;
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return { error: 'normalization must be a scheme name or an object' };
+  }
+
+  const { scheme = 'minmax', transform = 'none', lambda, headroom = 0, winsorize = 0, detrend = false, deseasonalize = false, seasonLength } = spec;
+  if (!isScheme(scheme)) {
+    return { error: 'normalization scheme must be one of: ' + SCHEMES.join(', ') };
+  }
+  if (!TRANSFORMS.includes(transform)) {
+    return { error: 'normalization transform must be one of: ' + TRANSFORMS.join(', ') };
+  }
+  if (lambda !== undefined && lambda !== null && (typeof lambda !== 'number' || lambda < -2 || lambda > 2)) {
+    return { error: 'normalization lambda must be a number between -2 and 2' };
+  }
+  if (typeof headroom !== 'number' || headroom < 0 || headroom > 1) {
+    return { error: 'normalization headroom must be a number between 0 and 1' };
+  }
+  if (typeof winsorize !== 'number' || winsorize < 0 || winsorize >= 0.5) {
+    return { error: 'normalization winsorize must be a fraction between 0 and 0.5' };
+  }
+  if (typeof detrend !== 'boolean' || typeof deseasonalize !== 'boolean') {
+    return { error: 'normalization detrend and deseasonalize must be booleans' };
+  }
+  if (seasonLength !== undefined && (!Number.isInteger(seasonLength) || seasonLength < 2)) {
+    return { error: 'normalization seasonLength must be an integer of at least 2' };
+  }
+
+  return {
+    spec: {
+      scheme,
+      transform,
+      lambda: transform === 'boxcox' && typeof lambda === 'number' ? lambda : null,
+      headroom,
+      winsorize,
+      detrend,
+      deseasonalize,
+      seasonLength: seasonLength || null
+    }
+  };
+}
+
+/**
+ * Fit a normalization to a series
+ * @param {number[]} values - Raw sales values
+ * @param {string|Object} spec - Scheme name, a spec (see parseNormalizationSpec) or a fitted
+ *   normalization, whose settings are refit to the new values
+ * @returns {Object} - Fitted normalization
+ */
+function fitNormalization(values, spec = 'minmax') {
+  const settings = typeof spec === 'string' ? { scheme: spec } : { ...spec };
+  const scheme = settings.scheme === 'zscore' ? 'zscore' : 'minmax';
+  const transform = settings.transform || 'none';
+  const normalization = {
+    scheme,
+    transform,
+    lambda: null,
+    shift: 0,
+    headroom: settings.headroom || 0,
+    winsorize: settings.winsorize || 0,
+    bounds: null,
+    detrend: !!settings.detrend,
+    trend: null,
+    deseasonalize: !!settings.deseasonalize,
+    seasonLength: settings.seasonLength || null,
+    seasonal: null
+  };
+
+  let series = values.slice();
+
+  if (normalization.winsorize > 0) {
+    const sorted = series.slice().sort((a, b) => a - b);
+    normalization.bounds = {
+      lower: quantile(sorted, normalization.winsorize),
+      upper: quantile(sorted, 1 - normalization.winsorize)
+    };
+    series = series.map(value => Math.min(normalization.bounds.upper, Math.max(normalization.bounds.lower, value)));
+  }
+
+  if (transform !== 'none') {
+    // Log and Box-Cox need positive values; zero sales periods are shifted up to 1
+    const min = Math.min(...series);
+    normalization.shift = min > 0 ? 0 : 1 - min;
+    const shifted = series.map(value => value + normalization.shift);
+    if (transform === 'boxcox') {
+      normalization.lambda = typeof settings.lambda === 'number' ? settings.lambda : estimateBoxCoxLambda(shifted);
+    }
+    series = shifted.map(value => (transform === 'log' ? Math.log(value) : boxCox(value, normalization.lambda)));
+  }
+
+  if (normalization.detrend) {
+    const n = series.length;
+    const tMean = (n - 1) / 2;
+    const yMean = mean(series);
+    let numerator = 0;
+    let denominator = 0;
+    series.forEach((value, t) => {
+      numerator += (t - tMean) * (value - yMean);
+      denominator += (t - tMean) ** 2;
+    });
+    const slope = denominator > 0 ? numerator / denominator : 0;
+    normalization.trend = { intercept: yMean - slope * tMean, slope };
+    series = series.map((value, t) => value - (normalization.trend.intercept + slope * t));
+  }
+
+  if (normalization.deseasonalize) {
+    const length = normalization.seasonLength || 12;
+    if (series.length < length) {
+      throw new Error(`Deseasonalizing needs at least one full season (${length} periods) of data`);
+    }
+    normalization.seasonLength = length;
+    const positions = Array.from({ length }, (_, position) =>
+      mean(series.filter((value, t) => t % length === position)));
+    const level = mean(positions);
+    normalization.seasonal = positions.map(value => value - level);
+    series = series.map((value, t) => value - normalization.seasonal[t % length]);
+  }
+
+  if (scheme === 'zscore') {
+    const center = mean(series);
+    const deviation = Math.sqrt(mean(series.map(value => (value - center) ** 2)));
+    normalization.offset = center;
+    normalization.scale = deviation || 1;
+  } else {
+    const min = Math.min(...series);
+    const range = Math.max(...series) - min || 1;
+    normalization.offset = min - normalization.headroom * range;
+    normalization.scale = range * (1 + 2 * normalization.headroom);
+  }
+
+  return normalization;
+}
+
+// Trend plus seasonal component at position `index` of the fitted series
+function components(normalization, index) {
+  let value = 0;
+  if (normalization.trend) {
+    value += normalization.trend.intercept + normalization.trend.slope * index;
+  }
+  if (normalization.seasonal) {
+    const length = normalization.seasonal.length;
+    value += normalization.seasonal[((index % length) + length) % length];
+  }
+  return value;
+}
+
+function normalizeValue(value, normalization, index = 0) {
+  let result = value;
+  if (normalization.bounds) {
+    result = Math.min(normalization.bounds.upper, Math.max(normalization.bounds.lower, result));
+  }
+  if (normalization.transform === 'log') {
+    result = Math.log(Math.max(result + normalization.shift, Number.MIN_VALUE));
+  } else if (normalization.transform === 'boxcox') {
+    result = boxCox(Math.max(result + normalization.shift, Number.MIN_VALUE), normalization.lambda);
+  }
+  result -= components(normalization, index);
+  return (result - normalization.offset) / normalization.scale;
+}
+
+function denormalizeValue(value, normalization, index = 0) {
+  let result = value * normalization.scale + normalization.offset;
+  result += components(normalization, index);
+  if (normalization.transform === 'log') {
+    result = Math.exp(result) - normalization.shift;
+  } else if (normalization.transform === 'boxcox') {
+    result = inverseBoxCox(result, normalization.lambda) - normalization.shift;
+  }
+  return result;
+}
+
+// Normalization a saved model was trained with; models saved before schemes existed used min-max
+function normalizationFromMetadata(metadata = {}) {
+  if (metadata.normalization && metadata.normalization.scheme) {
+    return metadata.normalization;
+  }
+  return { scheme: 'minmax', offset: metadata.minSales, scale: metadata.range };
+}
+
+module.exports = {
+  SCHEMES,
+  TRANSFORMS,
+  isScheme,
+  parseNormalizationSpec,
+  fitNormalization,
+  normalizeValue,
+  denormalizeValue,
+  normalizationFromMetadata
+};
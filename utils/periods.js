@@ -0,0 +1,110 @@
+// Period arithmetic and labelling for daily, weekly and monthly sales series.
+// Periods are identified by the date they start on (YYYY-MM-DD); weeks start on Monday,
+// matching PostgreSQL's date_trunc('week', ...).
+
+// historical_sales only has rows for days with sales, so missing days and weeks default to zero
+// sales; a missing month usually means the aggregation never ran, so it is interpolated.
+const GRANULARITIES = {
+  day: { seasonLength: 7, defaultHorizon: 14, maxHorizon: 365, defaultDataPoints: 365, validationPeriods: 14, defaultImputation: 'zero' },
+  week: { seasonLength: 52, defaultHorizon: 8, maxHorizon: 104, defaultDataPoints: 104, validationPeriods: 8, defaultImputation: 'zero' },
+  month: { seasonLength: 12, defaultHorizon: 24, maxHorizon: 60, defaultDataPoints: 32, validationPeriods: 6, defaultImputation: 'linear' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isGranularity(value) {
+  return Object.prototype.hasOwnProperty.call(GRANULARITIES, value);
+}
+
+const toUTCDate = periodStart => {
+  const [year, month, day] = periodStart.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const formatDate = date => date.toISOString().split('T')[0];
+
+// ISO-8601 week number and week-year of a UTC date
+function isoWeek(date) {
+  // The week belongs to the year its Thursday falls in; week 1 contains January 4th
+  const thursday = new Date(date.getTime() + (3 - ((date.getUTCDay() + 6) % 7)) * DAY_MS);
+  const weekYear = thursday.getUTCFullYear();
+  const januaryFourth = new Date(Date.UTC(weekYear, 0, 4));
+  const week = 1 + Math.round(((thursday - januaryFourth) / DAY_MS - 3 + ((januaryFourth.getUTCDay() + 6) % 7)) / 7);
+  return { week, weekYear };
+}
+
+// Start date of the period `count` steps after `periodStart`
+function addPeriods(periodStart, granularity, count = 1) {
+  const date = toUTCDate(periodStart);
+  if (granularity === 'month') {
+    return formatDate(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + count, 1)));
+  }
+  const days = granularity === 'week' ? 7 * count : count;
+  return formatDate(new Date(date.getTime() + days * DAY_MS));
+}
+
+// Date fields describing a period: year, month and month_name for every granularity,
+// plus the ISO week or the day of the month where they apply
+function describePeriod(periodStart, granularity) {
+  const date = toUTCDate(periodStart);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + 1;
+  const description = {
+    year,
+    month,
+    month_name: new Date(year, month - 1, 1).toLocaleString('default', { month: 'long' }),
+    period_start: periodStart
+  };
+
+  if (granularity === 'week') {
+    const { week, weekYear } = isoWeek(date);
+    description.week = week;
+    description.label = `Week ${week}, ${weekYear}`;
+  } else if (granularity === 'day') {
+    description.day = date.getUTCDate();
+    description.day_name = date.toLocaleString('default', { weekday: 'long', timeZone: 'UTC' });
+    description.label = periodStart;
+  } else {
+    description.label = `${description.month_name} ${year}`;
+  }
+  return description;
+}
+
+// Start date of the period containing `date` (a Date, read in UTC)
+function periodStartOf(date, granularity) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (granularity === 'month') {
+    return formatDate(new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1)));
+  }
+  if (granularity === 'week') {
+    return formatDate(new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS));
+  }
+  return formatDate(day);
+}
+
+// Number of periods from the period starting on `from` to the one starting on `to` (negative when earlier)
+function periodsBetween(from, to, granularity) {
+  const start = toUTCDate(from);
+  const end = toUTCDate(to);
+  if (granularity === 'month') {
+    return (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth();
+  }
+  const days = Math.round((end - start) / DAY_MS);
+  return granularity === 'week' ? Math.round(days / 7) : days;
+}
+
+// True when period `a` starts on or after period `b`
+function isSameOrAfter(a, b) {
+  return a.localeCompare(b) >= 0;
+}
+
+module.exports = {
+  GRANULARITIES,
+  isGranularity,
+  addPeriods,
+  describePeriod,
+  periodStartOf,
+  periodsBetween,
+  isSameOrAfter,
+  formatDate
+};
@@ -0,0 +1,115 @@
+// Worker thread that trains a forecasting model off the main event loop.
+// It receives the normalized series and options through workerData, posts
+// progress messages while training and finally posts the trained model JSON.
+// In tuning mode it receives the raw sales rows instead, scores each candidate
+// configuration (posting a 'trial' message per candidate) and trains the winner.
+// With `intervalResiduals` ({ folds, horizon }) it then retrains on the last origins and
+// posts their out-of-sample residuals with the model, for the prediction intervals.
+const { parentPort, workerData } = require('worker_threads');
+const { trainForecastModel } = require('../models/predictionModel');
+const { runSearch, applyConfig } = require('../models/hyperparameterSearch');
+const { normalizeSalesData } = require('../db/salesData');
+const { collectHorizonResiduals } = require('../models/predictionIntervals');
+
+const {
+  engine,
+  engineOptions = {},
+  trainingOptions = {},
+  tuning = null,
+  intervalResiduals = null,
+  progressPeriod = 1000
+} = workerData;
+
+// Search the configured space, then prepare the winner's series and options for full training
+function tune() {
+  const search = runSearch(tuning.salesData, {
+    ...tuning.search,
+    engine,
+    engineOptions,
+    trainingOptions: { ...trainingOptions, iterations: tuning.trialIterations },
+    onTrial: (trial, total) => parentPort.postMessage({ type: 'trial', trial, total })
+  });
+  if (!search.best) {
+    throw new Error('None of the tuning trials could be scored');
+  }
+
+  const { config } = search.best;
+  const window = config.lookback ? tuning.salesData.slice(-config.lookback) : tuning.salesData;
+  const { normalizedSales, minSales, maxSales, range, normalization } = normalizeSalesData(window, config.normalization);
+  const tuned = applyConfig(config, engineOptions, trainingOptions);
+  if (tuned.engineOptions.calendar) {
+    tuned.engineOptions = {
+      ...tuned.engineOptions,
+      calendar: { ...tuned.engineOptions.calendar, start: { year: window[0].year, month: window[0].month } }
+    };
+  }
+
+  const periodMarker = row => ({ year: row.year, month: row.month, period_start: row.period_start });
+  return {
+    series: normalizedSales.map(item => item.normalized_sales),
+    engineOptions: tuned.engineOptions,
+    trainingOptions: tuned.trainingOptions,
+    summary: {
+      config,
+      strategy: search.strategy,
+      rankBy: search.rankBy,
+      folds: search.folds,
+      horizon: search.horizon,
+      trials: search.trials,
+      leaderboard: search.leaderboard,
+      dataPoints: window.length,
+      minSales,
+      maxSales,
+      range,
+      normalization,
+      firstSalesDate: periodMarker(window[0]),
+      lastSalesDate: periodMarker(window[window.length - 1])
+    }
+  };
+}
+
+try {
+  const run = tuning
+    ? tune()
+    : { series: workerData.series, engineOptions, trainingOptions, summary: null };
+
+  const net = trainForecastModel(run.series, {
+    ...run.trainingOptions,
+    engine,
+    engineOptions: run.engineOptions,
+    callback: (stats) => {
+      if (stats.iterations % progressPeriod === 0 || stats.iterations === 1) {
+        parentPort.postMessage({
+          type: 'progress',
+          iterations: stats.iterations,
+          error: stats.error
+        });
+      }
+    }
+  });
+
+  const residuals = intervalResiduals
+    ? collectHorizonResiduals(run.series, net, {
+      engine,
+      engineOptions: run.engineOptions,
+      trainingOptions: run.trainingOptions,
+      horizon: intervalResiduals.horizon,
+      folds: intervalResiduals.folds,
+      retrain: true
+    })
+    : null;
+
+  parentPort.postMessage({
+    type: 'complete',
+    model: net.toJSON(),
+    trainOpts: {
+      error: net.trainOpts.error,
+      iterations: net.trainOpts.iterations,
+      errorThresh: net.trainOpts.errorThresh
+    },
+    tuning: run.summary,
+    residuals
+  });
+} catch (error) {
+  parentPort.postMessage({ type: 'error', message: error.message });
+}